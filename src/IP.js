@@ -5,6 +5,11 @@
  * @internal
  */
 //<nowiki>
+/**
+ * The table of special-purpose address blocks, parsed on the first access to {@link IPBase.SPECIAL_BLOCKS}.
+ * @type {SpecialBlock[]?}
+ */
+let specialBlocks = null;
 /**
  * Abstract class with protected methods.
  * @abstract
@@ -42,75 +47,273 @@ class IPBase {
 	 * Parse a string that potentially represents an IP or CIDR address.
 	 * @param {string} ipStr
 	 * @param {number} [bitLen] An optional bit length of the IP address.
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address (e.g. `fe80::1%eth0`),
+	 * as in {@link ParseOptions.allowZone}. Defaults to `false`.
 	 * @returns {Parsed?} A parsed object, or `null` if:
 	 * * `ipStr` is not a string.
 	 * * `ipStr` does not represent an IP address.
 	 * * `ipStr` contains an invalid bit length for a CIDR.
 	 * @protected
 	 */
-	static parse(ipStr, bitLen) {
+	static parse(ipStr, bitLen, allowZone = false) {
+		return this.parseDetailed(ipStr, bitLen, allowZone).parsed;
+	}
+
+	/**
+	 * Parse a string that potentially represents an IP or CIDR address, and tell why if it fails.
+	 *
+	 * This is the parser behind {@link parse}; error positions are 0-based indexes into the
+	 * {@link clean | cleaned} input string.
+	 * @param {string} ipStr
+	 * @param {number} [bitLen] An optional bit length of the IP address.
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address. Defaults to `false`.
+	 * @returns {{parsed: Parsed; error: null;} | {parsed: null; error: ParseError;}}
+	 * @protected
+	 */
+	static parseDetailed(ipStr, bitLen, allowZone = false) {
+
+		/**
+		 * @param {DiagnosisCode} code
+		 * @param {string} message
+		 * @param {number?} position
+		 * @returns {{parsed: null; error: ParseError;}}
+		 */
+		const fail = (code, message, position) => ({parsed: null, error: {code, message, position}});
 
 		if (typeof ipStr !== 'string') {
-			return null;
+			return fail('NOT_STRING', 'The input is not a string.', null);
 		}
 		ipStr = this.clean(ipStr);
 		if (typeof bitLen === 'number') {
 			ipStr = ipStr.replace(/\/\d+$/, '');
 			ipStr += '/' + bitLen;
 		}
+		if (!ipStr) {
+			return fail('EMPTY', 'The input is empty.', null);
+		}
 
-		let m;
-		if ((m = ipStr.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)(?:\/(\d+))?$/))) {
-			// Potential IPv4
-			/** @type {Parsed} */
-			const ret = {
-				parts: [],
-				bitLen: typeof m[5] === 'string' ? parseInt(m[5]) : null
-			};
-			if (ret.bitLen !== null && !(0 <= ret.bitLen && ret.bitLen <= 32)) {
-				return null;
-			}
-			for (let i = 1; i <= 4; i++) {
-				const num = parseInt(m[i]);
-				if (m[i].length <= 3 && 0 <= num && num <= 255) {
-					ret.parts.push(num);
-				} else {
-					return null;
+		const slash = ipStr.indexOf('/');
+		let address = slash === -1 ? ipStr : ipStr.slice(0, slash);
+		const isIPv6 = address.indexOf(':') !== -1;
+		const percent = address.indexOf('%');
+		let zone = null;
+		if (allowZone && isIPv6 && percent !== -1) {
+			// Zone ID (e.g. `fe80::1%eth0`)
+			zone = address.slice(percent + 1);
+			if (allowZone === 'url') {
+				// The URL form of RFC 6874, in which "%" is encoded as "%25" (e.g. `fe80::1%25eth0`)
+				if (zone.slice(0, 2) !== '25') {
+					return fail('INVALID_ZONE', 'The "%" before the zone ID is not encoded as "%25".', percent + 1);
 				}
+				zone = zone.slice(2);
 			}
-			return ret;
-		} else if ((m = ipStr.match(/^([\p{Hex_Digit}:]+)(?:\/(\d+))?$/u)) && !/:::/.test(ipStr) && (ipStr.match(/::/g) || []).length < 2) {
-			// Potential IPv6
-			/** @type {Parsed} */
-			const ret = {
-				parts: [],
-				bitLen: typeof m[2] === 'string' ? parseInt(m[2]) : null
+			if (!/^[A-Za-z0-9._~-]+$/.test(zone)) {
+				return fail('INVALID_ZONE', 'The zone ID is empty or contains invalid characters.', percent + 1);
+			}
+			address = address.slice(0, percent);
+		}
+		const parts = isIPv6 ? this.parseIPv6(address) : this.parseIPv4(address, 0);
+		if (!Array.isArray(parts)) {
+			return {parsed: null, error: parts};
+		}
+
+		/** @type {Parsed} */
+		const ret = {parts, bitLen: null, zone};
+		if (slash !== -1) {
+			const suffix = ipStr.slice(slash + 1);
+			const max = isIPv6 ? 128 : 32;
+			if (!/^\d+$/.test(suffix) || parseInt(suffix) > max) {
+				return fail(
+					'INVALID_BIT_LENGTH',
+					`"${suffix}" is not a valid bit length for an IPv${isIPv6 ? 6 : 4} address (0-${max}).`,
+					slash + 1
+				);
+			}
+			ret.bitLen = parseInt(suffix);
+		}
+		return {parsed: ret, error: null};
+
+	}
+
+	/**
+	 * Parse the dotted quad of an IPv4 address (without a bit length).
+	 * @param {string} str
+	 * @param {number} offset The index of `str` in the whole input string, used for error positions.
+	 * @returns {number[]|ParseError} An array of 4 decimals, or an error object.
+	 * @protected
+	 */
+	static parseIPv4(str, offset) {
+		const m = /[^\d.]/.exec(str);
+		if (m) {
+			return {code: 'INVALID_CHARACTER', message: `Unexpected character "${m[0]}".`, position: offset + m.index};
+		}
+		const octets = str.split('.');
+		if (octets.length !== 4) {
+			return {
+				code: 'INVALID_PART_COUNT',
+				message: `An IPv4 address must consist of 4 octets, but ${octets.length} found.`,
+				position: null
 			};
-			if (ret.bitLen !== null && !(0 <= ret.bitLen && ret.bitLen <= 128)) {
-				return null;
+		}
+		const ret = [];
+		let pos = offset;
+		for (const octet of octets) {
+			const num = parseInt(octet);
+			if (!octet) {
+				return {code: 'EMPTY_PART', message: 'Empty octet.', position: pos};
+			} else if (octet.length > 3) {
+				return {code: 'PART_TOO_LONG', message: `Octet "${octet}" has more than 3 digits.`, position: pos};
+			} else if (num > 255) {
+				return {code: 'PART_OUT_OF_RANGE', message: `Octet "${octet}" exceeds 255.`, position: pos};
 			}
-			ipStr = m[1];
-			let parts = ipStr.split(':');
-			if (parts.length < 7) {
-				ipStr = ipStr.replace('::', ':'.repeat(10 - parts.length));
-				parts = ipStr.split(':');
+			ret.push(num);
+			pos += octet.length + 1;
+		}
+		return ret;
+	}
+
+	/**
+	 * Parse the hextets of an IPv6 address (without a bit length), which may end with a dotted quad.
+	 * @param {string} str
+	 * @returns {number[]|ParseError} An array of 8 decimals, or an error object.
+	 * @protected
+	 */
+	static parseIPv6(str) {
+
+		const lastColon = str.lastIndexOf(':');
+		const firstDot = str.indexOf('.');
+		if (firstDot !== -1) {
+			// Trailing dotted quad (e.g. `::ffff:192.0.2.1`): Convert the quad into two hextets
+			if (firstDot < lastColon) {
+				return {code: 'INVALID_CHARACTER', message: 'Unexpected character ".".', position: firstDot};
 			}
-			if (parts.length !== 8) {
-				return null;
+			const tail = this.parseIPv4(str.slice(lastColon + 1), lastColon + 1);
+			if (!Array.isArray(tail)) {
+				return tail;
 			}
-			for (const el of parts) {
-				const num = el === '' ? 0 : parseInt(el, 16);
-				if (el.length <= 4 && 0 <= num && num <= 0xffff) {
-					ret.parts.push(num);
-				} else {
-					return null;
+			const [a, b, c, d] = tail;
+			str = str.slice(0, lastColon + 1) + (a << 8 | b).toString(16) + ':' + (c << 8 | d).toString(16);
+		}
+
+		const m = /[^0-9A-Fa-f:]/.exec(str);
+		if (m) {
+			return {code: 'INVALID_CHARACTER', message: `Unexpected character "${m[0]}".`, position: m.index};
+		}
+		const triple = str.indexOf(':::');
+		if (triple !== -1) {
+			return {code: 'MULTIPLE_DOUBLE_COLONS', message: 'Unexpected ":::".', position: triple};
+		}
+		const double = str.indexOf('::');
+		if (double !== -1 && str.indexOf('::', double + 1) !== -1) {
+			return {
+				code: 'MULTIPLE_DOUBLE_COLONS',
+				message: '"::" can appear only once.',
+				position: str.indexOf('::', double + 1)
+			};
+		}
+
+		// Split the string into the hextets before and after "::", if any
+		const head = double === -1 ? str : str.slice(0, double);
+		const tail = double === -1 ? '' : str.slice(double + 2);
+		/** @type {number[][]} */
+		const groups = [];
+		for (const [section, offset] of /** @type {[string, number][]} */ ([[head, 0], [tail, double + 2]])) {
+			const nums = [];
+			let pos = offset;
+			for (const hextet of section ? section.split(':') : []) {
+				if (!hextet) {
+					return {code: 'EMPTY_PART', message: 'Empty hextet.', position: pos};
+				} else if (hextet.length > 4) {
+					return {code: 'PART_TOO_LONG', message: `Hextet "${hextet}" has more than 4 digits.`, position: pos};
 				}
+				nums.push(parseInt(hextet, 16));
+				pos += hextet.length + 1;
 			}
-			return ret;
+			groups.push(nums);
+		}
+		const count = groups[0].length + groups[1].length;
+		if (double === -1 ? count !== 8 : count > 7) {
+			return {
+				code: 'INVALID_PART_COUNT',
+				message: double === -1
+					? `An IPv6 address must consist of 8 hextets, but ${count} found.`
+					: `An IPv6 address abbreviated with "::" can have at most 7 hextets, but ${count} found.`,
+				position: null
+			};
 		}
+		const zeros = [];
+		for (let i = count; i < 8; i++) {
+			zeros.push(0);
+		}
+		return groups[0].concat(zeros, groups[1]);
 
-		return null;
+	}
+
+	/**
+	 * Parse a string that potentially represents an IP or CIDR address, also accepting the legacy
+	 * and non-standard notations that `inet_aton` and web browsers accept:
+	 * * Compatibility characters such as fullwidth digits, which are normalized by NFKC (`'nfkc'`).
+	 * * IPv4 parts with a leading `0`, which are octal (`'octal'`). Note that `010` means 8 in this mode.
+	 * * IPv4 parts with a leading `0x`, which are hexadecimal (`'hex'`).
+	 * * An IPv4 address written as a single 32-bit integer (`'integer'`).
+	 * * An IPv4 address with 2 or 3 parts, in which the last part fills the remaining bits (`'short'`).
+	 * @param {string} ipStr
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address. Defaults to `false`.
+	 * @returns {{parsed: Parsed?; normalizations: LenientNormalization[];}}
+	 * @protected
+	 */
+	static parseLenient(ipStr, allowZone = false) {
+		if (typeof ipStr !== 'string') {
+			return {parsed: null, normalizations: []};
+		}
+		/** @type {LenientNormalization[]} */
+		const normalizations = [];
+		ipStr = this.clean(ipStr);
+		const normalized = ipStr.normalize('NFKC');
+		if (normalized !== ipStr) {
+			normalizations.push('nfkc');
+			ipStr = normalized;
+		}
+
+		let m;
+		if ((m = ipStr.match(/^([\dA-Fa-fXx.]+)(\/.*)?$/))) {
+			// Potential IPv4 in the inet_aton notation
+			/** @type {number[]} */
+			const nums = [];
+			for (const part of m[1].split('.')) {
+				if (/^0[Xx][\dA-Fa-f]+$/.test(part)) {
+					nums.push(parseInt(part.slice(2), 16));
+					normalizations.push('hex');
+				} else if (/^0[0-7]+$/.test(part)) {
+					nums.push(parseInt(part, 8));
+					normalizations.push('octal');
+				} else if (/^(?:0|[1-9]\d*)$/.test(part)) {
+					nums.push(parseInt(part));
+				} else {
+					return {parsed: null, normalizations: []};
+				}
+			}
+			if (nums.length === 1) {
+				normalizations.push('integer');
+			} else if (nums.length < 4) {
+				normalizations.push('short');
+			}
+			// The last part fills all the remaining bits, and the others are octets
+			const last = /** @type {number} */ (nums.pop());
+			if (nums.length > 3 || nums.some((num) => num > 255) || last >= Math.pow(2, 8 * (4 - nums.length))) {
+				return {parsed: null, normalizations: []};
+			}
+			for (let i = 3 - nums.length; i >= 0; i--) {
+				nums.push(Math.floor(last / Math.pow(2, 8 * i)) % 256);
+			}
+			ipStr = nums.join('.') + (m[2] || '');
+		}
 
+		const parsed = this.parse(ipStr, void 0, allowZone);
+		return {
+			parsed,
+			normalizations: parsed ? normalizations.filter((el, i, arr) => arr.indexOf(el) === i) : []
+		};
 	}
 
 	/**
@@ -135,20 +338,7 @@ class IPBase {
 		}
 
 		// Get the netmask
-		const netMaskParts =
-			(
-				// Convert the bit length to a 32- or 128-bit binary-representing string.
-				// e.g. if the input is IPv4 and bitLen is 24, this will be `11111111 11111111 11111111 00000000`.
-				// The max bit length is the square of the number of IP parts multiplied by 2:
-				// 4^2*2=32 or 8^2*2=128 (where "^" here is an exponent operator, not the JS bitwise XOR)
-				// If JS allowed 52-bit+ numbers, we would be able to use something like `~(1 << bitLen) >>> 0`
-				// instead, but the result will cause an overflow in the case of IPv6.
-				('1'.repeat(bitLen) + '0'.repeat(Math.pow(parts.length, 2) * 2 - bitLen))
-				// Split the string to an array of 8- or 16-bit binary-representing strings
-				.match(new RegExp(`.{${parts.length * 2}}`, 'g')) || []
-			)
-			// Map the binary-representing strings to decimals, e.g. [255, 255, 255, 0]
-			.map(/** @param {string} bin */ (bin) => parseInt(bin, 2));
+		const netMaskParts = this.getNetmaskParts(bitLen, parts.length);
 
 		// Get the first address
 		const first = parts.map((el, i) => {
@@ -176,6 +366,87 @@ class IPBase {
 
 	}
 
+	/**
+	 * Get the netmask for a bit length as an array of decimals.
+	 * @param {number} bitLen
+	 * @param {number} partCount `4` for IPv4, `8` for IPv6.
+	 * @returns {number[]} e.g. `[255, 255, 255, 0]` for IPv4 and a bit length of `24`.
+	 * @protected
+	 */
+	static getNetmaskParts(bitLen, partCount) {
+		return (
+			(
+				// Convert the bit length to a 32- or 128-bit binary-representing string.
+				// e.g. if the input is IPv4 and bitLen is 24, this will be `11111111 11111111 11111111 00000000`.
+				// The max bit length is the square of the number of IP parts multiplied by 2:
+				// 4^2*2=32 or 8^2*2=128 (where "^" here is an exponent operator, not the JS bitwise XOR)
+				// If JS allowed 52-bit+ numbers, we would be able to use something like `~(1 << bitLen) >>> 0`
+				// instead, but the result will cause an overflow in the case of IPv6.
+				('1'.repeat(bitLen) + '0'.repeat(Math.pow(partCount, 2) * 2 - bitLen))
+				// Split the string to an array of 8- or 16-bit binary-representing strings
+				.match(new RegExp(`.{${partCount * 2}}`, 'g')) || []
+			)
+			// Map the binary-representing strings to decimals, e.g. [255, 255, 255, 0]
+			.map(/** @param {string} bin */ (bin) => parseInt(bin, 2))
+		);
+	}
+
+	/**
+	 * Convert an array of IP parts in decimals to a 32- or 128-bit binary-representing string.
+	 * @param {number[]} parts
+	 * @returns {string}
+	 * @protected
+	 */
+	static partsToBinary(parts) {
+		const partBitLen = parts.length === 4 ? 8 : 16;
+		return parts.map((el) => this.padStart(el.toString(2), partBitLen)).join('');
+	}
+
+	/**
+	 * Parse a string that represents an IP address with a netmask or a wildcard mask, e.g.
+	 * `192.168.0.0 255.255.255.0`, `192.168.0.0/255.255.255.0` or `192.168.0.0 0.0.0.255`.
+	 * @param {string} str
+	 * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+	 * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+	 * all-zero and all-one masks) are interpreted as netmasks.
+	 * @returns {{range: RangeObject; error: null;}|{range: null; error: string;}}
+	 * @protected
+	 */
+	static parseMaskedAddress(str, wildcard) {
+		const m = typeof str === 'string' && this.clean(str).match(/^(\S+?)(?:\s+|\/)(\S+)$/);
+		if (!m) {
+			return {range: null, error: 'The input is not in the form of "address netmask" or "address/netmask".'};
+		}
+		const address = this.parse(m[1]);
+		if (!address || address.bitLen !== null) {
+			return {range: null, error: `"${m[1]}" is not a valid IP address.`};
+		}
+		if (/^\d+$/.test(m[2])) {
+			// Prefix length
+			const parsed = this.parse(m[1], parseInt(m[2]));
+			if (!parsed) {
+				return {range: null, error: `"${m[2]}" is not a valid bit length.`};
+			}
+			return {range: this.parseRange(parsed.parts, parsed.bitLen), error: null};
+		}
+		const mask = this.parse(m[2]);
+		if (!mask || mask.bitLen !== null || mask.parts.length !== address.parts.length) {
+			return {range: null, error: `"${m[2]}" is not a valid mask for an IPv${address.parts.length === 4 ? 4 : 6} address.`};
+		}
+		const bin = this.partsToBinary(mask.parts);
+		let bitLen = -1;
+		if (wildcard !== true && /^1*0*$/.test(bin)) {
+			bitLen = bin.indexOf('0') === -1 ? bin.length : bin.indexOf('0');
+		} else if (wildcard !== false && /^0*1*$/.test(bin)) {
+			bitLen = bin.indexOf('1') === -1 ? bin.length : bin.indexOf('1');
+		}
+		if (bitLen === -1) {
+			const type = wildcard === true ? 'wildcard mask' : wildcard === false ? 'netmask' : 'mask';
+			return {range: null, error: `"${m[2]}" is not a valid ${type} because its bits are not contiguous.`};
+		}
+		return {range: this.parseRange(address.parts, bitLen), error: null};
+	}
+
 	/**
 	 * Stringify an array of IP parts in decimals.
 	 * @param {number[]} decimals
@@ -189,32 +460,352 @@ class IPBase {
 		let parts = decimals;
 		const version = parts.length === 4 ? 4 : 6;
 		const delimiter = version === 4 ? '.' : ':';
-		const {mode, capitalize} = options;
-		if (version === 6) {
-			// IPv6's parts need to be converted from decimal to hex
-			parts = parts.map(el => el.toString(16));
-		}
-		if (mode === 'short' && version === 6) {
-			let ret = parts.join(delimiter) + ':'; // Temporarily add a trailing :
-			const zeros = ret.match(/(?:0:){2,}/g);
-			if (zeros) {
-				const longest = zeros.reduce((a, b) => a.length > b.length ? a : b);
-				ret = ret
-					// Replace the longest recurrences of 0: with ::
-					.replace(longest, '::')
-					// Replace any ::: with :: produced by the replacement
-					.replace(':::', '::')
-					// Remove a single trailing :, if any
-					.replace(/([^:]):$/, '$1');
+		const {mode, capitalize, tieBreak, compressLoneZero} = options;
+		if (version === 4) {
+			if (mode === 'long') {
+				parts = parts.map((el) => this.padStart(el.toString(), 3));
+			}
+			return this.modCase(parts.join(delimiter) + suffix, capitalize);
+		}
+
+		// IPv6's parts need to be converted from decimal to hex
+		parts = parts.map((el) => {
+			const hex = el.toString(16);
+			return mode === 'long' ? this.padStart(hex, 4) : hex;
+		});
+		let hextetCount = 8;
+		if (
+			mode === 'mixed' && this.hasEmbeddedIPv4(decimals) ||
+			// RFC 5952 section 5 recommends the mixed notation for IPv4-mapped addresses
+			mode === 'rfc5952' && decimals.slice(0, 6).join(':') === this.IPV4_MAPPED_PREFIX.join(':')
+		) {
+			// Replace the last two hextets with a dotted quad
+			const [c, d] = decimals.slice(6);
+			parts.splice(6, 2, [c >> 8, c & 0xff, d >> 8, d & 0xff].join('.'));
+			hextetCount = 6;
+		}
+		if (mode === 'short' || mode === 'mixed' || mode === 'rfc5952') {
+			// Replace the longest run of zero hextets with ::
+			const {index, length} = mode === 'rfc5952'
+				? this.findZeroRun(decimals.slice(0, hextetCount))
+				: this.findZeroRun(decimals.slice(0, hextetCount), tieBreak === 'last', compressLoneZero ? 1 : 2);
+			if (index !== -1) {
+				parts = [
+					parts.slice(0, index).join(delimiter) + '::' + parts.slice(index + length).join(delimiter)
+				];
+			}
+		}
+		return this.modCase(parts.join(delimiter) + suffix, capitalize && mode !== 'rfc5952');
+	}
+
+	/**
+	 * Same as {@link stringify}, except that a zone ID is inserted before the suffix as is, without
+	 * being affected by `options.capitalize`.
+	 * @param {number[]} decimals
+	 * @param {string?} zone
+	 * @param {string} suffix
+	 * @param {StringifyOptions} [options]
+	 * @returns {string}
+	 * @protected
+	 */
+	static stringifyWithZone(decimals, zone, suffix, options) {
+		return this.stringify(decimals, '', options) + (zone !== null ? '%' + zone : '') + suffix;
+	}
+
+	/**
+	 * Find the longest run of consecutive zeros in an array of IPv6 hextets.
+	 * @param {number[]} hextets
+	 * @param {boolean} [last] Whether to take the last of the longest runs instead of the first one
+	 * if there are multiple runs of the same length. Defaults to `false` (as required by RFC 5952).
+	 * @param {number} [minLength] The minimum length of a run, which defaults to `2`.
+	 * @returns {{index: number; length: number;}} `index` is `-1` if no such run is found.
+	 * @protected
+	 */
+	static findZeroRun(hextets, last = false, minLength = 2) {
+		let index = -1;
+		let length = minLength - 1;
+		for (let i = 0; i < hextets.length; i++) {
+			let j = i;
+			while (j < hextets.length && hextets[j] === 0) {
+				j++;
+			}
+			if (j - i > length || last && j - i === length && index !== -1) {
+				index = i;
+				length = j - i;
+			}
+			i = j;
+		}
+		return {index, length: index === -1 ? 0 : length};
+	}
+
+	/**
+	 * Pad the start of a string with `0` up to the given length.
+	 * @param {string} str
+	 * @param {number} length
+	 * @returns {string}
+	 * @protected
+	 */
+	static padStart(str, length) {
+		return '0'.repeat(Math.max(length - str.length, 0)) + str;
+	}
+
+	/**
+	 * The first six hextets of IPv4-mapped IPv6 addresses (`::ffff:0:0/96`).
+	 * @type {number[]}
+	 * @protected
+	 */
+	static get IPV4_MAPPED_PREFIX() {
+		return [0, 0, 0, 0, 0, 0xffff];
+	}
+
+	/**
+	 * The first six hextets of the NAT64 well-known prefix (`64:ff9b::/96`).
+	 * @type {number[]}
+	 * @protected
+	 */
+	static get NAT64_PREFIX() {
+		return [0x64, 0xff9b, 0, 0, 0, 0];
+	}
+
+	/**
+	 * The table of special-purpose address blocks, as objects of the registry CIDR, the category
+	 * name, the registry name and the parsed range of the CIDR. The table is built once and cached.
+	 * @see https://www.iana.org/assignments/iana-ipv4-special-registry/
+	 * @see https://www.iana.org/assignments/iana-ipv6-special-registry/
+	 * @type {SpecialBlock[]}
+	 * @protected
+	 */
+	static get SPECIAL_BLOCKS() {
+		if (specialBlocks) {
+			return specialBlocks;
+		}
+		/** @type {[string, Exclude<AddressScope, 'global'>, string][]} */
+		const table = [
+			['0.0.0.0/8', 'this-network', 'This network'],
+			['0.0.0.0/32', 'unspecified', 'This host on this network'],
+			['10.0.0.0/8', 'private', 'Private-Use'],
+			['100.64.0.0/10', 'cgnat', 'Shared Address Space'],
+			['127.0.0.0/8', 'loopback', 'Loopback'],
+			['169.254.0.0/16', 'link-local', 'Link Local'],
+			['172.16.0.0/12', 'private', 'Private-Use'],
+			['192.0.0.0/24', 'reserved', 'IETF Protocol Assignments'],
+			['192.0.2.0/24', 'documentation', 'Documentation (TEST-NET-1)'],
+			['192.31.196.0/24', 'reserved', 'AS112-v4'],
+			['192.52.193.0/24', 'reserved', 'AMT'],
+			['192.88.99.0/24', '6to4', 'Deprecated (6to4 Relay Anycast)'],
+			['192.168.0.0/16', 'private', 'Private-Use'],
+			['192.175.48.0/24', 'reserved', 'Direct Delegation AS112 Service'],
+			['198.18.0.0/15', 'benchmarking', 'Benchmarking'],
+			['198.51.100.0/24', 'documentation', 'Documentation (TEST-NET-2)'],
+			['203.0.113.0/24', 'documentation', 'Documentation (TEST-NET-3)'],
+			['224.0.0.0/4', 'multicast', 'Multicast'],
+			['233.252.0.0/24', 'documentation', 'MCAST-TEST-NET'],
+			['240.0.0.0/4', 'reserved', 'Reserved'],
+			['255.255.255.255/32', 'broadcast', 'Limited Broadcast'],
+			['::/128', 'unspecified', 'Unspecified Address'],
+			['::1/128', 'loopback', 'Loopback Address'],
+			['::ffff:0:0/96', 'ipv4-mapped', 'IPv4-mapped Address'],
+			['64:ff9b::/96', 'nat64', 'IPv4-IPv6 Translat.'],
+			['64:ff9b:1::/48', 'nat64', 'IPv4-IPv6 Translat.'],
+			['100::/64', 'reserved', 'Discard-Only Address Block'],
+			['2001::/23', 'reserved', 'IETF Protocol Assignments'],
+			['2001::/32', 'teredo', 'TEREDO'],
+			['2001:2::/48', 'benchmarking', 'Benchmarking'],
+			['2001:db8::/32', 'documentation', 'Documentation'],
+			['2001:20::/28', 'reserved', 'ORCHIDv2'],
+			['2002::/16', '6to4', '6to4'],
+			['3fff::/20', 'documentation', 'Documentation'],
+			['5f00::/16', 'reserved', 'Segment Routing (SRv6) SIDs'],
+			['fc00::/7', 'unique-local', 'Unique-Local'],
+			['fe80::/10', 'link-local', 'Link-Local Unicast'],
+			['ff00::/8', 'multicast', 'Multicast']
+		];
+		specialBlocks = table.map(([cidr, scope, name]) => ({
+			cidr,
+			scope,
+			name,
+			range: /** @type {RangeObject} */ (this.getRangeObject(cidr))
+		}));
+		return specialBlocks;
+	}
+
+	/**
+	 * Classify a range object against the table of special-purpose address blocks.
+	 * @param {RangeObject} range
+	 * @returns {ScopeInfo}
+	 * @protected
+	 */
+	static getScopeInfo(range) {
+		/** @type {ScopeInfo} */
+		const ret = {
+			scope: 'global',
+			cidr: null,
+			name: null,
+			partial: []
+		};
+		let bestBitLen = -1;
+		for (const {cidr, scope, name, range: block} of this.SPECIAL_BLOCKS) {
+			if (block.first.length !== range.first.length) {
+				continue;
+			}
+			if (this.compareParts(block.first, range.first) <= 0 && this.compareParts(range.last, block.last) <= 0) {
+				// The block fully contains the range; prefer the most specific one
+				if (block.bitLen > bestBitLen) {
+					bestBitLen = block.bitLen;
+					Object.assign(ret, {scope, cidr, name});
+				}
+			} else if (this.compareParts(block.first, range.last) <= 0 && this.compareParts(range.first, block.last) <= 0) {
+				ret.partial.push({scope, cidr, name});
+			}
+		}
+		return ret;
+	}
+
+	/**
+	 * Evaluate whether an array of IPv6 hextets starts with the IPv4-mapped prefix or the NAT64
+	 * well-known prefix, i.e. whether its last 32 bits represent an embedded IPv4 address.
+	 * @param {number[]} hextets
+	 * @returns {boolean}
+	 * @protected
+	 */
+	static hasEmbeddedIPv4(hextets) {
+		const prefix = hextets.slice(0, 6).join(':');
+		return hextets.length === 8 && (
+			prefix === this.IPV4_MAPPED_PREFIX.join(':') ||
+			prefix === this.NAT64_PREFIX.join(':')
+		);
+	}
+
+	/**
+	 * Convert an array of IP parts in decimals to a hex string in the format of MediaWiki's
+	 * `IPUtils::toHex`, e.g. `C0A80001` for IPv4 and `v6-20010DB8000000000000000000000001` for IPv6.
+	 * @param {number[]} parts
+	 * @returns {string}
+	 * @protected
+	 */
+	static partsToHex(parts) {
+		const width = parts.length === 4 ? 2 : 4;
+		const hex = parts.map((el) => this.padStart(el.toString(16), width)).join('').toUpperCase();
+		return parts.length === 4 ? hex : 'v6-' + hex;
+	}
+
+	/**
+	 * Convert a hex string in the format of MediaWiki's `IPUtils::toHex` to an array of IP parts in decimals.
+	 * @param {string} hex
+	 * @returns {number[]?} `null` if the input is not a valid hex string.
+	 * @protected
+	 */
+	static hexToParts(hex) {
+		let m;
+		if (typeof hex !== 'string') {
+			return null;
+		} else if ((m = this.clean(hex).match(/^(?:([0-9a-f]{8})|v6-([0-9a-f]{32}))$/i))) {
+			const width = m[1] ? 2 : 4;
+			return (/** @type {string[]} */ ((m[1] || m[2]).match(new RegExp(`.{${width}}`, 'g'))))
+				.map((el) => parseInt(el, 16));
+		}
+		return null;
+	}
+
+	/**
+	 * Convert a range object to a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain.
+	 * @param {RangeObject} range
+	 * @returns {string?} `null` if the range is an IPv6 CIDR whose bit length is not a multiple of 4.
+	 * @protected
+	 */
+	static rangeToReverseName(range) {
+		const {first, bitLen} = range;
+		if (first.length === 4) {
+			// Octets covered by the prefix, with a partial one in the RFC 2317 notation (e.g. `64/26`)
+			const octetCount = Math.floor(bitLen / 8);
+			const labels = first.slice(0, octetCount).map(String);
+			if (bitLen % 8) {
+				labels.push(first[octetCount] + '/' + bitLen);
+			}
+			return labels.reverse().concat('in-addr', 'arpa').join('.');
+		}
+		if (bitLen % 4) {
+			return null;
+		}
+		const nibbles = first.map((el) => this.padStart(el.toString(16), 4)).join('').slice(0, bitLen / 4);
+		return nibbles.split('').reverse().concat('ip6', 'arpa').join('.');
+	}
+
+	/**
+	 * Convert a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain to a range object.
+	 * @param {string} name
+	 * @returns {RangeObject?} `null` if the input is not a valid reverse DNS name.
+	 * @protected
+	 */
+	static reverseNameToRange(name) {
+		if (typeof name !== 'string') {
+			return null;
+		}
+		const labels = this.clean(name).toLowerCase().replace(/\.$/, '').split('.').reverse();
+		const domain = labels.splice(0, 2).reverse().join('.');
+		/** @type {number[]} */
+		const parts = [];
+		let bitLen;
+		if (domain === 'in-addr.arpa' && labels.length <= 4) {
+			bitLen = labels.length * 8;
+			for (let i = 0; i < labels.length; i++) {
+				let m;
+				if (/^(?:0|[1-9]\d{0,2})$/.test(labels[i])) {
+					parts.push(parseInt(labels[i]));
+				} else if (i === labels.length - 1 && (m = labels[i].match(/^(0|[1-9]\d{0,2})\/(\d{1,2})$/))) {
+					// RFC 2317 classless delegation (e.g. `64/26.2.0.192.in-addr.arpa`)
+					parts.push(parseInt(m[1]));
+					bitLen = parseInt(m[2]);
+					if (!(bitLen > i * 8 && bitLen < labels.length * 8)) {
+						return null;
+					}
+				} else {
+					return null;
+				}
+			}
+			if (parts.some((el) => el > 255)) {
+				return null;
 			}
-			return this.modCase(ret + suffix, capitalize);
-		} else if (mode === 'long') {
-			parts = parts.map((el) => {
-				const str = el.toString();
-				return '0'.repeat((version === 4 ? 3 : 4) - str.length) + str;
-			});
+			while (parts.length < 4) {
+				parts.push(0);
+			}
+		} else if (domain === 'ip6.arpa' && labels.length <= 32 && labels.every((el) => /^[0-9a-f]$/.test(el))) {
+			bitLen = labels.length * 4;
+			const nibbles = labels.join('') + '0'.repeat(32 - labels.length);
+			for (let i = 0; i < 32; i += 4) {
+				parts.push(parseInt(nibbles.slice(i, i + 4), 16));
+			}
+		} else {
+			return null;
+		}
+		const range = this.parseRange(parts, bitLen === parts.length * (parts.length === 4 ? 8 : 16) ? null : bitLen);
+		return range.first.every((el, i) => el === parts[i]) ? range : null;
+	}
+
+	/**
+	 * Parse a string that represents a 48-bit MAC address, in any of the following formats
+	 * (case-insensitive):
+	 * * `00:1a:2b:3c:4d:5e`
+	 * * `00-1a-2b-3c-4d-5e`
+	 * * `001a.2b3c.4d5e`
+	 * * `001a2b3c4d5e`
+	 * @param {string} str
+	 * @returns {number[]?} An array of 6 bytes in decimals, or `null` if the input is not a valid MAC address.
+	 * @protected
+	 */
+	static parseMac(str) {
+		if (typeof str !== 'string') {
+			return null;
+		}
+		str = this.clean(str);
+		if (
+			!/^[0-9a-f]{2}([:-])(?:[0-9a-f]{2}\1){4}[0-9a-f]{2}$/i.test(str) &&
+			!/^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/i.test(str) &&
+			!/^[0-9a-f]{12}$/i.test(str)
+		) {
+			return null;
 		}
-		return this.modCase(parts.join(delimiter) + suffix, capitalize);
+		return (/** @type {string[]} */ (str.replace(/[:.-]/g, '').match(/.{2}/g))).map((el) => parseInt(el, 16));
 	}
 
 	/**
@@ -234,13 +825,16 @@ class IPBase {
 	 * @param {StringifyOptions} options
 	 * @param {ConditionPredicate} [conditionPredicate]
 	 * Optional IP address conditions to perform stringification.
+	 * @param {ParseOptions} [parseOptions] How to parse the input string.
 	 * @returns {string?} `null` if:
 	 * * The input string does not represent an IP address.
 	 * * The parsed IP address does not meet the conditions specified by `conditionPredicate`
 	 * @protected
 	 */
-	static parseAndStringify(ipStr, options, conditionPredicate) {
-		let {parts, bitLen} = this.parse(ipStr) || {parts: null, bitLen: null};
+	static parseAndStringify(ipStr, options, conditionPredicate, parseOptions = {}) {
+		const {lenient, allowZone} = parseOptions;
+		const parsed = lenient ? this.parseLenient(ipStr, allowZone).parsed : this.parse(ipStr, void 0, allowZone);
+		let {parts, bitLen, zone} = parsed || {parts: null, bitLen: null, zone: null};
 		if (
 			parts === null ||
 			conditionPredicate && !conditionPredicate(parts.length === 4 ? 4 : 6, bitLen !== null)
@@ -250,7 +844,7 @@ class IPBase {
 		// If CIDR, correct any inaccurate ones
 		parts = this.parseRange(parts, bitLen).first;
 		const suffix = bitLen !== null ? '/' + bitLen : '';
-		return this.stringify(parts, suffix, options);
+		return this.stringifyWithZone(parts, zone, suffix, options);
 	}
 
 	/**
@@ -258,12 +852,13 @@ class IPBase {
 	 * @param {RangeObject} ip1 An object of arrays of the IP parts in decimals.
 	 * @param {string|IP} ip2
 	 * @param {"<"|">"} comparator Which of `ip1` and `ip2` is expected to be broader.
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in `ip2`. Defaults to `false`.
 	 * @returns {boolean?} `null` if `ip2` does not represent an IP address.
 	 * @protected
 	 */
-	static compareRanges(ip1, ip2, comparator) {
+	static compareRanges(ip1, ip2, comparator, allowZone = false) {
 		const range1 = ip1;
-		const range2 = this.getRangeObject(ip2);
+		const range2 = this.getRangeObject(ip2, allowZone);
 		if (range2 === null) {
 			return null;
 		}
@@ -293,14 +888,15 @@ class IPBase {
 	 * Given an IP string or instance, parse it into an object of arrays of decimals that
 	 * represent the parts of the first and last IPs.
 	 * @param {string|IP} ip
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in the input string. Defaults to `false`.
 	 * @returns {RangeObject?} `null` if the input string does not represent an IP address.
 	 * @protected
 	 */
-	static getRangeObject(ip) {
+	static getRangeObject(ip, allowZone = false) {
 		if (ip instanceof IP) {
 			return ip.getProperties();
 		} else {
-			const {parts, bitLen} = this.parse(ip) || {parts: null, bitLen: null};
+			const {parts, bitLen} = this.parse(ip, void 0, allowZone) || {parts: null, bitLen: null};
 			if (!parts) {
 				return null;
 			}
@@ -309,18 +905,59 @@ class IPBase {
 	}
 
 	/**
-	 * Check the equality of two IP addresses.
-	 * @param {RangeObject} ipObj An object of arrays of the IP parts in decimals.
-	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
-	 * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
+	 * Get the span of IP addresses represented by an IP-like input, the bounds of a span, or an array
+	 * of IP-like inputs that together cover a contiguous span.
+	 * @param {string|IP|RangeBounds|(string|IP)[]} other
+	 * @returns {{first: number[]; last: number[];}?} `null` if:
+	 * * Any of the inputs does not represent an IP address.
+	 * * The inputs are of different IP versions.
+	 * * The first address of `RangeBounds` is larger than the last.
+	 * * The array is empty or does not cover a contiguous span.
 	 * @protected
 	 */
-	static checkEquality(ipObj, ipStr) {
-		const ip1 = ipObj;
-		const ip2 = this.getRangeObject(ipStr);
-		if (!ip2) {
-			return null;
-		}
+	static getSpan(other) {
+		if (Array.isArray(other)) {
+			/** @type {{first: number[]; last: number[];}[]} */
+			const spans = [];
+			for (const ip of other) {
+				const range = this.getRangeObject(ip);
+				if (!range || spans.length && range.first.length !== spans[0].first.length) {
+					return null;
+				}
+				spans.push({first: range.first, last: range.last});
+			}
+			const merged = this.mergeSpans(spans);
+			return merged.length === 1 ? merged[0] : null;
+		} else if (other && typeof other === 'object' && !(other instanceof IP)) {
+			const range1 = this.getRangeObject(other.first);
+			const range2 = this.getRangeObject(other.last);
+			if (
+				!range1 || !range2 ||
+				range1.first.length !== range2.last.length ||
+				this.compareParts(range1.first, range2.last) > 0
+			) {
+				return null;
+			}
+			return {first: range1.first, last: range2.last};
+		}
+		const range = this.getRangeObject(other);
+		return range && {first: range.first, last: range.last};
+	}
+
+	/**
+	 * Check the equality of two IP addresses.
+	 * @param {RangeObject} ipObj An object of arrays of the IP parts in decimals.
+	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+	 * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in `ipStr`. Defaults to `false`.
+	 * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
+	 * @protected
+	 */
+	static checkEquality(ipObj, ipStr, allowZone = false) {
+		const ip1 = ipObj;
+		const ip2 = this.getRangeObject(ipStr, allowZone);
+		if (!ip2) {
+			return null;
+		}
 		if (ip1.first.length !== ip2.first.length || ip1.bitLen !== ip2.bitLen) {
 			return false;
 		} else {
@@ -328,6 +965,376 @@ class IPBase {
 		}
 	}
 
+	/**
+	 * Check whether two IP-like inputs have the same zone ID (or both have none), if `options.respectZone` is on.
+	 * @param {string|IP} ip1
+	 * @param {string|IP} ip2
+	 * @param {ZoneOptions} options
+	 * @returns {boolean} Always `true` if `options.respectZone` is off.
+	 * @protected
+	 */
+	static checkZones(ip1, ip2, options) {
+		if (!options.respectZone) {
+			return true;
+		}
+		/**
+		 * @param {string|IP} ip
+		 * @returns {string?}
+		 */
+		const getZone = (ip) => ip instanceof IP ? ip.getZone() : (this.parse(ip, void 0, true) || {zone: null}).zone;
+		return getZone(ip1) === getZone(ip2);
+	}
+
+	/**
+	 * Compare two arrays of IP parts in decimals numerically.
+	 * @param {number[]} parts1
+	 * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+	 * @returns {number} A negative number if `parts1` is smaller, a positive number if `parts1` is
+	 * larger, and `0` if they are equal.
+	 * @protected
+	 */
+	static compareParts(parts1, parts2) {
+		for (let i = 0; i < parts1.length; i++) {
+			if (parts1[i] !== parts2[i]) {
+				return parts1[i] - parts2[i];
+			}
+		}
+		return 0;
+	}
+
+	/**
+	 * Compare two range objects to determine their order. The order is defined as follows:
+	 * * IPv4 addresses precede IPv6 addresses.
+	 * * Addresses of the same version are ordered by their first addresses.
+	 * * If the first addresses are the same, broader CIDRs precede narrower ones, i.e. a CIDR
+	 * precedes its first address as a single IP address.
+	 * @param {RangeObject} range1
+	 * @param {RangeObject} range2
+	 * @returns {number} A negative number if `range1` comes first, a positive number if `range2` comes
+	 * first, and `0` if they are equal.
+	 * @protected
+	 */
+	static compareRangeObjects(range1, range2) {
+		if (range1.first.length !== range2.first.length) {
+			return range1.first.length - range2.first.length;
+		}
+		return this.compareParts(range1.first, range2.first) || range1.bitLen - range2.bitLen;
+	}
+
+	/**
+	 * Add an integer to an array of IP parts in decimals.
+	 * @param {number[]} parts
+	 * @param {number} n A (possibly negative) safe integer.
+	 * @returns {number[]?} A new array, or `null` if the result overflows or underflows the address space.
+	 * @protected
+	 */
+	static addToParts(parts, n) {
+		const base = parts.length === 4 ? 0x100 : 0x10000;
+		const ret = parts.slice();
+		let carry = n;
+		for (let i = ret.length - 1; i >= 0 && carry !== 0; i--) {
+			const sum = ret[i] + carry;
+			ret[i] = (sum % base + base) % base;
+			carry = Math.floor(sum / base);
+		}
+		return carry === 0 ? ret : null;
+	}
+
+	/**
+	 * Add two arrays of IP parts in decimals.
+	 * @param {number[]} parts1
+	 * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+	 * @returns {number[]?} A new array, or `null` if the result overflows the address space.
+	 * @protected
+	 */
+	static addParts(parts1, parts2) {
+		const base = parts1.length === 4 ? 0x100 : 0x10000;
+		const ret = [];
+		let carry = 0;
+		for (let i = parts1.length - 1; i >= 0; i--) {
+			const sum = parts1[i] + parts2[i] + carry;
+			ret.unshift(sum % base);
+			carry = sum >= base ? 1 : 0;
+		}
+		return carry ? null : ret;
+	}
+
+	/**
+	 * Subtract an array of IP parts in decimals from another.
+	 * @param {number[]} parts1
+	 * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+	 * @returns {number[]?} A new array, or `null` if the result underflows the address space.
+	 * @protected
+	 */
+	static subtractParts(parts1, parts2) {
+		const base = parts1.length === 4 ? 0x100 : 0x10000;
+		const ret = [];
+		let borrow = 0;
+		for (let i = parts1.length - 1; i >= 0; i--) {
+			const diff = parts1[i] - parts2[i] - borrow;
+			ret.unshift(diff < 0 ? diff + base : diff);
+			borrow = diff < 0 ? 1 : 0;
+		}
+		return borrow ? null : ret;
+	}
+
+	/**
+	 * Convert a non-negative integer to an array of IP parts in decimals.
+	 * @param {number|bigint} n A safe integer or a BigInt.
+	 * @param {4|6} version
+	 * @param {number} [shift] The number of bits to shift `n` to the left. Defaults to `0`.
+	 * @returns {number[]?} `null` if `n` is not a non-negative integer or does not fit in the address space.
+	 * @protected
+	 */
+	static integerToParts(n, version, shift = 0) {
+		if (
+			!(typeof n === 'number' && Number.isSafeInteger(n) || typeof n === 'bigint') ||
+			n < 0
+		) {
+			return null;
+		}
+		const maxBitLen = version === 4 ? 32 : 128;
+		const bin = (n.toString(2) + '0'.repeat(shift)).replace(/^0+(?=.)/, '');
+		if (bin.length > maxBitLen) {
+			return null;
+		}
+		// Split the 32- or 128-bit binary-representing string into 8- or 16-bit chunks
+		return (this.padStart(bin, maxBitLen).match(new RegExp(`.{${version === 4 ? 8 : 16}}`, 'g')) || [])
+			.map((chunk) => parseInt(chunk, 2));
+	}
+
+	/**
+	 * Evaluate whether the runtime environment supports BigInt.
+	 * @returns {boolean}
+	 * @protected
+	 */
+	static hasBigInt() {
+		return typeof BigInt === 'function';
+	}
+
+	/**
+	 * Get the bit at a given position of an array of IP parts in decimals.
+	 * @param {number[]} parts
+	 * @param {number} index The zero-based position of the bit, counted from the most significant bit.
+	 * @returns {0|1}
+	 * @protected
+	 */
+	static getBitOfParts(parts, index) {
+		const partBitLen = parts.length === 4 ? 8 : 16;
+		const part = parts[Math.floor(index / partBitLen)];
+		return /** @type {0|1} */ (part >> (partBitLen - 1 - index % partBitLen) & 1);
+	}
+
+	/**
+	 * Get the number of leading bits that two arrays of IP parts in decimals have in common.
+	 * @param {number[]} parts1
+	 * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+	 * @returns {number}
+	 * @protected
+	 */
+	static getCommonPrefixLength(parts1, parts2) {
+		const maxBitLen = parts1.length === 4 ? 32 : 128;
+		let i = 0;
+		while (i < maxBitLen && this.getBitOfParts(parts1, i) === this.getBitOfParts(parts2, i)) {
+			i++;
+		}
+		return i;
+	}
+
+	/**
+	 * Decompose the span between two IP addresses into the minimal set of CIDRs that cover it exactly.
+	 * @param {number[]} first The IP parts of the first address of the span.
+	 * @param {number[]} last The IP parts of the last address of the span. Must be of the same IP version
+	 * as `first` and must not be smaller than it.
+	 * @returns {RangeObject[]} An array of range objects in ascending order. Single addresses have their
+	 * `isCidr` properties set to `false`.
+	 * @protected
+	 */
+	static decomposeRange(first, last) {
+		const maxBitLen = first.length === 4 ? 32 : 128;
+		/** @type {RangeObject[]} */
+		const ret = [];
+		/** @type {number[]?} */
+		let start = first;
+		while (start && this.compareParts(start, last) <= 0) {
+			// Find the broadest CIDR that starts at `start` and does not go beyond `last`
+			let range = this.parseRange(start, maxBitLen);
+			for (let bitLen = 0; bitLen < maxBitLen; bitLen++) {
+				const r = this.parseRange(start, bitLen);
+				if (this.compareParts(r.first, start) === 0 && this.compareParts(r.last, last) <= 0) {
+					range = r;
+					break;
+				}
+			}
+			range.isCidr = range.bitLen !== maxBitLen;
+			ret.push(range);
+			start = this.addToParts(range.last, 1);
+		}
+		return ret;
+	}
+
+	/**
+	 * Generate the subnets of a given bit length in a span of IP addresses, in ascending order.
+	 * @param {number[]} first The first address of the span, which must be aligned to `bitLen`.
+	 * @param {number[]} last The last address of the span.
+	 * @param {number} bitLen
+	 * @returns {Generator<RangeObject, void, undefined>} Range objects with their `isCidr` properties
+	 * set to `true`, even at the maximum bit length.
+	 * @protected
+	 */
+	static *generateSubnets(first, last, bitLen) {
+		/** @type {number[]?} */
+		let start = first;
+		while (start && this.compareParts(start, last) <= 0) {
+			const range = this.parseRange(start, bitLen);
+			yield range;
+			start = this.addToParts(range.last, 1);
+		}
+	}
+
+	/**
+	 * Check a range object against CIDR limits.
+	 * @param {RangeObject} range
+	 * @param {CIDRLimit} [limits]
+	 * @returns {{allowed: boolean; limit: number; count: number;}} `count` is the number of CIDRs of the
+	 * limit size that cover the range, or `1` if the range is within the limit.
+	 * @protected
+	 */
+	static checkLimit(range, limits = {}) {
+		const version = range.first.length === 4 ? 4 : 6;
+		const defaultLimit = version === 4 ? 16 : 19;
+		const maxBitLen = version === 4 ? 32 : 128;
+		const limit = version === 4 ? limits.IPv4 : limits.IPv6;
+		const limitBitLen = typeof limit === 'number' ? Math.min(Math.max(limit, 0), maxBitLen) : defaultLimit;
+		const allowed = range.bitLen >= limitBitLen;
+		return {
+			allowed,
+			limit: limitBitLen,
+			// Powers of 2 are exact in floating point, even beyond Number.MAX_SAFE_INTEGER
+			count: allowed ? 1 : Math.pow(2, limitBitLen - range.bitLen)
+		};
+	}
+
+	/**
+	 * Get the relationship of a span of IP addresses to another.
+	 * @param {{first: number[]; last: number[];}} span1
+	 * @param {{first: number[]; last: number[];}} span2
+	 * @returns {RangeRelation}
+	 * @protected
+	 */
+	static getRelation(span1, span2) {
+		if (span1.first.length !== span2.first.length) {
+			return 'disjoint';
+		}
+		const cmpFirst = this.compareParts(span1.first, span2.first);
+		const cmpLast = this.compareParts(span1.last, span2.last);
+		if (cmpFirst === 0 && cmpLast === 0) {
+			return 'equal';
+		} else if (cmpFirst <= 0 && cmpLast >= 0) {
+			return 'contains';
+		} else if (cmpFirst >= 0 && cmpLast <= 0) {
+			return 'contained-by';
+		}
+		const [lower, upper] = cmpFirst < 0 ? [span1, span2] : [span2, span1];
+		const next = this.addToParts(lower.last, 1);
+		const cmp = next ? this.compareParts(next, upper.first) : 1;
+		if (cmp > 0) {
+			return 'overlapping';
+		} else if (cmp === 0) {
+			return 'adjacent';
+		} else {
+			return 'disjoint';
+		}
+	}
+
+	/**
+	 * Merge overlapping and adjacent spans of IP addresses.
+	 * @param {{first: number[]; last: number[];}[]} spans An array of spans of the same IP version.
+	 * @returns {{first: number[]; last: number[];}[]} A new array of non-overlapping, non-adjacent spans
+	 * in ascending order.
+	 * @protected
+	 */
+	static mergeSpans(spans) {
+		const sorted = spans.slice().sort((a, b) => this.compareParts(a.first, b.first));
+		/** @type {{first: number[]; last: number[];}[]} */
+		const ret = [];
+		for (const {first, last} of sorted) {
+			const prev = ret[ret.length - 1];
+			if (prev) {
+				const next = this.addToParts(prev.last, 1);
+				if (!next || this.compareParts(first, next) <= 0) {
+					// Overlapping or adjacent
+					if (this.compareParts(last, prev.last) > 0) {
+						prev.last = last;
+					}
+					continue;
+				}
+			}
+			ret.push({first, last});
+		}
+		return ret;
+	}
+
+	/**
+	 * Get the intersection of two arrays of spans.
+	 * @param {{first: number[]; last: number[];}[]} spans1 An array of merged spans, as returned by {@link IPBase.mergeSpans}.
+	 * @param {{first: number[]; last: number[];}[]} spans2 An array of merged spans of the same IP version.
+	 * @returns {{first: number[]; last: number[];}[]} A new array of merged spans.
+	 * @protected
+	 */
+	static intersectSpans(spans1, spans2) {
+		/** @type {{first: number[]; last: number[];}[]} */
+		const ret = [];
+		let i = 0;
+		let j = 0;
+		while (i < spans1.length && j < spans2.length) {
+			const a = spans1[i];
+			const b = spans2[j];
+			const first = this.compareParts(a.first, b.first) >= 0 ? a.first : b.first;
+			const last = this.compareParts(a.last, b.last) <= 0 ? a.last : b.last;
+			if (this.compareParts(first, last) <= 0) {
+				ret.push({first, last});
+			}
+			if (this.compareParts(a.last, b.last) < 0) {
+				i++;
+			} else {
+				j++;
+			}
+		}
+		return ret;
+	}
+
+	/**
+	 * Subtract an array of spans from another.
+	 * @param {{first: number[]; last: number[];}[]} spans1 An array of merged spans, as returned by {@link IPBase.mergeSpans}.
+	 * @param {{first: number[]; last: number[];}[]} spans2 An array of merged spans of the same IP version.
+	 * @returns {{first: number[]; last: number[];}[]} A new array of merged spans.
+	 * @protected
+	 */
+	static subtractSpans(spans1, spans2) {
+		/** @type {{first: number[]; last: number[];}[]} */
+		const ret = [];
+		let j = 0;
+		for (const {first, last} of spans1) {
+			// Skip the spans that end before this span
+			while (j < spans2.length && this.compareParts(spans2[j].last, first) < 0) {
+				j++;
+			}
+			/** @type {number[]?} */
+			let current = first;
+			for (let k = j; current && k < spans2.length && this.compareParts(spans2[k].first, last) <= 0; k++) {
+				if (this.compareParts(spans2[k].first, current) > 0) {
+					ret.push({first: current, last: /** @type {number[]} */ (this.addToParts(spans2[k].first, -1))});
+				}
+				current = this.addToParts(spans2[k].last, 1);
+			}
+			if (current && this.compareParts(current, last) <= 0) {
+				ret.push({first: current, last});
+			}
+		}
+		return ret;
+	}
+
 }
 /**
  * The IPUtil class. Unlike the {@link IP} class, this class provides several static methods
@@ -353,16 +1360,25 @@ class IPUtil extends IPBase {
 	 * Note that inaccurate CIDRs will be corrected:
 	 * * input: `fd12:3456:789a:1::1/64`
 	 * * output: `fd12:3456:789a:1:0:0:0:0/64`
+	 *
+	 * With `options.lenient` on, legacy IPv4 notations are also accepted and normalized:
+	 * * input: `0xC0.0xA8.0.1`, `3232235521`, `192.168.1` or `１９２．１６８．０．１`
+	 * * output: `192.168.0.1`
+	 *
+	 * Use {@link IP.newFromText} and {@link IP.getNormalizations} to see which normalizations have
+	 * been applied. With `options.allowZone` on, the zone ID of an IPv6 address is kept as is
+	 * (e.g. `fe80:0:0:0:0:0:0:1%eth0`).
 	 * @param {string} ipStr
 	 * @param {boolean} [capitalize] Whether to capitalize the output, which defaults to `false`.
 	 * @param {ConditionPredicate} [conditionPredicate]
 	 * Optional IP address conditions to perform stringification.
+	 * @param {ParseOptions} [options]
 	 * @returns {string?} `null` if:
 	 * * The input string does not represent an IP address.
 	 * * The parsed IP address does not meet the conditions specified by `conditionPredicate`
 	 */
-	static sanitize(ipStr, capitalize, conditionPredicate) {
-		return this.parseAndStringify(ipStr, {capitalize: !!capitalize}, conditionPredicate);
+	static sanitize(ipStr, capitalize, conditionPredicate, options = {}) {
+		return this.parseAndStringify(ipStr, {capitalize: !!capitalize}, conditionPredicate, options);
 	}
 
 	/**
@@ -432,7 +1448,7 @@ class IPUtil extends IPBase {
 	 * @internal
 	 */
 	static validate(ipStr, allowCidr, conditionPredicate, options) {
-		const {parts, bitLen} = this.parse(ipStr) || {parts: null, bitLen: null};
+		const {parts, bitLen, zone} = this.parse(ipStr) || {parts: null, bitLen: null, zone: null};
 		const isCidr = bitLen !== null;
 		if (
 			// Not a valid IP, or
@@ -448,7 +1464,7 @@ class IPUtil extends IPBase {
 			// On strict CIDR validation mode, return a corrected CIDR if the prefix is inaccurate
 			const {first} = this.parseRange(parts, bitLen);
 			if (!first.every((num, i) => num === parts[i])) {
-				return this.stringify(first, '/' + bitLen, options);
+				return this.stringifyWithZone(first, zone, '/' + bitLen, options);
 			}
 		}
 		return true;
@@ -483,6 +1499,55 @@ class IPUtil extends IPBase {
 			this.validate(ipStr, allowCidr, void 0, options);
 	}
 
+	/**
+	 * Explain why a string does not represent an IP or CIDR address.
+	 *
+	 * The string is run through the same parser as the other methods, so a result with `valid: true`
+	 * means that the string is accepted by, for example, {@link isIP} with `allowCidr` set to `true`.
+	 *
+	 * Example:
+	 * ```
+	 * IPUtil.diagnose('192.168.0.256');
+	 * // {valid: false, code: 'PART_OUT_OF_RANGE', message: 'Octet "256" exceeds 255.', position: 10, suggestion: null}
+	 * IPUtil.diagnose('2001:db8:::1');
+	 * // {valid: false, code: 'MULTIPLE_DOUBLE_COLONS', message: 'Unexpected ":::".', position: 8, suggestion: '2001:db8:0:0:0:0:0:1'}
+	 * IPUtil.diagnose('10.0.0.0/33');
+	 * // {valid: false, code: 'INVALID_BIT_LENGTH', message: '"33" is not a valid bit length for an IPv4 address (0-32).', position: 9, suggestion: null}
+	 * ```
+	 * @param {string} ipStr
+	 * @param {ParseOptions} [options] Only `allowZone` is used, to explain why {@link IP.newFromText}
+	 * rejects a string with the same option.
+	 * @returns {Diagnosis} `position` is a 0-based index into `ipStr` after bidi characters and
+	 * surrounding whitespace have been removed. `suggestion` is a sanitized form of a corrected input,
+	 * if a common mistake could be fixed.
+	 */
+	static diagnose(ipStr, options = {}) {
+		const {error} = this.parseDetailed(ipStr, void 0, options.allowZone);
+		if (!error) {
+			return {valid: true, code: null, message: null, position: null, suggestion: null};
+		}
+		let suggestion = null;
+		if (typeof ipStr === 'string') {
+			const str = this.clean(ipStr);
+			const candidates = [
+				// Zone index (e.g. `fe80::1%eth0`)
+				str.replace(/%[^/]*/, ''),
+				// Inner whitespace
+				str.replace(/\s+/g, ''),
+				// Excessive colons
+				str.replace(/:{3,}/g, '::'),
+				// Leading zeros that make an octet or a hextet too long
+				str.replace(/(^|[.:])0+(?=[\dA-Fa-f])/g, '$1')
+			];
+			for (const candidate of candidates) {
+				if (candidate !== str && (suggestion = this.sanitize(candidate))) {
+					break;
+				}
+			}
+		}
+		return Object.assign({valid: false}, error, {suggestion});
+	}
+
 	/**
 	 * Evaluate whether a string represents an IPv4 address.
 	 * @overload
@@ -636,14 +1701,16 @@ class IPUtil extends IPBase {
 	 * Evaluate whether the IP address associated with `ipStr` is within that associated with `cidrStr`.
 	 * @param {string|IP} ipStr
 	 * @param {string|IP} cidrStr
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
 	 */
-	static isInRange(ipStr, cidrStr) {
-		const ip = this.getRangeObject(ipStr);
+	static isInRange(ipStr, cidrStr, options = {}) {
+		const allowZone = !!options.respectZone;
+		const ip = this.getRangeObject(ipStr, allowZone);
 		if (ip === null) {
 			return null;
 		}
-		return this.compareRanges(ip, cidrStr, '<');
+		return this.compareRanges(ip, cidrStr, '<', allowZone) && this.checkZones(ipStr, cidrStr, options);
 	}
 
 	/**
@@ -651,15 +1718,17 @@ class IPUtil extends IPBase {
 	 * in the `cidrArr` array.
 	 * @param {string|IP} ipStr
 	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {number?} The index number of the first match in the `cidrArr` array, or `-1` if there is
 	 * no match. `null` will be returned if `ipStr` does not represent an IP address.
 	 */
-	static isInAnyRange(ipStr, cidrArr) {
-		const ip = this.getRangeObject(ipStr);
+	static isInAnyRange(ipStr, cidrArr, options = {}) {
+		const allowZone = !!options.respectZone;
+		const ip = this.getRangeObject(ipStr, allowZone);
 		if (ip === null) {
 			return null;
 		}
-		return cidrArr.findIndex((cidr) => !!this.compareRanges(ip, cidr, '<'));
+		return cidrArr.findIndex((cidr) => !!this.compareRanges(ip, cidr, '<', allowZone) && this.checkZones(ipStr, cidr, options));
 	}
 
 	/**
@@ -667,33 +1736,37 @@ class IPUtil extends IPBase {
 	 * in the `cidrArr` array.
 	 * @param {string|IP} ipStr
 	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if:
 	 * * `ipStr` does not represent an IP address.
 	 * * `cidrArr` is not an array or an empty array.
 	 */
-	static isInAllRanges(ipStr, cidrArr) {
+	static isInAllRanges(ipStr, cidrArr, options = {}) {
 		if (!Array.isArray(cidrArr) || !cidrArr.length) {
 			return null;
 		}
-		const ip = this.getRangeObject(ipStr);
+		const allowZone = !!options.respectZone;
+		const ip = this.getRangeObject(ipStr, allowZone);
 		if (ip === null) {
 			return null;
 		}
-		return cidrArr.every((cidr) => !!this.compareRanges(ip, cidr, '<'));
+		return cidrArr.every((cidr) => !!this.compareRanges(ip, cidr, '<', allowZone) && this.checkZones(ipStr, cidr, options));
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with `cidrStr` contains that associated with `ipStr`.
 	 * @param {string|IP} cidrStr
 	 * @param {string|IP} ipStr
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
 	 */
-	static contains(cidrStr, ipStr) {
-		const cidr = this.getRangeObject(cidrStr);
+	static contains(cidrStr, ipStr, options = {}) {
+		const allowZone = !!options.respectZone;
+		const cidr = this.getRangeObject(cidrStr, allowZone);
 		if (cidr === null) {
 			return null;
 		}
-		return this.compareRanges(cidr, ipStr, '>');
+		return this.compareRanges(cidr, ipStr, '>', allowZone) && this.checkZones(cidrStr, ipStr, options);
 	}
 
 	/**
@@ -701,15 +1774,17 @@ class IPUtil extends IPBase {
 	 * in the `ipArr` array.
 	 * @param {string|IP} cidrStr
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {number?} The index number of the first match in the `ipArr` array, or `-1` if there is
 	 * no match. `null` will be returned if `cidrStr` does not represent an IP address.
 	 */
-	static containsAny(cidrStr, ipArr) {
-		const cidr = this.getRangeObject(cidrStr);
+	static containsAny(cidrStr, ipArr, options = {}) {
+		const allowZone = !!options.respectZone;
+		const cidr = this.getRangeObject(cidrStr, allowZone);
 		if (cidr === null) {
 			return null;
 		}
-		return ipArr.findIndex((ip) => !!this.compareRanges(cidr, ip, '>'));
+		return ipArr.findIndex((ip) => !!this.compareRanges(cidr, ip, '>', allowZone) && this.checkZones(cidrStr, ip, options));
 	}
 
 	/**
@@ -717,33 +1792,37 @@ class IPUtil extends IPBase {
 	 * in the `ipArr` array.
 	 * @param {string|IP} cidrStr
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if:
 	 * * `cidrStr` does not represent an IP address.
 	 * * `ipArr` is not an array or an empty array.
 	 */
-	static containsAll(cidrStr, ipArr) {
+	static containsAll(cidrStr, ipArr, options = {}) {
 		if (!Array.isArray(ipArr) || !ipArr.length) {
 			return null;
 		}
-		const cidr = this.getRangeObject(cidrStr);
+		const allowZone = !!options.respectZone;
+		const cidr = this.getRangeObject(cidrStr, allowZone);
 		if (cidr === null) {
 			return null;
 		}
-		return ipArr.every((ip) => !!this.compareRanges(cidr, ip, '>'));
+		return ipArr.every((ip) => !!this.compareRanges(cidr, ip, '>', allowZone) && this.checkZones(cidrStr, ip, options));
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with `ipStr1` equals that associated with `ipStr2`.
 	 * @param {string|IP} ipStr1
 	 * @param {string|IP} ipStr2
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
 	 */
-	static equals(ipStr1, ipStr2) {
-		const ip1 = this.getRangeObject(ipStr1);
+	static equals(ipStr1, ipStr2, options = {}) {
+		const allowZone = !!options.respectZone;
+		const ip1 = this.getRangeObject(ipStr1, allowZone);
 		if (ip1 === null) {
 			return null;
 		}
-		return IP.checkEquality(ip1, ipStr2);
+		return IP.checkEquality(ip1, ipStr2, allowZone) && this.checkZones(ipStr1, ipStr2, options);
 	}
 
 	/**
@@ -751,15 +1830,17 @@ class IPUtil extends IPBase {
 	 * in the `ipArr` array.
 	 * @param {string|IP} ipStr
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {number?} The index number of the first match in the `ipArr` array, or `-1` if there is
 	 * no match. `null` will be returned if `ipStr` does not represent an IP address.
 	 */
-	static equalsAny(ipStr, ipArr) {
-		const ip1 = this.getRangeObject(ipStr);
+	static equalsAny(ipStr, ipArr, options = {}) {
+		const allowZone = !!options.respectZone;
+		const ip1 = this.getRangeObject(ipStr, allowZone);
 		if (ip1 === null) {
 			return null;
 		}
-		return ipArr.findIndex((ip2) => !!IP.checkEquality(ip1, ip2));
+		return ipArr.findIndex((ip2) => !!IP.checkEquality(ip1, ip2, allowZone) && this.checkZones(ipStr, ip2, options));
 	}
 
 	/**
@@ -767,102 +1848,739 @@ class IPUtil extends IPBase {
 	 * in the `ipArr` array.
 	 * @param {string|IP} ipStr
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if:
 	 * * `ipStr` does not represent an IP address.
 	 * * `ipArr` is not an array or an empty array.
 	 */
-	static equalsAll(ipStr, ipArr) {
+	static equalsAll(ipStr, ipArr, options = {}) {
 		if (!Array.isArray(ipArr) || !ipArr.length) {
 			return null;
 		}
-		const ip1 = this.getRangeObject(ipStr);
+		const allowZone = !!options.respectZone;
+		const ip1 = this.getRangeObject(ipStr, allowZone);
 		if (ip1 === null) {
 			return null;
 		}
-		return ipArr.every((ip2) => !!IP.checkEquality(ip1, ip2));
+		return ipArr.every((ip2) => !!IP.checkEquality(ip1, ip2, allowZone) && this.checkZones(ipStr, ip2, options));
 	}
 
-}
-/**
- * The IP class. Unlike the static {@link IPUtil} class, this class provides several instance methods
- * that can be used to perform validations on the same IP or CIDR address multiple times.
- *
- * To initialize a new instance, use {@link IP.newFromText} (or {@link IP.newFromRange}):
- * ```
- * const ip = IP.newFromText('fd12:3456:789a:1::1');
- * if (!ip) {
- * 	return;
- * }
- * console.log(ip.stringify()); // fd12:3456:789a:1:0:0:0:1
- * ```
- */
-class IP extends IPBase {
+	/**
+	 * Compare two IP addresses to determine their order. This can be used directly as the comparator
+	 * of `Array.prototype.sort`:
+	 * ```
+	 * ['10.0.0.10', 'fd12::1', '10.0.0.9', '10.0.0.0/24'].sort(IPUtil.compare);
+	 * // ['10.0.0.0/24', '10.0.0.9', '10.0.0.10', 'fd12::1']
+	 * ```
+	 * The order is defined as follows:
+	 * * IPv4 addresses precede IPv6 addresses.
+	 * * Addresses of the same version are ordered numerically by their first addresses.
+	 * * If the first addresses are the same, broader CIDRs precede narrower ones, i.e. a CIDR
+	 * precedes its first address as a single IP address.
+	 * * Inputs that do not represent IP addresses follow all valid IP addresses.
+	 * @param {string|IP} ipStr1
+	 * @param {string|IP} ipStr2
+	 * @returns {number} A negative number if `ipStr1` comes first, a positive number if `ipStr2` comes
+	 * first, and `0` if they are equal (or if neither represents an IP address).
+	 */
+	static compare(ipStr1, ipStr2) {
+		// Don't use `this` so that the method can be passed as a detached callback
+		return IPUtil.compareNullable(IPUtil.getRangeObject(ipStr1), IPUtil.getRangeObject(ipStr2));
+	}
 
 	/**
-	 * Initialize an IP instance from a string.
-	 * @param {string} ipStr An IP- or CIDR-representing string.
-	 * @returns {IP?} `null` if the input string does not represent an IP address.
+	 * Compare two nullable range objects, putting `null` after any range object.
+	 * @param {RangeObject?} range1
+	 * @param {RangeObject?} range2
+	 * @returns {number}
+	 * @private
 	 */
-	static newFromText(ipStr) {
-		const {parts, bitLen} = this.parse(ipStr) || {parts: null, bitLen: null};
-		if (!parts) {
-			return null;
+	static compareNullable(range1, range2) {
+		if (range1 && range2) {
+			return this.compareRangeObjects(range1, range2);
+		} else if (range1) {
+			return -1;
+		} else if (range2) {
+			return 1;
+		} else {
+			return 0;
 		}
-		return new IP(this.parseRange(parts, bitLen));
 	}
 
 	/**
-	 * Initialize an IP instance from a string and a range (aka bit length).
-	 * @param {string} ipStr An IP- or CIDR-representing string. If a CIDR string is passed, the `/XX` part
-	 * will be overriden by `range`.
-	 * @param {number} range `0-32` for IPv4, `0-128` for IPv6.
-	 * @returns {IP?} `null` if:
-	 * * The input string does not represent an IP address.
-	 * * The bit length specified by `range` is invalid.
-	 * @throws If `range` is not a number.
+	 * Sort an array of IP addresses in the order defined by {@link IPUtil.compare}. Unlike
+	 * `Array.prototype.sort`, this method does not mutate the input array, and parses each element
+	 * only once. Elements that do not represent IP addresses are moved to the end of the array,
+	 * retaining their original order.
+	 * @template {string|IP} T
+	 * @param {T[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @returns {T[]} A new sorted array.
 	 */
-	static newFromRange(ipStr, range) {
-		if (typeof range !== 'number') {
-			throw new TypeError('The "range" parameter for IP.newFromRange must be a number.');
+	static sort(ipArr) {
+		return ipArr
+			.map((ip, i) => ({ip, i, range: this.getRangeObject(ip)}))
+			.sort((a, b) => this.compareNullable(a.range, b.range) || a.i - b.i)
+			.map(({ip}) => ip);
+	}
+
+	/**
+	 * Evaluate whether a CIDR is within the maximum range size allowed for blocks, as configured by
+	 * `$wgBlockCIDRLimit` on MediaWiki. For example:
+	 * ```
+	 * const {allowed, count, cidrs} = IPUtil.isBlockableCIDR('10.0.0.0/15');
+	 * console.log(allowed); // false
+	 * console.log(count); // 2
+	 * console.log(Array.from(cidrs, String)); // ['10.0.0.0/16', '10.1.0.0/16']
+	 * ```
+	 * The number of CIDRs grows exponentially as the range broadens (e.g. `2^19` CIDRs for `::/0`
+	 * with the default limits, and `2^64` with `{IPv6: 64}`), so they are generated lazily. Check `count` before collecting them.
+	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance. Single IP addresses
+	 * are always allowed.
+	 * @param {CIDRLimit} [limits] The limits to apply. Defaults to `{IPv4: 16, IPv6: 19}`.
+	 * @returns {{allowed: boolean; limit: number; count: number; cidrs: Generator<IP, void, undefined>;}?}
+	 * An object with the following properties, or `null` if `ipStr` does not represent an IP address:
+	 * * `allowed` - Whether the range is within the limit.
+	 * * `limit` - The minimum bit length applied to the IP version of the address.
+	 * * `count` - The number of CIDRs that `cidrs` yields. This is not exact beyond `2^53`, except for
+	 * powers of 2.
+	 * * `cidrs` - A generator of the CIDRs to block to cover the whole range: the maximum-size CIDRs in
+	 * ascending order if the range is beyond the limit, or the input address only if it is within the limit.
+	 */
+	static isBlockableCIDR(ipStr, limits) {
+		const ip = ipStr instanceof IP ? ipStr : IP.newFromText(ipStr);
+		return ip && ip.fitsLimit(limits);
+	}
+
+	/**
+	 * Extract IP and CIDR addresses from a text, such as wikitext or a pasted WHOIS output. For example:
+	 * ```
+	 * const text = '[[Special:Contributions/192.0.2.0/24]], {{IPvandal|2001:db8::1}} and [[User:10.0.0.1|IP]].';
+	 * IPUtil.extract(text).map(({index, match}) => [index, match]);
+	 * // [[24, '192.0.2.0/24'], [51, '2001:db8::1'], [76, '10.0.0.1']]
+	 * ```
+	 * An address is recognized only if it is not part of a larger word, e.g. `x192.168.0.1` is ignored,
+	 * but one that follows a colon is, e.g. in `Utente:10.0.0.1`.
+	 * Strings without any digits, such as the `::` of an indented comment, are never recognized as
+	 * IPv6 addresses.
+	 * @param {string} text
+	 * @param {ExtractOptions} [options]
+	 * @returns {{index: number; match: string; ip: IP;}[]} An array of objects in order of appearance,
+	 * each of which has the following properties:
+	 * * `index` - The offset of the match in `text`.
+	 * * `match` - The matched substring.
+	 * * `ip` - An IP instance initialized from the match.
+	 */
+	static extract(text, options = {}) {
+		const {conditionPredicate, unique = false} = options;
+		/** @type {{index: number; match: string; ip: IP;}[]} */
+		const ret = [];
+		if (typeof text !== 'string') {
+			return ret;
 		}
-		const {parts, bitLen} = this.parse(ipStr, range) || {parts: null, bitLen: null};
-		if (!parts || bitLen === null) { // bitLen should never be null, though
-			return null;
+		const regex = /[0-9A-Fa-f:.]+(?:\/\d+)?/g;
+		let m;
+		while ((m = regex.exec(text))) {
+			let match = m[0];
+			let index = m.index;
+			if (/\w/.test(text[index - 1] || '')) {
+				// The match starts in the middle of a word, taking in the hex letters at the end of a
+				// namespace (e.g. "e:10.0.0.1" in "Utente:10.0.0.1"): drop them up to the first colon
+				const tail = /^[0-9A-Fa-f]*:/.exec(match);
+				if (!tail) {
+					continue;
+				}
+				match = match.slice(tail[0].length);
+				index += tail[0].length;
+			}
+			// Strip a leading colon not belonging to the address (e.g. in "User:192.168.0.1"),
+			// keeping the double colon of an abbreviated IPv6 address (e.g. in "User:::1")
+			if (/^:(?!:)|^:::/.test(match)) {
+				match = match.slice(1);
+				index++;
+			}
+			if (!/[0-9A-Fa-f]/.test(match)) {
+				// Colons without digits (e.g. the indentation of a talk page comment)
+				continue;
+			}
+			/** @type {IP?} */
+			let ip = null;
+			while (match && !(ip = IP.newFromText(match))) {
+				// Strip an invalid bit length (e.g. "/33") or trailing punctuation (e.g. the period
+				// at the end of a sentence) and retry
+				const stripped = match.replace(/\/\d+$|[.:]$/, '');
+				if (stripped === match) {
+					break;
+				}
+				match = stripped;
+			}
+			const before = text[index - 1] || '';
+			const after = text[index + match.length] || '';
+			if (
+				!ip ||
+				// Part of a larger word
+				/[\w.]/.test(before) || /\w/.test(after) ||
+				conditionPredicate && !conditionPredicate(ip.version, ip.isCIDR()) ||
+				unique && ret.some((obj) => obj.ip.equals(/** @type {IP} */ (ip)))
+			) {
+				continue;
+			}
+			ret.push({index, match, ip});
 		}
-		return new IP(this.parseRange(parts, bitLen));
+		return ret;
 	}
 
 	/**
-	 * Private constructor. Use {@link IP.newFromText} instead.
-	 * @param {RangeObject} range An object that stores CIDR information.
-	 * @private
-	 */
-	constructor(range) {
-		super(true);
-		/**
-		 * @type {number[]}
-		 * @readonly
-		 * @private
-		 */
-		this.first = range.first;
+	 * Parse a MediaWiki page title or URL that refers to an IP user or range. For example:
+	 * ```
+	 * IPUtil.parseTitle('User talk:2001:DB8::1');
+	 * // {kind: 'user_talk', ip: IP, special: null, subpage: null}
+	 * IPUtil.parseTitle('https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.0/24');
+	 * // {kind: 'special', ip: IP, special: 'Contributions', subpage: null}
+	 * IPUtil.parseTitle('/w/index.php?title=Special:Block&target=192.0.2.1');
+	 * // {kind: 'special', ip: IP, special: 'Block', subpage: null}
+	 * IPUtil.parseTitle('User:192.0.2.1/sandbox');
+	 * // {kind: 'user', ip: IP, special: null, subpage: 'sandbox'}
+	 * ```
+	 * Percent-encoded characters and underscores are decoded.
+	 * @param {string} str A page title, or a URL with the title either in its path or in its `title`
+	 * query parameter. For special pages, the `target` query parameter is also recognized.
+	 * @param {TitleParseOptions} [options]
+	 * @returns {{kind: 'user'|'user_talk'|'special'; ip: IP; special: string?; subpage: string?;}?}
+	 * An object with the following properties, or `null` if `str` does not refer to an IP user or range:
+	 * * `kind` - The kind of the page.
+	 * * `ip` - An IP instance initialized from the title.
+	 * * `special` - The name of the special page as in the title (with its first letter capitalized),
+	 * if `kind` is `'special'`.
+	 * * `subpage` - The subpage name following the IP address, if `kind` is `'user'` or `'user_talk'`.
+	 */
+	static parseTitle(str, options = {}) {
+		if (typeof str !== 'string') {
+			return null;
+		}
 		/**
-		 * @type {number[]}
-		 * @readonly
-		 * @private
+		 * @param {string} s
+		 * @returns {string}
 		 */
-		this.last = range.last;
+		const decode = (s) => {
+			try {
+				return decodeURIComponent(s);
+			// eslint-disable-next-line @typescript-eslint/no-unused-vars
+			} catch (err) { // Malformed URI sequence
+				return s;
+			}
+		};
 		/**
-		 * @type {number}
-		 * @readonly
-		 * @private
+		 * @param {string} s
+		 * @returns {string}
 		 */
-		this.bitLen = range.bitLen;
+		const normalize = (s) => this.clean(decode(s).replace(/[_ ]+/g, ' ')).toLowerCase();
+
+		// Get the title (and the target parameter) out of a URL
+		let title = str.replace(/#.*$/, '');
+		let target = '';
+		if (/^(?:[a-z][a-z\d+.-]*:)?\/\//i.test(title) || title.charAt(0) === '/') {
+			const [path, query = ''] = title.split(/\?(.*)/);
+			/** @type {Record<string, string>} */
+			const params = {};
+			for (const pair of query.split('&')) {
+				const [key, value = ''] = pair.split(/=(.*)/);
+				params[decode(key)] = value.replace(/\+/g, ' ');
+			}
+			const articlePath = options.articlePath || '/wiki/';
+			const pathname = path.replace(/^(?:[a-z][a-z\d+.-]*:)?\/\/[^/]*/i, '');
+			if (typeof params.title === 'string') {
+				title = params.title;
+			} else if (pathname.indexOf(articlePath) === 0) {
+				title = pathname.slice(articlePath.length);
+			} else {
+				return null;
+			}
+			target = params.target || '';
+		}
+		title = this.clean(decode(title).replace(/[_ ]+/g, ' '));
+
+		// Split the title into the namespace and the rest
+		const m = title.match(/^([^:]+?) ?: ?(.+)$/);
+		if (!m) {
+			return null;
+		}
+		const ns = normalize(m[1]);
 		/**
-		 * @type {boolean}
-		 * @readonly
-		 * @private
+		 * @param {string} canonical
+		 * @param {string[]} [localized]
+		 * @returns {boolean}
+		 */
+		const isNamespace = (canonical, localized = []) => [canonical].concat(localized).some((name) => normalize(name) === ns);
+		/** @type {'user'|'user_talk'|'special'} */
+		let kind;
+		if (isNamespace('User', options.user)) {
+			kind = 'user';
+		} else if (isNamespace('User talk', options.userTalk)) {
+			kind = 'user_talk';
+		} else if (isNamespace('Special', options.special)) {
+			kind = 'special';
+		} else {
+			return null;
+		}
+
+		// Get the IP address out of the rest of the title
+		const rest = m[2];
+		/** @type {IP?} */
+		let ip;
+		let special = null;
+		let subpage = null;
+		if (kind === 'special') {
+			const slash = rest.indexOf('/');
+			special = slash === -1 ? rest : rest.slice(0, slash);
+			special = special.charAt(0).toUpperCase() + special.slice(1);
+			ip = IP.newFromText(slash === -1 ? decode(target) : rest.slice(slash + 1));
+		} else {
+			const slash = rest.indexOf('/');
+			ip = IP.newFromText(slash === -1 ? rest : rest.slice(0, slash));
+			subpage = slash === -1 ? null : rest.slice(slash + 1);
+		}
+		return ip && {kind, ip, special, subpage};
+	}
+
+	/**
+	 * Get the narrowest CIDR that contains all the given IP addresses, e.g. to evaluate a rangeblock
+	 * against an IP-hopping user. For example:
+	 * ```
+	 * const {ip, size, halves} = IPUtil.commonRange(['192.0.2.10', '192.0.2.45', '192.0.2.100']);
+	 * console.log(ip.stringify()); // 192.0.2.0/25
+	 * console.log(size); // 128n
+	 * console.log(halves); // [2, 1] (192.0.2.0/26 and 192.0.2.64/26)
+	 * ```
+	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @returns {{ip: IP; size: bigint?; halves: [number, number]?;}?} An object with the following properties,
+	 * or `null` if `ipArr` is an empty array, contains an element that does not represent an IP address,
+	 * or contains both IPv4 and IPv6 addresses:
+	 * * `ip` - The narrowest CIDR (or a single IP address if all elements represent the same address).
+	 * * `size` - The number of IP addresses that `ip` covers (see {@link IP.size}).
+	 * * `halves` - The numbers of the elements in `ipArr` that fall within the lower and the upper half
+	 * of `ip`, respectively (`null` if `ip` is a single IP address). An element that covers the whole
+	 * of `ip` is counted in neither.
+	 */
+	static commonRange(ipArr) {
+		if (!Array.isArray(ipArr) || !ipArr.length) {
+			return null;
+		}
+		/** @type {RangeObject[]} */
+		const ranges = [];
+		for (const ip of ipArr) {
+			const range = this.getRangeObject(ip);
+			if (!range || ranges.length && ranges[0].first.length !== range.first.length) {
+				return null;
+			}
+			ranges.push(range);
+		}
+		const min = ranges.reduce((acc, {first}) => this.compareParts(first, acc) < 0 ? first : acc, ranges[0].first);
+		const max = ranges.reduce((acc, {last}) => this.compareParts(last, acc) > 0 ? last : acc, ranges[0].last);
+		const maxBitLen = min.length === 4 ? 32 : 128;
+		const bitLen = this.getCommonPrefixLength(min, max);
+		const common = this.parseRange(min, bitLen);
+		common.isCidr = bitLen !== maxBitLen;
+		const ip = /** @type {IP} */ (IP.newFromRangeObject(common));
+
+		/** @type {[number, number]?} */
+		let halves = null;
+		if (bitLen !== maxBitLen) {
+			halves = [0, 0];
+			for (const range of ranges) {
+				// The bit next to the common prefix tells which half the element falls within
+				if (range.bitLen > bitLen) {
+					halves[this.getBitOfParts(range.first, bitLen)]++;
+				}
+			}
+		}
+		return {ip, size: ip.size(), halves};
+	}
+
+	/**
+	 * Parse a string that represents an IP address with a netmask or a (Cisco-style) wildcard mask.
+	 * For example:
+	 * ```
+	 * IPUtil.parseNetmask('192.0.2.0 255.255.255.0'); // {ip: IP (192.0.2.0/24), error: null}
+	 * IPUtil.parseNetmask('192.0.2.0/255.255.255.0'); // {ip: IP (192.0.2.0/24), error: null}
+	 * IPUtil.parseNetmask('192.0.2.0 0.0.0.255'); // {ip: IP (192.0.2.0/24), error: null}
+	 * IPUtil.parseNetmask('192.0.2.0 255.0.255.0');
+	 * // {ip: null, error: '"255.0.255.0" is not a valid mask because its bits are not contiguous.'}
+	 * ```
+	 * A prefix length is also accepted in place of a mask (e.g. `192.0.2.0/24`).
+	 * @param {string} str
+	 * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+	 * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+	 * `0.0.0.0` and `255.255.255.255`) are interpreted as netmasks.
+	 * @returns {{ip: IP; error: null;}|{ip: null; error: string;}} An object of the parsed IP instance,
+	 * or of an error message describing why the input could not be parsed.
+	 */
+	static parseNetmask(str, wildcard) {
+		const {range, error} = this.parseMaskedAddress(str, wildcard);
+		if (!range) {
+			return {ip: null, error: /** @type {string} */ (error)};
+		}
+		return {ip: /** @type {IP} */ (IP.newFromRangeObject(range)), error: null};
+	}
+
+	/**
+	 * Classify an IP address against the special-purpose address blocks in the IANA registries,
+	 * e.g. whether it is a private, loopback or documentation address. For example:
+	 * ```
+	 * IPUtil.classify('172.16.5.4');
+	 * // {scope: 'private', cidr: '172.16.0.0/12', name: 'Private-Use', partial: []}
+	 * IPUtil.classify('10.0.0.0/7');
+	 * // {scope: 'global', cidr: null, name: null, partial: [{scope: 'private', cidr: '10.0.0.0/8', name: 'Private-Use'}]}
+	 * ```
+	 * See {@link AddressScope} for the list of categories.
+	 * @param {string|IP} ipStr
+	 * @returns {ScopeInfo?} `null` if `ipStr` does not represent an IP address.
+	 */
+	static classify(ipStr) {
+		const range = this.getRangeObject(ipStr);
+		if (!range) {
+			return null;
+		}
+		return this.getScopeInfo(range);
+	}
+
+	/**
+	 * Collapse an array of IP and CIDR addresses into the minimal set of IP instances that cover
+	 * exactly the same addresses. Overlapping and adjacent elements are merged. For example:
+	 * ```
+	 * const {collapsed, dropped} = IPUtil.collapse([
+	 * 	'192.168.0.0/25',
+	 * 	'192.168.0.128/25',
+	 * 	'10.0.0.1',
+	 * 	'10.0.0.0/16',
+	 * 	'foo',
+	 * 	'fd12::/16'
+	 * ]);
+	 * console.log(collapsed.map(String)); // ['10.0.0.0/16', '192.168.0.0/24', 'fd12:0:0:0:0:0:0:0/16']
+	 * console.log(dropped); // [4]
+	 * ```
+	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @returns {{collapsed: IP[]; dropped: number[];}} An object with the following properties:
+	 * * `collapsed` - An array of IP instances in ascending order, IPv4 addresses preceding IPv6 ones.
+	 * * `dropped` - The index numbers of the elements in `ipArr` that were ignored because they do
+	 * not represent IP addresses.
+	 */
+	static collapse(ipArr) {
+		/** @type {{first: number[]; last: number[];}[]} */
+		const v4 = [];
+		/** @type {{first: number[]; last: number[];}[]} */
+		const v6 = [];
+		/** @type {number[]} */
+		const dropped = [];
+		ipArr.forEach((ip, i) => {
+			const range = this.getRangeObject(ip);
+			if (!range) {
+				dropped.push(i);
+			} else {
+				(range.first.length === 4 ? v4 : v6).push(range);
+			}
+		});
+		const collapsed = this.mergeSpans(v4).concat(this.mergeSpans(v6)).reduce(/** @param {IP[]} acc */ (acc, {first, last}) => {
+			return acc.concat(this.decomposeRange(first, last).map((range) => /** @type {IP} */ (IP.newFromRangeObject(range))));
+		}, []);
+		return {collapsed, dropped};
+	}
+
+	/**
+	 * Get the minimal set of CIDRs that exactly cover the span between two IP addresses. For example:
+	 * ```
+	 * IPUtil.rangeToCidrs('10.0.0.5', '10.0.1.200').map(String);
+	 * // ['10.0.0.5', '10.0.0.6/31', '10.0.0.8/29', ..., '10.0.1.192/29', '10.0.1.200']
+	 * ```
+	 * This is an alias of {@link IP.newFromRangeBounds}.
+	 * @param {string|IP} first The first address of the span. If this is a CIDR, its first address is used.
+	 * @param {string|IP} last The last address of the span. If this is a CIDR, its last address is used.
+	 * @returns {IP[]?} An array of IP instances in ascending order, or `null` if:
+	 * * Any of the two inputs does not represent an IP address.
+	 * * The two inputs are of different IP versions.
+	 * * `first` is larger than `last`.
+	 */
+	static rangeToCidrs(first, last) {
+		return IP.newFromRangeBounds(first, last);
+	}
+
+}
+/**
+ * The IP class. Unlike the static {@link IPUtil} class, this class provides several instance methods
+ * that can be used to perform validations on the same IP or CIDR address multiple times.
+ *
+ * To initialize a new instance, use {@link IP.newFromText} (or {@link IP.newFromRange}):
+ * ```
+ * const ip = IP.newFromText('fd12:3456:789a:1::1');
+ * if (!ip) {
+ * 	return;
+ * }
+ * console.log(ip.stringify()); // fd12:3456:789a:1:0:0:0:1
+ * ```
+ */
+class IP extends IPBase {
+
+	/**
+	 * Initialize an IP instance from a string.
+	 *
+	 * By default, only the standard notations are accepted. With `options.lenient` on, the legacy
+	 * IPv4 notations accepted by `inet_aton` and web browsers are also accepted, and strings are
+	 * normalized by NFKC beforehand (see {@link LenientNormalization}). For example:
+	 * ```
+	 * const ip = IP.newFromText('192.168.010.001', {lenient: true});
+	 * ip.stringify(); // 192.168.8.1 (not 192.168.10.1)
+	 * ip.getNormalizations(); // ['octal']
+	 * ```
+	 * Zone IDs of IPv6 addresses (e.g. `fe80::1%eth0`) are only accepted with `options.allowZone` on.
+	 * @param {string} ipStr An IP- or CIDR-representing string.
+	 * @param {ParseOptions} [options]
+	 * @returns {IP?} `null` if the input string does not represent an IP address.
+	 */
+	static newFromText(ipStr, options = {}) {
+		const {parsed, normalizations} = options.lenient
+			? this.parseLenient(ipStr, options.allowZone)
+			: {parsed: this.parse(ipStr, void 0, options.allowZone), normalizations: []};
+		if (!parsed) {
+			return null;
+		}
+		return new IP(this.parseRange(parsed.parts, parsed.bitLen), normalizations, parsed.zone);
+	}
+
+	/**
+	 * Initialize an IP instance from a string and a range (aka bit length).
+	 * @param {string} ipStr An IP- or CIDR-representing string. If a CIDR string is passed, the `/XX` part
+	 * will be overriden by `range`.
+	 * @param {number} range `0-32` for IPv4, `0-128` for IPv6.
+	 * @param {ParseOptions} [options] Only `allowZone` is used.
+	 * @returns {IP?} `null` if:
+	 * * The input string does not represent an IP address.
+	 * * The bit length specified by `range` is invalid.
+	 * @throws If `range` is not a number.
+	 */
+	static newFromRange(ipStr, range, options = {}) {
+		if (typeof range !== 'number') {
+			throw new TypeError('The "range" parameter for IP.newFromRange must be a number.');
+		}
+		const parsed = this.parse(ipStr, range, options.allowZone);
+		const {parts, bitLen, zone} = parsed || {parts: null, bitLen: null, zone: null};
+		if (!parts || bitLen === null) { // bitLen should never be null, though
+			return null;
+		}
+		return new IP(this.parseRange(parts, bitLen), [], zone);
+	}
+
+	/**
+	 * Initialize an array of IP instances that represent the minimal set of CIDRs exactly covering
+	 * the span between two IP addresses. For example:
+	 * ```
+	 * IP.newFromRangeBounds('10.0.0.5', '10.0.1.200').map(String);
+	 * // ['10.0.0.5', '10.0.0.6/31', '10.0.0.8/29', ..., '10.0.1.192/29', '10.0.1.200']
+	 * ```
+	 * @param {string|IP} first The first address of the span. If this is a CIDR, its first address is used.
+	 * @param {string|IP} last The last address of the span. If this is a CIDR, its last address is used.
+	 * @returns {IP[]?} An array of IP instances in ascending order, or `null` if:
+	 * * Any of the two inputs does not represent an IP address.
+	 * * The two inputs are of different IP versions.
+	 * * `first` is larger than `last`.
+	 */
+	static newFromRangeBounds(first, last) {
+		const span = this.getSpan({first, last});
+		return span && this.decomposeRange(span.first, span.last).map((range) => new IP(range));
+	}
+
+	/**
+	 * Initialize an IP instance from a string that represents an IP address with a netmask or a
+	 * (Cisco-style) wildcard mask, e.g. `192.0.2.0 255.255.255.0`, `192.0.2.0/255.255.255.0` or
+	 * `192.0.2.0 0.0.0.255`. Use {@link IPUtil.parseNetmask} to get the reason why a string is rejected.
+	 * @param {string} str
+	 * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+	 * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+	 * `0.0.0.0` and `255.255.255.255`) are interpreted as netmasks.
+	 * @returns {IP?} `null` if `str` does not represent an IP address with a valid mask, including
+	 * when the bits of the mask are not contiguous (e.g. `255.0.255.0`).
+	 */
+	static newFromNetmask(str, wildcard) {
+		const {range} = this.parseMaskedAddress(str, wildcard);
+		return range && new IP(range);
+	}
+
+	/**
+	 * Initialize an IP instance from a hex string in the format of MediaWiki's `IPUtils::toHex`
+	 * (case-insensitive). For example:
+	 * ```
+	 * IP.newFromHex('C0A80001'); // 192.168.0.1
+	 * IP.newFromHex('v6-20010DB8000000000000000000000001'); // 2001:db8:0:0:0:0:0:1
+	 * IP.newFromHex('C0A80000', 'C0A800FF'); // 192.168.0.0/24
+	 * ```
+	 * @param {string} hex
+	 * @param {string} [endHex] The hex of the last address of a range, e.g. the value of `ipb_range_end`
+	 * where `hex` is that of `ipb_range_start`.
+	 * @returns {IP?} `null` if:
+	 * * Any of the input strings is not a valid hex string.
+	 * * `hex` and `endHex` are of different IP versions, or do not represent a single CIDR.
+	 */
+	static newFromHex(hex, endHex) {
+		const first = this.hexToParts(hex);
+		const last = typeof endHex === 'string' ? this.hexToParts(endHex) : first;
+		if (!first || !last || first.length !== last.length) {
+			return null;
+		}
+		const ranges = this.decomposeRange(first, last);
+		return ranges.length === 1 ? new IP(ranges[0]) : null;
+	}
+
+	/**
+	 * Initialize an IP instance from a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain
+	 * (case-insensitive, with or without the trailing dot). For example:
+	 * ```
+	 * IP.newFromReverseName('1.0.168.192.in-addr.arpa'); // 192.168.0.1
+	 * IP.newFromReverseName('0.168.192.in-addr.arpa'); // 192.168.0.0/24
+	 * IP.newFromReverseName('64/26.2.0.192.in-addr.arpa'); // 192.0.2.64/26 (RFC 2317)
+	 * IP.newFromReverseName('8.b.d.0.1.0.0.2.ip6.arpa.'); // 2001:db8:0:0:0:0:0:0/32
+	 * ```
+	 * @param {string} name
+	 * @returns {IP?} `null` if the input is not a valid reverse DNS name, including when the first
+	 * address of an RFC 2317 name does not match its bit length (e.g. `65/26.2.0.192.in-addr.arpa`).
+	 */
+	static newFromReverseName(name) {
+		const range = this.reverseNameToRange(name);
+		return range && new IP(range);
+	}
+
+	/**
+	 * Initialize an IP instance from an integer. For example:
+	 * ```
+	 * IP.newFromBigInt(3232235521, 4); // 192.168.0.1
+	 * IP.newFromBigInt(BigInt('0x20010db8000000000000000000000001'), 6); // 2001:db8:0:0:0:0:0:1
+	 * ```
+	 * @param {bigint|number} n A BigInt or a safe integer. The latter is available even where BigInt
+	 * is not supported.
+	 * @param {4|6} version The IP version of the address.
+	 * @returns {IP?} `null` if:
+	 * * `n` is negative or is not a safe integer.
+	 * * `n` does not fit in the address space of `version`.
+	 * @throws If `n` is neither a BigInt nor a number, or if `version` is neither `4` nor `6`.
+	 */
+	static newFromBigInt(n, version) {
+		if (typeof n !== 'bigint' && typeof n !== 'number') {
+			throw new TypeError('The "n" parameter for IP.newFromBigInt must be a BigInt or a number.');
+		} else if (version !== 4 && version !== 6) {
+			throw new TypeError('The "version" parameter for IP.newFromBigInt must be either 4 or 6.');
+		}
+		const parts = this.integerToParts(n, version);
+		if (!parts) {
+			return null;
+		}
+		return new IP(this.parseRange(parts, null));
+	}
+
+	/**
+	 * Initialize an IP instance from an IPv6 prefix and a MAC address, by generating the modified EUI-64
+	 * interface identifier as done by SLAAC (RFC 4291, Appendix A). For example:
+	 * ```
+	 * IP.newFromPrefixAndMac('2001:db8::/64', '00:1a:2b:3c:4d:5e'); // 2001:db8:0:0:21a:2bff:fe3c:4d5e
+	 * ```
+	 * @param {string|IP} prefix An IPv6 CIDR whose bit length is `64` or shorter, or an IPv6 address
+	 * whose first 64 bits are used.
+	 * @param {string} mac A MAC address in a format such as `00:1a:2b:3c:4d:5e`, `00-1a-2b-3c-4d-5e`,
+	 * `001a.2b3c.4d5e` or `001a2b3c4d5e`.
+	 * @returns {IP?} `null` if:
+	 * * `prefix` does not represent an IPv6 address, or is a CIDR whose bit length is longer than 64.
+	 * * `mac` does not represent a MAC address.
+	 */
+	static newFromPrefixAndMac(prefix, mac) {
+		const range = this.getRangeObject(prefix);
+		const bytes = this.parseMac(mac);
+		if (!range || range.first.length !== 8 || range.isCidr && range.bitLen > 64 || !bytes) {
+			return null;
+		}
+		// Flip the universal/local bit and insert ff:fe into the middle
+		const interfaceId = [
+			(bytes[0] ^ 0x02) << 8 | bytes[1],
+			bytes[2] << 8 | 0xff,
+			0xfe << 8 | bytes[3],
+			bytes[4] << 8 | bytes[5]
+		];
+		return new IP(this.parseRange(range.first.slice(0, 4).concat(interfaceId), null));
+	}
+
+	/**
+	 * Initialize an IP instance from a range object, as returned by {@link IP#getProperties}.
+	 * @param {RangeObject} range
+	 * @returns {IP?} `null` if `range` is not a valid range object, i.e. if:
+	 * * `first` is not an array of 4 IPv4 or 8 IPv6 parts in decimals.
+	 * * `bitLen` is not a valid bit length for the IP version.
+	 * * `first` and `last` are not the first and last addresses of the CIDR of `bitLen`.
+	 * * `isCidr` is not a boolean, or is `false` for a range broader than a single address.
+	 */
+	static newFromRangeObject(range) {
+		if (!range || typeof range !== 'object' || !Array.isArray(range.first) || !Array.isArray(range.last)) {
+			return null;
+		}
+		const {first, last, bitLen, isCidr} = range;
+		const high = first.length === 4 ? 255 : 0xffff;
+		const maxBitLen = first.length === 4 ? 32 : 128;
+		if (
+			first.length !== 4 && first.length !== 8 ||
+			last.length !== first.length ||
+			!first.every((part) => typeof part === 'number' && part % 1 === 0 && 0 <= part && part <= high) ||
+			!(typeof bitLen === 'number' && bitLen % 1 === 0 && 0 <= bitLen && bitLen <= maxBitLen) ||
+			typeof isCidr !== 'boolean' || !isCidr && bitLen !== maxBitLen
+		) {
+			return null;
+		}
+		const parsed = this.parseRange(first, bitLen);
+		if (this.compareParts(parsed.first, first) !== 0 || this.compareParts(parsed.last, last) !== 0) {
+			return null;
+		}
+		parsed.isCidr = isCidr;
+		return new IP(parsed);
+	}
+
+	/**
+	 * Private constructor. Use {@link IP.newFromText} instead.
+	 * @param {RangeObject} range An object that stores CIDR information.
+	 * @param {LenientNormalization[]} [normalizations] Normalizations applied to the input string.
+	 * @param {string?} [zone] The zone ID of an IPv6 address.
+	 * @private
+	 */
+	constructor(range, normalizations = [], zone = null) {
+		super(true);
+		/**
+		 * @type {number[]}
+		 * @readonly
+		 * @private
+		 */
+		this.first = range.first;
+		/**
+		 * @type {number[]}
+		 * @readonly
+		 * @private
+		 */
+		this.last = range.last;
+		/**
+		 * @type {number}
+		 * @readonly
+		 * @private
+		 */
+		this.bitLen = range.bitLen;
+		/**
+		 * @type {boolean}
+		 * @readonly
+		 * @private
 		 */
 		this.isCidr = range.isCidr;
+		/**
+		 * @type {LenientNormalization[]}
+		 * @readonly
+		 * @private
+		 */
+		this.normalizations = normalizations;
+		/**
+		 * @type {string?}
+		 * @readonly
+		 * @private
+		 */
+		this.zone = zone;
 	}
 
 	/**
@@ -878,6 +2596,41 @@ class IP extends IPBase {
 		};
 	}
 
+	/**
+	 * Get the normalizations applied to the input string when this instance was initialized by
+	 * {@link IP.newFromText} in lenient mode.
+	 * @returns {LenientNormalization[]} An empty array if the input was in a standard notation, or if
+	 * the instance was initialized otherwise.
+	 */
+	getNormalizations() {
+		return this.normalizations.slice();
+	}
+
+	/**
+	 * Get the zone ID of the IPv6 address associated with the instance. For example:
+	 * ```
+	 * IP.newFromText('fe80::1%eth0', {allowZone: true}).getZone(); // eth0
+	 * IP.newFromText('fe80::1%25en0', {allowZone: 'url'}).getZone(); // en0 (the URL form of RFC 6874)
+	 * IP.newFromText('fe80::1%251', {allowZone: true}).getZone(); // 251
+	 * ```
+	 * Note that the zone ID is not inherited by instances derived by other methods, such as {@link IP.next}.
+	 * @returns {string?} `null` if the address has no zone ID.
+	 */
+	getZone() {
+		return this.zone;
+	}
+
+	/**
+	 * Get a copy of the instance without the zone ID.
+	 * ```
+	 * IP.newFromText('fe80::1%eth0', {allowZone: true}).stripZone().stringify(); // fe80:0:0:0:0:0:0:1
+	 * ```
+	 * @returns {IP}
+	 */
+	stripZone() {
+		return new IP(this.getProperties(), this.getNormalizations());
+	}
+
 	/**
 	 * Return the IP version as a number.
 	 */
@@ -912,7 +2665,7 @@ class IP extends IPBase {
 	 */
 	stringify(options = {}) {
 		const suffix = this.isCidr ? '/' + this.bitLen : '';
-		return IP.stringify(this.first, suffix, options);
+		return IP.stringifyWithZone(this.first, this.zone, suffix, options);
 	}
 
 	/**
@@ -923,6 +2676,83 @@ class IP extends IPBase {
 		return this.stringify();
 	}
 
+	/**
+	 * Get the MediaWiki username of the IP address associated with the instance, in the same format
+	 * as MediaWiki's `IPUtils::sanitizeIP`. For example:
+	 * * `192.168.0.1` (leading zeros stripped)
+	 * * `2001:DB8:0:0:0:0:0:1` (capitalized and expanded, without `::` compression)
+	 *
+	 * For a CIDR, this returns the sanitized CIDR notation, e.g. `2001:DB8:0:0:0:0:0:0/32`.
+	 * The zone ID, if any, is not included.
+	 * @returns {string}
+	 */
+	toUsername() {
+		return this.stripZone().stringify({capitalize: true});
+	}
+
+	/**
+	 * Get the title of a MediaWiki page for the IP address associated with the instance. For example:
+	 * ```
+	 * const ip = IP.newFromText('2001:db8::1');
+	 * ip.toTitle('user_talk'); // User talk:2001:DB8:0:0:0:0:0:1
+	 * ip.toTitle('contributions', {prefix: '特別:投稿記録/'}); // 特別:投稿記録/2001:DB8:0:0:0:0:0:1
+	 * ```
+	 * @param {TitleKind} kind
+	 * @param {TitleOptions} [options]
+	 * @returns {string?} `null` if the instance is a CIDR and `kind` is `'user'` or `'user_talk'`
+	 * (IP ranges have no user pages).
+	 * @throws If `kind` is not a valid page kind.
+	 */
+	toTitle(kind, options = {}) {
+		/** @type {Record<TitleKind, string>} */
+		const prefixes = {
+			user: 'User:',
+			user_talk: 'User talk:',
+			contributions: 'Special:Contributions/',
+			block: 'Special:Block/'
+		};
+		if (!Object.prototype.hasOwnProperty.call(prefixes, kind)) {
+			throw new TypeError(`"${kind}" is not a valid page kind.`);
+		} else if (this.isCidr && (kind === 'user' || kind === 'user_talk')) {
+			return null;
+		}
+		const prefix = typeof options.prefix === 'string' ? options.prefix : prefixes[kind];
+		return prefix + this.toUsername();
+	}
+
+	/**
+	 * Get the (root-relative) URL of a MediaWiki page for the IP address associated with the instance,
+	 * URL-encoded in the same way as `mw.util.getUrl`. For example:
+	 * ```
+	 * const ip = IP.newFromText('2001:db8::1');
+	 * ip.toUrl('user_talk'); // /wiki/User_talk:2001:DB8:0:0:0:0:0:1
+	 * ip.toUrl('contributions', {prefix: '特別:投稿記録/'});
+	 * // /wiki/%E7%89%B9%E5%88%A5:%E6%8A%95%E7%A8%BF%E8%A8%98%E9%8C%B2/2001:DB8:0:0:0:0:0:1
+	 * ```
+	 * @param {TitleKind} kind
+	 * @param {TitleOptions} [options]
+	 * @returns {string?} `null` if the instance is a CIDR and `kind` is `'user'` or `'user_talk'`
+	 * (IP ranges have no user pages).
+	 * @throws If `kind` is not a valid page kind.
+	 */
+	toUrl(kind, options = {}) {
+		const title = this.toTitle(kind, options);
+		if (title === null) {
+			return null;
+		}
+		// Same as mw.util.wikiUrlencode
+		const encoded = encodeURIComponent(title)
+			.replace(/'/g, '%27')
+			.replace(/%20/g, '_')
+			.replace(/%3B/g, ';')
+			.replace(/%40/g, '@')
+			.replace(/%24/g, '$')
+			.replace(/%2C/g, ',')
+			.replace(/%2F/g, '/')
+			.replace(/%3A/g, ':');
+		return (options.articlePath || '/wiki/') + encoded;
+	}
+
 	/**
 	 * Evaluate whether the IP address associated with the instance is an IPv4 address.
 	 * @param {boolean} [allowCidr] Whether to allow a CIDR address, which defaults to false.
@@ -982,10 +2812,12 @@ class IP extends IPBase {
 	 * * The bit length of the CIDR as a number.
 	 * * The starting IP address of the CIDR as a *string*.
 	 * * The ending IP address of the CIDR as a *string*.
+	 * * The starting and ending IP addresses of the CIDR as hex strings, in the format of MediaWiki's
+	 * `IPUtils::toHex` (see {@link IP.toHex}).
 	 * @overload
 	 * @param {false} [getObject]
 	 * @param {StringifyOptions} [options]
-	 * @returns {{bitLen: number; cidr: string; first: string; last: string;}}
+	 * @returns {{bitLen: number; cidr: string; first: string; last: string; firstHex: string; lastHex: string;}}
 	 */
 	/**
 	 * Get range information of the IP instance. The return value includes:
@@ -993,15 +2825,17 @@ class IP extends IPBase {
 	 * * The bit length of the CIDR as a number.
 	 * * The starting IP address of the CIDR as an *IP object*.
 	 * * The ending IP address of the CIDR as an *IP object*.
+	 * * The starting and ending IP addresses of the CIDR as hex strings, in the format of MediaWiki's
+	 * `IPUtils::toHex` (see {@link IP.toHex}).
 	 * @overload
 	 * @param {true} getObject
 	 * @param {StringifyOptions} [options]
-	 * @returns {{bitLen: number; cidr: string; first: IP; last: IP;}}
+	 * @returns {{bitLen: number; cidr: string; first: IP; last: IP; firstHex: string; lastHex: string;}}
 	 */
 	/**
 	 * @param {boolean} [getObject]
 	 * @param {StringifyOptions} [options]
-	 * @returns {{bitLen: number; cidr: string; first: string|IP; last: string|IP;}}
+	 * @returns {{bitLen: number; cidr: string; first: string|IP; last: string|IP; firstHex: string; lastHex: string;}}
 	 */
 	getRange(getObject, options = {}) {
 		let {first, last, bitLen, isCidr} = this.getProperties();
@@ -1011,7 +2845,9 @@ class IP extends IPBase {
 				bitLen,
 				cidr: firstStr + '/' + bitLen,
 				first: firstStr,
-				last: IP.stringify(last, '', options)
+				last: IP.stringify(last, '', options),
+				firstHex: IP.partsToHex(first),
+				lastHex: IP.partsToHex(last)
 			};
 		} else {
 			first = first.slice();
@@ -1022,114 +2858,1088 @@ class IP extends IPBase {
 				bitLen,
 				cidr: IP.stringify(first, '/' + bitLen, options),
 				first: new IP({first, last: first, bitLen: bl, isCidr}),
-				last: new IP({first: last, last, bitLen: bl, isCidr})
+				last: new IP({first: last, last, bitLen: bl, isCidr}),
+				firstHex: IP.partsToHex(first),
+				lastHex: IP.partsToHex(last)
 			};
 		}
 	}
 
 	/**
-	 * Evaluate whether the IP address associated with this instance is within that associated with `cidrStr`.
-	 * @param {string|IP} cidrStr
-	 * @returns {boolean?} `null` if `cidrStr` does not represent an IP address.
+	 * Evaluate whether the IP address associated with the instance is within the maximum range size
+	 * allowed for blocks, as configured by `$wgBlockCIDRLimit` on MediaWiki. See
+	 * {@link IPUtil.isBlockableCIDR} for details.
+	 * @param {CIDRLimit} [limits] The limits to apply. Defaults to `{IPv4: 16, IPv6: 19}`.
+	 * @returns {{allowed: boolean; limit: number; count: number; cidrs: Generator<IP, void, undefined>;}}
 	 */
-	isInRange(cidrStr) {
-		return IP.compareRanges(this.getProperties(), cidrStr, '<');
+	fitsLimit(limits) {
+		const {allowed, limit, count} = IP.checkLimit(this.getProperties(), limits);
+		return {
+			allowed,
+			limit,
+			count,
+			cidrs: allowed
+				// A copy of the instance, keeping its notation (e.g. `10.0.0.1` or `10.0.0.1/32`)
+				? (function* (range) {
+					yield new IP(range);
+				})(this.getProperties())
+				: /** @type {Generator<IP, void, undefined>} */ (this.subnets(limit))
+		};
 	}
 
 	/**
-	 * Evaluate whether the IP address associated with this instance is within any IP range
-	 * in the `cidrArr` array.
-	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
-	 * @returns {number} The index number of the first match in the `cidrArr` array, or `-1` otherwise.
+	 * Get the IP address associated with the instance as a BigInt. For a CIDR, this returns the value
+	 * of its first address.
+	 * @returns {bigint?} `null` if the runtime environment does not support BigInt.
 	 */
-	isInAnyRange(cidrArr) {
-		const props = this.getProperties();
-		return cidrArr.findIndex((cidr) => !!IP.compareRanges(props, cidr, '<'));
+	toBigInt() {
+		if (!IP.hasBigInt()) {
+			return null;
+		}
+		return BigInt('0x' + IP.partsToHex(this.first).replace(/^v6-/, ''));
 	}
 
 	/**
-	 * Evaluate whether the IP address associated with this instance is within all IP ranges
-	 * in the `cidrArr` array.
-	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
-	 * @returns {boolean?} `null` if `cidrArr` is not an array or an empty array.
+	 * Get the number of IP addresses in the range of the instance (`1` for a non-CIDR address).
+	 * @returns {bigint?} `null` if the runtime environment does not support BigInt.
 	 */
-	isInAllRanges(cidrArr) {
-		if (!Array.isArray(cidrArr) || !cidrArr.length) {
+	size() {
+		if (!IP.hasBigInt()) {
 			return null;
 		}
-		const props = this.getProperties();
-		return cidrArr.every((cidr) => !!IP.compareRanges(props, cidr, '<'));
+		return BigInt(1) << BigInt((this.version === 4 ? 32 : 128) - this.bitLen);
 	}
 
 	/**
-	 * Evaluate whether the IP address associated with this instance contains that associated
-	 * with `ipStr`.
-	 * @param {string|IP} ipStr
-	 * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
+	 * Get a new IP instance offset from this instance by `n` addresses. If the instance is a CIDR,
+	 * the offset is made by `n` blocks of the same size, e.g. `IP.newFromText('10.0.0.0/24').add(2)`
+	 * returns `10.0.2.0/24`.
+	 * @param {number|bigint} n A (possibly negative) safe integer or BigInt.
+	 * @returns {IP?} `null` if the result overflows or underflows the address space.
+	 * @throws If `n` is neither a safe integer nor a BigInt.
 	 */
-	contains(ipStr) {
-		return IP.compareRanges(this.getProperties(), ipStr, '>');
+	add(n) {
+		if (!(typeof n === 'number' && Number.isSafeInteger(n) || typeof n === 'bigint')) {
+			throw new TypeError('The "n" parameter for IP#add must be a safe integer or a BigInt.');
+		}
+		const maxBitLen = this.version === 4 ? 32 : 128;
+		const negative = n < 0;
+		const abs = negative ? -n : n;
+		const delta = IP.integerToParts(abs, this.version, maxBitLen - this.bitLen);
+		if (!delta) {
+			return null;
+		}
+		const first = negative ? IP.subtractParts(this.first, delta) : IP.addParts(this.first, delta);
+		if (!first) {
+			return null;
+		}
+		const range = IP.parseRange(first, this.bitLen);
+		range.isCidr = this.isCidr;
+		return new IP(range);
 	}
 
 	/**
-	 * Evaluate whether the IP address associated with this instance contains any IP address
-	 * in the `ipArr` array.
+	 * Get the next IP address (or the next CIDR of the same size). Shorthand for `add(1)`.
+	 * @returns {IP?} `null` if the result overflows the address space.
+	 */
+	next() {
+		return this.add(1);
+	}
+
+	/**
+	 * Get the previous IP address (or the previous CIDR of the same size). Shorthand for `add(-1)`.
+	 * @returns {IP?} `null` if the result underflows the address space.
+	 */
+	prev() {
+		return this.add(-1);
+	}
+
+	/**
+	 * Split the range of the instance into subnets of a narrower bit length. The subnets are
+	 * generated lazily, in ascending order:
+	 * ```
+	 * const ip = IP.newFromText('10.0.0.0/16');
+	 * for (const subnet of ip.subnets(20) || []) {
+	 * 	console.log(subnet.stringify()); // 10.0.0.0/20, 10.0.16.0/20, ..., 10.0.240.0/20
+	 * }
+	 * ```
+	 * Like {@link supernet}, this always returns CIDRs, even at the maximum bit length (e.g. `10.0.0.1/32`).
+	 * @param {number} [newBitLen] The bit length of the subnets. Defaults to the bit length of the
+	 * instance plus one, i.e. the two halves of the range.
+	 * @returns {Generator<IP, void, undefined>?} `null` if `newBitLen` is smaller than the bit length
+	 * of the instance or larger than `32` for IPv4 or `128` for IPv6.
+	 */
+	subnets(newBitLen = this.bitLen + 1) {
+		if (!(this.bitLen <= newBitLen && newBitLen <= (this.version === 4 ? 32 : 128))) {
+			return null;
+		}
+		const subnets = IP.generateSubnets(this.first, this.last, newBitLen);
+		return (function* () {
+			for (const range of subnets) {
+				yield new IP(range);
+			}
+		})();
+	}
+
+	/**
+	 * Enumerate the IP addresses in the range of the instance as IP instances, in ascending order:
+	 * ```
+	 * const ip = IP.newFromText('192.168.0.0/30');
+	 * for (const host of ip.hosts()) {
+	 * 	console.log(host instanceof IP); // true
+	 * }
+	 * ```
+	 * Note that the enumeration never ends by itself for a broad range, e.g. an IPv6 `/64`.
+	 * Use `limit` or break out of the loop to stop it.
+	 * @overload
+	 * @param {HostsOptions} [options]
+	 * @returns {Generator<IP, void, undefined>}
+	 */
+	/**
+	 * Enumerate the IP addresses in the range of the instance as strings, in ascending order:
+	 * ```
+	 * const ip = IP.newFromText('192.168.0.0/30');
+	 * const hosts = Array.from(ip.hosts({skipNetworkAndBroadcast: true}, {mode: 'long'}));
+	 * console.log(hosts); // ['192.168.000.001', '192.168.000.002']
+	 * ```
+	 * Note that the enumeration never ends by itself for a broad range, e.g. an IPv6 `/64`.
+	 * Use `limit` or break out of the loop to stop it.
+	 * @overload
+	 * @param {HostsOptions} options
+	 * @param {StringifyOptions} format Specifications of how the output strings should be formatted.
+	 * @returns {Generator<string, void, undefined>}
+	 */
+	/**
+	 * @param {HostsOptions} [options]
+	 * @param {StringifyOptions} [format]
+	 * @returns {Generator<IP|string, void, undefined>}
+	 */
+	// eslint-disable-next-line default-param-last
+	*hosts(options = {}, format) {
+		const {limit = Infinity, skipNetworkAndBroadcast = false} = options;
+		/** @type {number[]?} */
+		let current = this.first;
+		let last = this.last;
+		if (skipNetworkAndBroadcast && this.version === 4 && this.bitLen < 31) {
+			current = IP.addToParts(this.first, 1);
+			last = /** @type {number[]} */ (IP.addToParts(this.last, -1));
+		}
+		const bitLen = this.version === 4 ? 32 : 128;
+		for (let count = 0; count < limit && current && IP.compareParts(current, last) <= 0; count++) {
+			yield format ?
+				IP.stringify(current, '', format) :
+				new IP({first: current, last: current, bitLen, isCidr: false});
+			current = IP.addToParts(current, 1);
+		}
+	}
+
+	/**
+	 * Get the CIDR of a broader bit length that contains the IP address associated with the instance.
+	 * For example, the `/16` supernet of `10.1.2.3` is `10.1.0.0/16`, and the `/32` one is `10.1.2.3/32`.
+	 * @param {number} [newBitLen] The bit length of the supernet. Defaults to the bit length of the
+	 * instance minus one, i.e. the parent of the range.
+	 * @returns {IP?} `null` if `newBitLen` is negative or larger than the bit length of the instance.
+	 */
+	supernet(newBitLen = this.bitLen - 1) {
+		if (!(0 <= newBitLen && newBitLen <= this.bitLen)) {
+			return null;
+		}
+		return new IP(IP.parseRange(this.first, newBitLen));
+	}
+
+	/**
+	 * Get the other half of the parent range of the instance, e.g. `10.0.1.0/24` for `10.0.0.0/24`.
+	 * For a non-CIDR address, this is the address that differs from it only in the last bit.
+	 * @returns {IP?} `null` if the instance covers the whole address space (`/0`).
+	 */
+	sibling() {
+		if (this.bitLen === 0) {
+			return null;
+		}
+		// Flip the last bit of the network prefix
+		const partBitLen = this.version === 4 ? 8 : 16;
+		const index = Math.floor((this.bitLen - 1) / partBitLen);
+		const first = this.first.slice();
+		first[index] ^= 1 << (partBitLen - 1 - (this.bitLen - 1) % partBitLen);
+		const range = IP.parseRange(first, this.bitLen);
+		range.isCidr = this.isCidr;
+		return new IP(range);
+	}
+
+	/**
+	 * Classify the IP address associated with the instance against the special-purpose address blocks
+	 * in the IANA registries. See {@link IPUtil.classify} for details.
+	 * @returns {ScopeInfo}
+	 */
+	getScope() {
+		return IP.getScopeInfo(this.getProperties());
+	}
+
+	/**
+	 * Unwrap the IPv4 address embedded in the IPv6 address associated with the instance. This applies to:
+	 * * IPv4-mapped addresses in `::ffff:0:0/96` (e.g. `::ffff:192.0.2.1` -> `192.0.2.1`)
+	 * * IPv4-embedded addresses in the NAT64 well-known prefix `64:ff9b::/96`
+	 * (e.g. `64:ff9b::198.51.100.7` -> `198.51.100.7`)
+	 *
+	 * CIDRs are converted if they fall within either prefix (e.g. `::ffff:10.0.0.0/104` -> `10.0.0.0/8`).
+	 * @returns {IP?} `null` if the instance does not represent an IPv6 address with an embedded IPv4 address.
+	 */
+	toIPv4() {
+		if (this.version !== 6 || this.bitLen < 96 || !IP.hasEmbeddedIPv4(this.first)) {
+			return null;
+		}
+		/**
+		 * @param {number[]} parts
+		 * @returns {number[]}
+		 */
+		const toQuad = (parts) => [parts[6] >> 8, parts[6] & 0xff, parts[7] >> 8, parts[7] & 0xff];
+		return new IP({
+			first: toQuad(this.first),
+			last: toQuad(this.last),
+			bitLen: this.bitLen - 96,
+			isCidr: this.isCidr
+		});
+	}
+
+	/**
+	 * Wrap the IPv4 address associated with the instance into an IPv6 address. For example:
+	 * * `192.0.2.1` -> `::ffff:192.0.2.1`
+	 * * `192.0.2.1` -> `64:ff9b::192.0.2.1` (if `nat64` is `true`)
+	 * * `10.0.0.0/8` -> `::ffff:10.0.0.0/104`
+	 * @param {boolean} [nat64] Whether to use the NAT64 well-known prefix `64:ff9b::/96` instead of
+	 * the IPv4-mapped prefix `::ffff:0:0/96`. Defaults to `false`.
+	 * @returns {IP?} `null` if the instance does not represent an IPv4 address.
+	 */
+	toIPv6(nat64 = false) {
+		if (this.version !== 4) {
+			return null;
+		}
+		const prefix = nat64 ? IP.NAT64_PREFIX : IP.IPV4_MAPPED_PREFIX;
+		/**
+		 * @param {number[]} parts
+		 * @returns {number[]}
+		 */
+		const toHextets = (parts) => prefix.concat(parts[0] << 8 | parts[1], parts[2] << 8 | parts[3]);
+		return new IP({
+			first: toHextets(this.first),
+			last: toHextets(this.last),
+			bitLen: this.bitLen + 96,
+			isCidr: this.isCidr
+		});
+	}
+
+	/**
+	 * Get the interface identifier (the last 64 bits) of the IPv6 address associated with the instance.
+	 * For example:
+	 * ```
+	 * IP.newFromText('2001:db8::21a:2bff:fe3c:4d5e').getInterfaceId(); // 21a:2bff:fe3c:4d5e
+	 * ```
+	 * Use {@link IP.getEUI64MAC} to tell whether this identifier is derived from a MAC address.
+	 * @returns {string?} `null` if the instance is an IPv4 address or a CIDR.
+	 */
+	getInterfaceId() {
+		if (this.version !== 6 || this.isCidr) {
+			return null;
+		}
+		return this.first.slice(4).map((el) => el.toString(16)).join(':');
+	}
+
+	/**
+	 * Get the MAC address embedded in the interface identifier of the IPv6 address associated with the
+	 * instance, if the identifier is a modified EUI-64 one (with `ff:fe` in the middle) as generated
+	 * by SLAAC. For example:
+	 * ```
+	 * IP.newFromText('2001:db8::21a:2bff:fe3c:4d5e').getEUI64MAC(); // 00:1a:2b:3c:4d:5e
+	 * IP.newFromText('2001:db8::8d3a:61c2:7f0e:9b14').getEUI64MAC(); // null
+	 * ```
+	 * Addresses with such an identifier are tied to a device, while those generated with privacy
+	 * extensions (RFC 8981) are temporary and yield `null`.
+	 * @returns {string?} A lowercase, colon-separated MAC address, or `null` if the instance is an IPv4
+	 * address or a CIDR, or does not have a modified EUI-64 interface identifier.
+	 */
+	getEUI64MAC() {
+		if (this.version !== 6 || this.isCidr || (this.first[5] & 0xff) !== 0xff || this.first[6] >> 8 !== 0xfe) {
+			return null;
+		}
+		const [a, b, c, d] = this.first.slice(4);
+		return [a >> 8 ^ 0x02, a & 0xff, b >> 8, c & 0xff, d >> 8, d & 0xff]
+			.map((el) => IP.padStart(el.toString(16), 2))
+			.join(':');
+	}
+
+	/**
+	 * Get the netmask of the instance, e.g. `255.255.255.0` for `192.0.2.0/24`.
+	 * @param {StringifyOptions} [options] Options to specify the format of the output.
+	 * @returns {string}
+	 */
+	getNetmask(options = {}) {
+		return IP.stringify(IP.getNetmaskParts(this.bitLen, this.first.length), '', options);
+	}
+
+	/**
+	 * Get the (Cisco-style) wildcard mask of the instance, i.e. the inverted netmask, e.g. `0.0.0.255`
+	 * for `192.0.2.0/24`.
+	 * @param {StringifyOptions} [options] Options to specify the format of the output.
+	 * @returns {string}
+	 */
+	getWildcardMask(options = {}) {
+		const high = this.version === 4 ? 0xff : 0xffff;
+		const parts = IP.getNetmaskParts(this.bitLen, this.first.length).map((el) => el ^ high);
+		return IP.stringify(parts, '', options);
+	}
+
+	/**
+	 * Get the hostmask of the instance, which masks the host part of an address, e.g. `0.0.0.255`
+	 * for `192.0.2.0/24`.
+	 *
+	 * This is an alias of {@link IP.getWildcardMask}, as a hostmask and a wildcard mask are the same
+	 * value under different names.
+	 * @param {StringifyOptions} [options] Options to specify the format of the output.
+	 * @returns {string}
+	 */
+	getHostmask(options = {}) {
+		return this.getWildcardMask(options);
+	}
+
+	/**
+	 * Get the hex representation of the IP address associated with the instance, in the format of
+	 * MediaWiki's `IPUtils::toHex`, as used in the `ipb_range_start` and `ipb_range_end` database columns
+	 * (`bt_range_start` and `bt_range_end` since MediaWiki 1.42).
+	 * For example:
+	 * * `192.168.0.1` -> `C0A80001`
+	 * * `2001:db8::1` -> `v6-20010DB8000000000000000000000001`
+	 *
+	 * For a CIDR, this returns the hex of its first address. Use {@link IP.getRange} to also get that
+	 * of its last address.
+	 * @returns {string}
+	 */
+	toHex() {
+		return IP.partsToHex(this.first);
+	}
+
+	/**
+	 * Get the reverse DNS name of the IP address associated with the instance. For example:
+	 * * `192.168.0.1` -> `1.0.168.192.in-addr.arpa`
+	 * * `192.168.0.0/24` -> `0.168.192.in-addr.arpa`
+	 * * `192.0.2.64/26` -> `64/26.2.0.192.in-addr.arpa` (the classless delegation name of RFC 2317)
+	 * * `2001:db8::/32` -> `8.b.d.0.1.0.0.2.ip6.arpa`
+	 *
+	 * The output has no trailing dot, and is the same for a single address and a `/32` or `/128` CIDR.
+	 * Use {@link IP.newFromReverseName} to parse it back.
+	 * @returns {string?} `null` if the instance is an IPv6 CIDR whose bit length is not a multiple of 4
+	 * (i.e. not nibble-aligned).
+	 */
+	toReverseName() {
+		return IP.rangeToReverseName(this.getProperties());
+	}
+
+	/**
+	 * Get the binary representation of the IP address associated with the instance. For example:
+	 * ```
+	 * const ip = IP.newFromText('192.168.0.0/20');
+	 * ip.toBinary(); // 11000000101010000000|000000000000
+	 * ip.toBinary({group: true}); // 11000000.10101000.0000|0000.00000000
+	 * ip.toBinary({group: true, markPrefix: false}); // 11000000.10101000.00000000.00000000
+	 * IP.newFromText('192.168.0.0/24').toBinary({group: true}); // 11000000.10101000.00000000|00000000
+	 * ```
+	 * For a CIDR, this is the binary of its first address, i.e. all the host bits are `0`.
+	 * @param {BinaryOptions} [options]
+	 * @returns {string}
+	 */
+	toBinary(options = {}) {
+		const {group = false, markPrefix = true} = options;
+		const bits = IP.partsToBinary(this.first);
+		const partBitLen = this.version === 4 ? 8 : 16;
+		const delimiter = this.version === 4 ? '.' : ':';
+		const mark = markPrefix && this.isCidr && 0 < this.bitLen && this.bitLen < bits.length;
+		let ret = '';
+		for (let i = 0; i < bits.length; i++) {
+			if (mark && i === this.bitLen) {
+				ret += '|';
+			} else if (group && i && i % partBitLen === 0) {
+				ret += delimiter;
+			}
+			ret += bits[i];
+		}
+		return ret;
+	}
+
+	/**
+	 * Get the bit at a given position of the IP address associated with the instance (the first address
+	 * for a CIDR). For example:
+	 * ```
+	 * const ip = IP.newFromText('192.168.0.1');
+	 * ip.getBit(0); // 1
+	 * ip.getBit(2); // 0
+	 * ip.getBit(31); // 1
+	 * ```
+	 * @param {number} index The zero-based position of the bit, counted from the most significant bit.
+	 * @returns {0|1|null} `null` if `index` is not an integer within `0-31` for IPv4 or `0-127` for IPv6.
+	 * @throws If `index` is not a number.
+	 */
+	getBit(index) {
+		if (typeof index !== 'number') {
+			throw new TypeError('The "index" parameter for IP.getBit must be a number.');
+		} else if (!(index % 1 === 0 && 0 <= index && index < (this.version === 4 ? 32 : 128))) {
+			return null;
+		}
+		return IP.getBitOfParts(this.first, index);
+	}
+
+	/**
+	 * Get the number of leading bits that the IP address associated with the instance has in common
+	 * with that associated with `ipStr`. For example:
+	 * ```
+	 * const ip = IP.newFromText('192.168.0.1');
+	 * ip.commonPrefixLength('192.168.0.254'); // 24
+	 * ip.commonPrefixLength('192.168.1.1'); // 23
+	 * ip.commonPrefixLength('192.168.0.0/16'); // 16
+	 * ```
+	 * The bits outside the prefix of a CIDR are not counted, so this is the bit length of the smallest
+	 * CIDR that contains both addresses.
+	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+	 * @returns {number?} `null` if `ipStr` does not represent an IP address or is of a different IP version.
+	 */
+	commonPrefixLength(ipStr) {
+		const range = IP.getRangeObject(ipStr);
+		if (!range || range.first.length !== this.first.length) {
+			return null;
+		}
+		return Math.min(IP.getCommonPrefixLength(this.first, range.first), this.bitLen, range.bitLen);
+	}
+
+	/**
+	 * Evaluate whether the IP address associated with this instance is within that associated with `cidrStr`.
+	 * @param {string|IP} cidrStr
+	 * @param {ZoneOptions} [options]
+	 * @returns {boolean?} `null` if `cidrStr` does not represent an IP address.
+	 */
+	isInRange(cidrStr, options = {}) {
+		const ret = IP.compareRanges(this.getProperties(), cidrStr, '<', true);
+		return ret && IP.checkZones(this, cidrStr, options);
+	}
+
+	/**
+	 * Evaluate whether the IP address associated with this instance is within any IP range
+	 * in the `cidrArr` array.
+	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
+	 * @returns {number} The index number of the first match in the `cidrArr` array, or `-1` otherwise.
+	 */
+	isInAnyRange(cidrArr, options = {}) {
+		const props = this.getProperties();
+		return cidrArr.findIndex((cidr) => !!IP.compareRanges(props, cidr, '<', true) && IP.checkZones(this, cidr, options));
+	}
+
+	/**
+	 * Evaluate whether the IP address associated with this instance is within all IP ranges
+	 * in the `cidrArr` array.
+	 * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
+	 * @returns {boolean?} `null` if `cidrArr` is not an array or an empty array.
+	 */
+	isInAllRanges(cidrArr, options = {}) {
+		if (!Array.isArray(cidrArr) || !cidrArr.length) {
+			return null;
+		}
+		const props = this.getProperties();
+		return cidrArr.every((cidr) => !!IP.compareRanges(props, cidr, '<', true) && IP.checkZones(this, cidr, options));
+	}
+
+	/**
+	 * Evaluate whether the IP address associated with this instance contains that associated
+	 * with `ipStr`.
+	 * @param {string|IP} ipStr
+	 * @param {ZoneOptions} [options]
+	 * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
+	 */
+	contains(ipStr, options = {}) {
+		const ret = IP.compareRanges(this.getProperties(), ipStr, '>', true);
+		return ret && IP.checkZones(this, ipStr, options);
+	}
+
+	/**
+	 * Evaluate whether the IP address associated with this instance contains any IP address
+	 * in the `ipArr` array.
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {number} The index number of the first match in the `ipArr` array, or `-1` otherwise.
 	 */
-	containsAny(ipArr) {
+	containsAny(ipArr, options = {}) {
 		const props = this.getProperties();
-		return ipArr.findIndex((ip) => !!IP.compareRanges(props, ip, '>'));
+		return ipArr.findIndex((ip) => !!IP.compareRanges(props, ip, '>', true) && IP.checkZones(this, ip, options));
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with this instance contains all IP addresses
 	 * in the `ipArr` array.
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if `ipArr` is not an array or an empty array.
 	 */
-	containsAll(ipArr) {
+	containsAll(ipArr, options = {}) {
 		if (!Array.isArray(ipArr) || !ipArr.length) {
 			return null;
 		}
 		const props = this.getProperties();
-		return ipArr.every((ip) => !!IP.compareRanges(props, ip, '>'));
+		return ipArr.every((ip) => !!IP.compareRanges(props, ip, '>', true) && IP.checkZones(this, ip, options));
+	}
+
+	/**
+	 * Get the relationship of the range of this instance to another range. For example:
+	 * ```
+	 * const ip = IP.newFromText('10.0.0.0/24');
+	 * ip.relationTo('10.0.0.0/16'); // contained-by
+	 * ip.relationTo('10.0.0.128/25'); // contains
+	 * ip.relationTo('10.0.1.0/24'); // adjacent
+	 * ip.relationTo('10.0.2.0/24'); // disjoint
+	 * ip.relationTo({first: '10.0.0.200', last: '10.0.1.10'}); // overlapping
+	 * ip.relationTo(IP.newFromRangeBounds('10.0.0.200', '10.0.1.10')); // overlapping
+	 * ```
+	 * See {@link RangeRelation} for the list of relationships.
+	 * @param {string|IP|RangeBounds|(string|IP)[]} other An IP- or CIDR-representing string, an IP
+	 * instance, the bounds of an arbitrary range, or an array of IP- or CIDR-representing strings or
+	 * IP instances that together cover a contiguous range (e.g. one returned by {@link IP.newFromRangeBounds}).
+	 * @returns {RangeRelation?} `null` if `other` does not represent a range of IP addresses.
+	 */
+	relationTo(other) {
+		const span = IP.getSpan(other);
+		if (!span) {
+			return null;
+		}
+		return IP.getRelation(this.getProperties(), span);
+	}
+
+	/**
+	 * Get the range of IP addresses shared by this instance and another range, as the minimal set of
+	 * CIDRs that cover it exactly. For example:
+	 * ```
+	 * const ip = IP.newFromText('10.0.0.0/24');
+	 * ip.intersection('10.0.0.0/16').map(String); // ['10.0.0.0/24']
+	 * ip.intersection({first: '10.0.0.200', last: '10.0.1.10'}).map(String);
+	 * // ['10.0.0.200/29', '10.0.0.208/28', '10.0.0.224/27']
+	 * ```
+	 * @param {string|IP|RangeBounds|(string|IP)[]} other See {@link IP#relationTo}.
+	 * @returns {IP[]?} An array of IP instances in ascending order, or `null` if the two share no
+	 * IP addresses or `other` does not represent a range of IP addresses.
+	 */
+	intersection(other) {
+		const props = this.getProperties();
+		const span = IP.getSpan(other);
+		if (!span || span.first.length !== props.first.length) {
+			return null;
+		}
+		const [overlap] = IP.intersectSpans([props], [span]);
+		if (!overlap) {
+			return null;
+		}
+		return IP.decomposeRange(overlap.first, overlap.last).map((range) => new IP(range));
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with this intance equals that associated
 	 * with `ipStr`.
 	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
 	 */
-	equals(ipStr) {
+	equals(ipStr, options = {}) {
 		const props = this.getProperties();
-		return IP.checkEquality(props, ipStr);
+		const ret = IP.checkEquality(props, ipStr, true);
+		return ret && IP.checkZones(this, ipStr, options);
+	}
+
+	/**
+	 * Compare the IP address associated with this instance with that associated with `ipStr`
+	 * to determine their order, as defined by {@link IPUtil.compare}.
+	 * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+	 * @returns {number?} A negative number if this instance comes first, a positive number if `ipStr`
+	 * comes first, and `0` if they are equal. `null` if `ipStr` does not represent an IP address.
+	 */
+	compare(ipStr) {
+		const range = IP.getRangeObject(ipStr);
+		if (!range) {
+			return null;
+		}
+		return IP.compareRangeObjects(this.getProperties(), range);
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with this intance equals any IP address
 	 * in the `ipArr` array.
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
-	 * @returns {number} The index number of the first match in the `ranges` array, or `-1` otherwise.
+	 * @param {ZoneOptions} [options]
+	 * @returns {number} The index number of the first match in the `ipArr` array, or `-1` otherwise.
 	 */
-	equalsAny(ipArr) {
+	equalsAny(ipArr, options = {}) {
 		const props = this.getProperties();
-		return ipArr.findIndex((ip) => !!IP.checkEquality(props, ip));
+		return ipArr.findIndex((ip) => !!IP.checkEquality(props, ip, true) && IP.checkZones(this, ip, options));
 	}
 
 	/**
 	 * Evaluate whether the IP address associated with this intance equals all IP addresses
 	 * in the `ipArr` array.
 	 * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+	 * @param {ZoneOptions} [options]
 	 * @returns {boolean?} `null` if `ipArr` is not an array or an empty array.
 	 */
-	equalsAll(ipArr) {
+	equalsAll(ipArr, options = {}) {
 		if (!Array.isArray(ipArr) || !ipArr.length) {
 			return null;
 		}
 		const props = this.getProperties();
-		return ipArr.every((ip) => !!IP.checkEquality(props, ip));
+		return ipArr.every((ip) => !!IP.checkEquality(props, ip, true) && IP.checkZones(this, ip, options));
+	}
+
+}
+/**
+ * The IPSet class. This class represents a set of IP addresses as normalized (i.e. sorted,
+ * non-overlapping and non-adjacent) ranges, providing fast membership tests on a large number of
+ * IP and CIDR addresses:
+ * ```
+ * const proxies = new IPSet(['192.0.2.0/24', '198.51.100.0/25', '2001:db8::/32']);
+ * proxies.has('192.0.2.5'); // true
+ * proxies.has('192.0.2.0/23'); // false
+ * proxies.toCidrs().map(String); // ['192.0.2.0/24', '198.51.100.0/25', '2001:db8:0:0:0:0:0:0/32']
+ * ```
+ * Unlike {@link IPUtil.isInAnyRange}, which parses and scans all ranges on every call, lookups on an
+ * IPSet take logarithmic time in the number of stored ranges.
+ */
+class IPSet extends IPBase {
+
+	/**
+	 * Initialize a new IPSet.
+	 * @param {(string|IP)[]} [ipArr] An optional array of IP- or CIDR-representing strings or IP instances
+	 * to add to the set. Elements that do not represent IP addresses are ignored.
+	 */
+	constructor(ipArr = []) {
+		super(true);
+		/**
+		 * The IPv4 ranges in the set.
+		 * @type {{first: number[]; last: number[];}[]}
+		 * @private
+		 */
+		this.v4 = [];
+		/**
+		 * The IPv6 ranges in the set.
+		 * @type {{first: number[]; last: number[];}[]}
+		 * @private
+		 */
+		this.v6 = [];
+		// Collect all the ranges first and merge them at once
+		for (const ip of ipArr) {
+			const range = IPSet.getRangeObject(ip);
+			if (range) {
+				this[range.first.length === 4 ? 'v4' : 'v6'].push({first: range.first, last: range.last});
+			}
+		}
+		this.v4 = IPSet.mergeSpans(this.v4);
+		this.v6 = IPSet.mergeSpans(this.v6);
+	}
+
+	/**
+	 * Find the last span that starts at or before an IP address, by binary search.
+	 * @param {{first: number[]; last: number[];}[]} spans Merged spans.
+	 * @param {number[]} parts The IP parts of the address, of the same IP version as `spans`.
+	 * @returns {number} The index of the span, or `-1` if all spans start after the address.
+	 * @private
+	 */
+	static findSpan(spans, parts) {
+		let low = 0;
+		let high = spans.length - 1;
+		let index = -1;
+		while (low <= high) {
+			const mid = (low + high) >>> 1;
+			if (IPSet.compareParts(spans[mid].first, parts) <= 0) {
+				index = mid;
+				low = mid + 1;
+			} else {
+				high = mid - 1;
+			}
+		}
+		return index;
+	}
+
+	/**
+	 * Create a new IPSet from arrays of spans, without any validation.
+	 * @param {{first: number[]; last: number[];}[]} v4 Merged IPv4 spans.
+	 * @param {{first: number[]; last: number[];}[]} v6 Merged IPv6 spans.
+	 * @returns {IPSet}
+	 * @private
+	 */
+	static fromSpans(v4, v6) {
+		const set = new IPSet();
+		set.v4 = v4;
+		set.v6 = v6;
+		return set;
+	}
+
+	/**
+	 * Get the other operand of a set operation as an IPSet.
+	 * @param {IPSet|(string|IP)[]} other
+	 * @returns {IPSet}
+	 * @private
+	 */
+	static toIPSet(other) {
+		return other instanceof IPSet ? other : new IPSet(other);
+	}
+
+	/**
+	 * Add an IP or CIDR address to the set.
+	 * @param {string|IP} ip
+	 * @returns {boolean} `false` if `ip` does not represent an IP address.
+	 */
+	add(ip) {
+		const range = IPSet.getRangeObject(ip);
+		if (!range) {
+			return false;
+		}
+		const spans = this[range.first.length === 4 ? 'v4' : 'v6'];
+		const index = IPSet.findSpan(spans, range.first);
+		// Merge the new span only with the neighbouring spans that overlap or adjoin it
+		let start = index + 1;
+		if (index !== -1) {
+			const next = IPSet.addToParts(spans[index].last, 1);
+			if (!next || IPSet.compareParts(range.first, next) <= 0) {
+				start = index;
+			}
+		}
+		let end = index + 1;
+		const next = IPSet.addToParts(range.last, 1);
+		while (end < spans.length && (!next || IPSet.compareParts(spans[end].first, next) <= 0)) {
+			end++;
+		}
+		const merged = IPSet.mergeSpans(spans.slice(start, end).concat({first: range.first, last: range.last}));
+		spans.splice(start, end - start, merged[0]);
+		return true;
+	}
+
+	/**
+	 * Remove an IP or CIDR address from the set. Ranges in the set that partly overlap the address
+	 * are narrowed down.
+	 * @param {string|IP} ip
+	 * @returns {boolean} `false` if `ip` does not represent an IP address.
+	 */
+	remove(ip) {
+		const range = IPSet.getRangeObject(ip);
+		if (!range) {
+			return false;
+		}
+		const key = range.first.length === 4 ? 'v4' : 'v6';
+		this[key] = IPSet.subtractSpans(this[key], [{first: range.first, last: range.last}]);
+		return true;
+	}
+
+	/**
+	 * Evaluate whether the set contains all the IP addresses associated with `ip`.
+	 * @param {string|IP} ip
+	 * @returns {boolean?} `null` if `ip` does not represent an IP address.
+	 */
+	has(ip) {
+		const range = IPSet.getRangeObject(ip);
+		if (!range) {
+			return null;
+		}
+		const spans = range.first.length === 4 ? this.v4 : this.v6;
+		const index = IPSet.findSpan(spans, range.first);
+		return index !== -1 && IPSet.compareParts(range.last, spans[index].last) <= 0;
+	}
+
+	/**
+	 * Get a new set that contains the IP addresses in either this set or `other`.
+	 * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+	 * or IP instances.
+	 * @returns {IPSet}
+	 */
+	union(other) {
+		const set = IPSet.toIPSet(other);
+		return IPSet.fromSpans(
+			IPSet.mergeSpans(this.v4.concat(set.v4)),
+			IPSet.mergeSpans(this.v6.concat(set.v6))
+		);
+	}
+
+	/**
+	 * Get a new set that contains the IP addresses in both this set and `other`.
+	 * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+	 * or IP instances.
+	 * @returns {IPSet}
+	 */
+	intersect(other) {
+		const set = IPSet.toIPSet(other);
+		return IPSet.fromSpans(
+			IPSet.intersectSpans(this.v4, set.v4),
+			IPSet.intersectSpans(this.v6, set.v6)
+		);
+	}
+
+	/**
+	 * Get a new set that contains the IP addresses in this set but not in `other`.
+	 * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+	 * or IP instances.
+	 * @returns {IPSet}
+	 */
+	difference(other) {
+		const set = IPSet.toIPSet(other);
+		return IPSet.fromSpans(
+			IPSet.subtractSpans(this.v4, set.v4),
+			IPSet.subtractSpans(this.v6, set.v6)
+		);
+	}
+
+	/**
+	 * Get the minimal array of IP instances that cover exactly the IP addresses in the set, in ascending
+	 * order (IPv4 addresses preceding IPv6 ones).
+	 * @returns {IP[]}
+	 */
+	toCidrs() {
+		return this.v4.concat(this.v6).reduce(/** @param {IP[]} acc */ (acc, {first, last}) => {
+			return acc.concat(IPSet.decomposeRange(first, last).map((range) => /** @type {IP} */ (IP.newFromRangeObject(range))));
+		}, []);
+	}
+
+	/**
+	 * The number of IP addresses in the set, or `null` if the runtime environment does not support BigInt.
+	 * @type {bigint?}
+	 */
+	get size() {
+		if (!IPSet.hasBigInt()) {
+			return null;
+		}
+		/**
+		 * @param {number[]} parts
+		 * @returns {bigint}
+		 */
+		const toBigInt = (parts) => BigInt('0x' + IPSet.partsToHex(parts).replace(/^v6-/, ''));
+		return this.v4.concat(this.v6).reduce((acc, {first, last}) => {
+			return acc + toBigInt(last) - toBigInt(first) + BigInt(1);
+		}, BigInt(0));
+	}
+
+}
+/**
+ * The IPMap class. This class associates values with IP and CIDR addresses in a prefix trie,
+ * and finds the most specific entry that contains a given address (longest-prefix match):
+ * ```
+ * const map = new IPMap([
+ * 	['10.0.0.0/8', 'Corporate network'],
+ * 	['10.1.0.0/16', 'Branch office']
+ * ]);
+ * map.lookup('10.1.2.3').value; // 'Branch office'
+ * map.lookup('10.2.0.1').value; // 'Corporate network'
+ * map.lookupAll('10.1.2.3').map(({value}) => value); // ['Corporate network', 'Branch office']
+ * ```
+ * Keys are normalized as CIDRs, e.g. `10.0.0.1/8` is the same key as `10.0.0.0/8`, and `10.0.0.1` is
+ * the same key as `10.0.0.1/32`.
+ *
+ * An IPMap can be serialized with `JSON.stringify` (as an array of key-value pairs) and restored
+ * by {@link IPMap.fromJSON}, as long as its values are serializable.
+ * @template V
+ */
+class IPMap extends IPBase {
+
+	/**
+	 * Initialize a new IPMap.
+	 * @param {[string|IP, V][]} [entries] An optional array of pairs of an IP- or CIDR-representing
+	 * string (or an IP instance) and a value. Pairs with invalid keys are ignored.
+	 */
+	constructor(entries = []) {
+		super(true);
+		/**
+		 * The root nodes of the tries for IPv4 and IPv6.
+		 * @type {{4: IPMapNode<V>; 6: IPMapNode<V>;}}
+		 * @private
+		 */
+		this.roots = {
+			4: {children: [null, null], entry: null},
+			6: {children: [null, null], entry: null}
+		};
+		/**
+		 * @type {number}
+		 * @private
+		 */
+		this.count = 0;
+		entries.forEach(([key, value]) => this.set(key, value));
+	}
+
+	/**
+	 * Restore an IPMap from the output of `JSON.stringify`.
+	 * @template T
+	 * @param {string|[string, T][]} json A JSON string, or an array parsed from it.
+	 * @returns {IPMap<T>}
+	 * @throws If `json` is not a valid JSON string or does not represent an array.
+	 */
+	static fromJSON(json) {
+		/** @type {[string, T][]} */
+		const entries = typeof json === 'string' ? JSON.parse(json) : json;
+		if (!Array.isArray(entries)) {
+			throw new TypeError('The JSON for IPMap.fromJSON must represent an array.');
+		}
+		return new IPMap(entries);
+	}
+
+	/**
+	 * Walk down the trie along the network prefix of `key`.
+	 * @param {string|IP} key
+	 * @param {boolean} create Whether to create missing nodes.
+	 * @param {(node: IPMapNode<V>) => void} [callback] A function called on each node on the way,
+	 * including the root node and the last node.
+	 * @returns {{range: RangeObject; node: IPMapNode<V>?;}?} The range object of `key` and the node
+	 * for it (`null` if it doesn't exist), or `null` if `key` does not represent an IP address.
+	 * @private
+	 */
+	walk(key, create, callback) {
+		const range = IPMap.getRangeObject(key);
+		if (!range) {
+			return null;
+		}
+		/** @type {IPMapNode<V>?} */
+		let node = this.roots[range.first.length === 4 ? 4 : 6];
+		for (let i = 0; node && i <= range.bitLen; i++) {
+			if (callback) {
+				callback(node);
+			}
+			if (i === range.bitLen) {
+				break;
+			}
+			const bit = IPMap.getBitOfParts(range.first, i);
+			if (!node.children[bit] && create) {
+				node.children[bit] = {children: [null, null], entry: null};
+			}
+			node = node.children[bit];
+		}
+		return {range, node};
+	}
+
+	/**
+	 * Associate a value with an IP or CIDR address. If the address already has a value, it is replaced.
+	 * @param {string|IP} key
+	 * @param {V} value
+	 * @returns {boolean} `false` if `key` does not represent an IP address.
+	 */
+	set(key, value) {
+		const {range, node} = this.walk(key, true) || {range: null, node: null};
+		if (!range || !node) {
+			return false;
+		}
+		if (!node.entry) {
+			this.count++;
+		}
+		node.entry = {ip: /** @type {IP} */ (IP.newFromRangeObject(range)), value};
+		return true;
+	}
+
+	/**
+	 * Get the value associated with exactly the same IP or CIDR address as `key`.
+	 * @param {string|IP} key
+	 * @returns {V|undefined} `undefined` if there is no such value or `key` does not represent an IP address.
+	 */
+	get(key) {
+		const {node} = this.walk(key, false) || {node: null};
+		return node && node.entry ? node.entry.value : void 0;
+	}
+
+	/**
+	 * Evaluate whether a value is associated with exactly the same IP or CIDR address as `key`.
+	 * @param {string|IP} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		const {node} = this.walk(key, false) || {node: null};
+		return !!(node && node.entry);
+	}
+
+	/**
+	 * Remove the value associated with exactly the same IP or CIDR address as `key`.
+	 * @param {string|IP} key
+	 * @returns {boolean} Whether a value was removed.
+	 */
+	delete(key) {
+		/** @type {IPMapNode<V>[]} */
+		const path = [];
+		const {range, node} = this.walk(key, false, (n) => path.push(n)) || {range: null, node: null};
+		if (!range || !node || !node.entry) {
+			return false;
+		}
+		node.entry = null;
+		this.count--;
+		// Prune the nodes left with neither an entry nor children, from the bottom up
+		for (let i = path.length - 1; i > 0; i--) {
+			const {children, entry} = path[i];
+			if (entry || children[0] || children[1]) {
+				break;
+			}
+			path[i - 1].children[IPMap.getBitOfParts(range.first, i - 1)] = null;
+		}
+		return true;
+	}
+
+	/**
+	 * Find the most specific entry whose address contains the IP address associated with `ip`.
+	 * @param {string|IP} ip
+	 * @returns {{ip: IP; value: V;}?} An object of the address of the entry and its value, or `null`
+	 * if there is no matching entry or `ip` does not represent an IP address.
+	 */
+	lookup(ip) {
+		const matches = this.lookupAll(ip);
+		return matches[matches.length - 1] || null;
+	}
+
+	/**
+	 * Find all the entries whose addresses contain the IP address associated with `ip`.
+	 * @param {string|IP} ip
+	 * @returns {{ip: IP; value: V;}[]} An array of objects of the addresses of the entries and their
+	 * values, from the broadest to the most specific.
+	 */
+	lookupAll(ip) {
+		/** @type {{ip: IP; value: V;}[]} */
+		const ret = [];
+		this.walk(ip, false, ({entry}) => {
+			if (entry) {
+				ret.push({ip: entry.ip, value: entry.value});
+			}
+		});
+		return ret;
+	}
+
+	/**
+	 * Get all the entries, in the order defined by {@link IPUtil.compare}.
+	 * @returns {[IP, V][]}
+	 */
+	entries() {
+		/** @type {[IP, V][]} */
+		const ret = [];
+		/**
+		 * @param {IPMapNode<V>?} node
+		 */
+		const traverse = (node) => {
+			if (!node) {
+				return;
+			}
+			if (node.entry) {
+				ret.push([node.entry.ip, node.entry.value]);
+			}
+			node.children.forEach(traverse);
+		};
+		traverse(this.roots[4]);
+		traverse(this.roots[6]);
+		return ret;
+	}
+
+	/**
+	 * The number of entries in the map.
+	 * @type {number}
+	 */
+	get size() {
+		return this.count;
+	}
+
+	/**
+	 * Get the entries as an array of pairs of a CIDR string and a value, for `JSON.stringify`.
+	 * @returns {[string, V][]}
+	 */
+	toJSON() {
+		return this.entries().map(([ip, value]) => /** @type {[string, V]} */ ([ip.stringify(), value]));
 	}
 
 }
@@ -1139,9 +3949,33 @@ class IP extends IPBase {
  * @typedef {import('./IP-types.ts').StringifyOptions} StringifyOptions
  * @typedef {import('./IP-types.ts').StrictCIDR} StrictCIDR
  * @typedef {import('./IP-types.ts').ConditionPredicate} ConditionPredicate
+ * @typedef {import('./IP-types.ts').AddressScope} AddressScope
+ * @typedef {import('./IP-types.ts').ScopeInfo} ScopeInfo
+ * @typedef {import('./IP-types.ts').SpecialBlock} SpecialBlock
+ * @typedef {import('./IP-types.ts').CIDRLimit} CIDRLimit
+ * @typedef {import('./IP-types.ts').HostsOptions} HostsOptions
+ * @typedef {import('./IP-types.ts').ExtractOptions} ExtractOptions
+ * @typedef {import('./IP-types.ts').TitleParseOptions} TitleParseOptions
+ * @typedef {import('./IP-types.ts').TitleKind} TitleKind
+ * @typedef {import('./IP-types.ts').TitleOptions} TitleOptions
+ * @typedef {import('./IP-types.ts').RangeRelation} RangeRelation
+ * @typedef {import('./IP-types.ts').RangeBounds} RangeBounds
+ * @typedef {import('./IP-types.ts').DiagnosisCode} DiagnosisCode
+ * @typedef {import('./IP-types.ts').ParseError} ParseError
+ * @typedef {import('./IP-types.ts').Diagnosis} Diagnosis
+ * @typedef {import('./IP-types.ts').ParseOptions} ParseOptions
+ * @typedef {import('./IP-types.ts').LenientNormalization} LenientNormalization
+ * @typedef {import('./IP-types.ts').ZoneOptions} ZoneOptions
+ * @typedef {import('./IP-types.ts').BinaryOptions} BinaryOptions
+ */
+/**
+ * @template V
+ * @typedef {import('./IP-types.ts').IPMapNode<V>} IPMapNode
  */
 module.exports = {
 	IPUtil,
-	IP
+	IP,
+	IPSet,
+	IPMap
 };
 //</nowiki>
\ No newline at end of file
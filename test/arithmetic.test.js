@@ -0,0 +1,84 @@
+const {describe, it, mock} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+const MAX_V6 = BigInt('0xffffffffffffffffffffffffffffffff');
+
+describe('Integer conversion and arithmetic', () => {
+
+	it('converts integers to IP addresses and back', () => {
+		assert.strictEqual(String(IP.newFromBigInt(3232235521, 4)), '192.168.0.1');
+		assert.strictEqual(String(IP.newFromBigInt(BigInt(3232235521), 4)), '192.168.0.1');
+		assert.strictEqual(String(IP.newFromBigInt(BigInt('0x20010db8000000000000000000000001'), 6)), '2001:db8:0:0:0:0:0:1');
+		assert.strictEqual(String(IP.newFromBigInt(0, 6)), '0:0:0:0:0:0:0:0');
+		assert.strictEqual(IP.newFromText('192.168.0.1')?.toBigInt(), BigInt(3232235521));
+		// The first address of a CIDR
+		assert.strictEqual(IP.newFromText('10.0.0.0/24')?.toBigInt(), BigInt(167772160));
+		assert.strictEqual(IP.newFromBigInt(MAX_V6, 6)?.toBigInt(), MAX_V6);
+	});
+
+	it('rejects integers out of the address space', () => {
+		assert.strictEqual(String(IP.newFromBigInt(4294967295, 4)), '255.255.255.255');
+		assert.strictEqual(IP.newFromBigInt(4294967296, 4), null);
+		assert.strictEqual(IP.newFromBigInt(MAX_V6 + BigInt(1), 6), null);
+		assert.strictEqual(IP.newFromBigInt(-1, 4), null);
+		assert.strictEqual(IP.newFromBigInt(1.5, 4), null);
+		assert.strictEqual(IP.newFromBigInt(Math.pow(2, 53), 6), null);
+		assert.throws(() => IP.newFromBigInt(/** @type {any} */ ('1'), 4), TypeError);
+		assert.throws(() => IP.newFromBigInt(1, /** @type {any} */ (5)), TypeError);
+	});
+
+	it('gets the size of the range', () => {
+		assert.strictEqual(IP.newFromText('192.168.0.1')?.size(), BigInt(1));
+		assert.strictEqual(IP.newFromText('10.0.0.0/24')?.size(), BigInt(256));
+		assert.strictEqual(IP.newFromText('::/0')?.size(), MAX_V6 + BigInt(1));
+	});
+
+	it('offsets addresses and CIDRs by positive and negative numbers', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('10.0.0.0/24'));
+		assert.strictEqual(String(ip.add(2)), '10.0.2.0/24');
+		assert.strictEqual(String(ip.add(BigInt(2))), '10.0.2.0/24');
+		assert.strictEqual(String(ip.add(-1)), '9.255.255.0/24');
+		assert.strictEqual(String(ip.add(-10 * 65536)), '0.0.0.0/24');
+		assert.strictEqual(ip.add(-11 * 65536), null);
+		assert.strictEqual(String(ip.add(0)), '10.0.0.0/24');
+		assert.strictEqual(String(ip.next()), '10.0.1.0/24');
+		assert.strictEqual(String(IP.newFromText('2001:db8::/64')?.add(BigInt(-1))), '2001:db7:ffff:ffff:0:0:0:0/64');
+		const next = IP.newFromText('192.168.0.1')?.next();
+		assert.strictEqual(String(next), '192.168.0.2');
+		assert.strictEqual(next?.isCIDR(), false);
+		assert.throws(() => ip.add(1.5), TypeError);
+		assert.throws(() => ip.add(Math.pow(2, 53)), TypeError);
+		assert.throws(() => ip.add(/** @type {any} */ ('1')), TypeError);
+	});
+
+	it('returns null on overflow and underflow', () => {
+		const maxV4 = /** @type {IP} */ (IP.newFromText('255.255.255.255'));
+		assert.strictEqual(maxV4.next(), null);
+		assert.strictEqual(String(maxV4.prev()), '255.255.255.254');
+		assert.strictEqual(String(maxV4.add(-4294967295)), '0.0.0.0');
+		assert.strictEqual(maxV4.add(-4294967296), null);
+		const maxV6 = /** @type {IP} */ (IP.newFromText('ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'));
+		assert.strictEqual(maxV6.next(), null);
+		assert.strictEqual(String(maxV6.prev()), 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:fffe');
+		assert.strictEqual(String(maxV6.add(-MAX_V6)), '0:0:0:0:0:0:0:0');
+		assert.strictEqual(IP.newFromText('0.0.0.0')?.prev(), null);
+		assert.strictEqual(IP.newFromText('::/0')?.next(), null);
+	});
+
+	it('works with safe integers where BigInt is not supported', () => {
+		const hasBigInt = mock.method(IP, 'hasBigInt', () => false);
+		try {
+			const ip = /** @type {IP} */ (IP.newFromText('10.0.0.0/24'));
+			assert.strictEqual(ip.toBigInt(), null);
+			assert.strictEqual(ip.size(), null);
+			assert.strictEqual(String(IP.newFromBigInt(3232235521, 4)), '192.168.0.1');
+			assert.strictEqual(String(ip.add(-1)), '9.255.255.0/24');
+			assert.strictEqual(String(ip.next()), '10.0.1.0/24');
+			assert.ok(hasBigInt.mock.callCount() > 0);
+		} finally {
+			hasBigInt.mock.restore();
+		}
+	});
+
+});
@@ -0,0 +1,50 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+describe('Bit-level methods', () => {
+
+	it('outputs the binary representation', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('192.168.0.0/20'));
+		assert.strictEqual(ip.toBinary(), '11000000101010000000|000000000000');
+		assert.strictEqual(ip.toBinary({group: true}), '11000000.10101000.0000|0000.00000000');
+		assert.strictEqual(ip.toBinary({group: true, markPrefix: false}), '11000000.10101000.00000000.00000000');
+		assert.strictEqual(IP.newFromText('192.168.0.0/24')?.toBinary({group: true}), '11000000.10101000.00000000|00000000');
+		assert.strictEqual(
+			IP.newFromText('2001:db8::/32')?.toBinary({group: true}),
+			'0010000000000001:0000110110111000|' + Array(6).fill('0'.repeat(16)).join(':')
+		);
+	});
+
+	it('does not mark the prefix at /0 or at the maximum bit length', () => {
+		assert.strictEqual(IP.newFromText('0.0.0.0/0')?.toBinary(), '0'.repeat(32));
+		assert.strictEqual(IP.newFromText('192.168.0.1/32')?.toBinary({group: true}), '11000000.10101000.00000000.00000001');
+		assert.strictEqual(IP.newFromText('::/0')?.toBinary(), '0'.repeat(128));
+		assert.strictEqual(IP.newFromText('::1/128')?.toBinary(), '0'.repeat(127) + '1');
+	});
+
+	it('gets the bit at a given position', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('192.168.0.1'));
+		assert.deepStrictEqual([0, 1, 2, 31].map((i) => ip.getBit(i)), [1, 1, 0, 1]);
+		for (const index of [-1, 32, 1.5, NaN]) {
+			assert.strictEqual(ip.getBit(index), null, String(index));
+		}
+		const ipv6 = /** @type {IP} */ (IP.newFromText('2001:db8::1'));
+		assert.deepStrictEqual([0, 2, 127, 128].map((i) => ipv6.getBit(i)), [0, 1, 1, null]);
+		assert.throws(() => ip.getBit(/** @type {any} */ ('0')), TypeError);
+	});
+
+	it('gets the length of the common prefix', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('192.168.0.1'));
+		assert.strictEqual(ip.commonPrefixLength('192.168.0.254'), 24);
+		assert.strictEqual(ip.commonPrefixLength('192.168.1.1'), 23);
+		assert.strictEqual(ip.commonPrefixLength('192.168.0.0/16'), 16);
+		assert.strictEqual(ip.commonPrefixLength('192.168.0.1'), 32);
+		assert.strictEqual(ip.commonPrefixLength('64.0.0.0'), 0);
+		assert.strictEqual(ip.commonPrefixLength(/** @type {IP} */ (IP.newFromText('0.0.0.0/0'))), 0);
+		assert.strictEqual(ip.commonPrefixLength('::1'), null);
+		assert.strictEqual(ip.commonPrefixLength('foo'), null);
+		assert.strictEqual(IP.newFromText('2001:db8::1')?.commonPrefixLength('2001:db8::2'), 126);
+	});
+
+});
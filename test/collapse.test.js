@@ -0,0 +1,120 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+/**
+ * @param {(string|IP)[]} ipArr
+ * @returns {{collapsed: string[]; dropped: number[];}}
+ */
+function collapse(ipArr) {
+	const {collapsed, dropped} = IPUtil.collapse(ipArr);
+	return {collapsed: collapsed.map((ip) => ip.stringify({mode: 'short'})), dropped};
+}
+
+describe('IPUtil.collapse', () => {
+
+	it('merges adjacent CIDRs', () => {
+		assert.deepStrictEqual(collapse(['192.168.0.128/25', '192.168.0.0/25']), {collapsed: ['192.168.0.0/24'], dropped: []});
+		assert.deepStrictEqual(collapse(['192.168.0.0/25', '192.168.0.128/26']), {collapsed: ['192.168.0.0/25', '192.168.0.128/26'], dropped: []});
+	});
+
+	it('drops addresses contained in other elements', () => {
+		assert.deepStrictEqual(collapse(['10.0.0.1', '10.0.0.0/16', '10.0.0.1/32']), {collapsed: ['10.0.0.0/16'], dropped: []});
+		assert.deepStrictEqual(collapse(['10.0.0.1', '10.0.0.1']), {collapsed: ['10.0.0.1'], dropped: []});
+	});
+
+	it('reports the indexes of invalid elements', () => {
+		assert.deepStrictEqual(collapse(['foo', '10.0.0.0/24', '10.0.0.0/33', '']), {collapsed: ['10.0.0.0/24'], dropped: [0, 2, 3]});
+		assert.deepStrictEqual(collapse([]), {collapsed: [], dropped: []});
+	});
+
+	it('keeps IPv4 and IPv6 addresses apart, IPv4 first', () => {
+		assert.deepStrictEqual(
+			collapse(['::/0', '0.0.0.0/1', '128.0.0.0/1', '::ffff:0:0/96']),
+			{collapsed: ['0.0.0.0/0', '::/0'], dropped: []}
+		);
+		assert.deepStrictEqual(
+			collapse(['fd12::/17', IP.newFromText('10.0.0.0/8') || '', 'fd12:8000::/17']),
+			{collapsed: ['10.0.0.0/8', 'fd12::/16'], dropped: []}
+		);
+	});
+
+	it('decomposes merged spans into CIDRs', () => {
+		assert.deepStrictEqual(
+			collapse(['10.0.0.1', '10.0.0.2/31', '10.0.0.4/30']),
+			{collapsed: ['10.0.0.1', '10.0.0.2/31', '10.0.0.4/30'], dropped: []}
+		);
+	});
+
+});
+
+describe('IP.newFromRangeObject', () => {
+
+	it('accepts range objects of IP instances', () => {
+		for (const str of ['10.0.0.0/8', '10.0.0.1', '10.0.0.1/32', 'fd12::/16', '::1']) {
+			const ip = /** @type {IP} */ (IP.newFromText(str));
+			const copy = IP.newFromRangeObject(ip.getProperties());
+			assert.ok(copy && copy.equals(ip) && copy.toString() === ip.toString(), str);
+		}
+	});
+
+	it('rejects invalid range objects', () => {
+		/** @type {any[]} */
+		const ranges = [
+			{first: [999, 1, 2, 3], last: [1, 2, 3], bitLen: 77, isCidr: true},
+			{first: [10, 0, 0, 1], last: [10, 0, 0, 255], bitLen: 24, isCidr: true},
+			{first: [10, 0, 0, 0], last: [10, 0, 0, 255], bitLen: 24, isCidr: false},
+			{first: [10, 0, 0, 0], last: [10, 0, 0, 0], bitLen: 33, isCidr: true},
+			{first: [10, 0, 0, 0.5], last: [10, 0, 0, 0.5], bitLen: 32, isCidr: false},
+			{first: [0, 0, 0, 0, 0, 0, 0, 0x10000], last: [0, 0, 0, 0, 0, 0, 0, 0x10000], bitLen: 128, isCidr: false},
+			{first: [10, 0, 0, 0], last: [10, 0, 0, 0], bitLen: 32},
+			{first: [10, 0, 0], last: [10, 0, 0], bitLen: 24, isCidr: true},
+			null,
+			'10.0.0.0'
+		];
+		for (const range of ranges) {
+			assert.strictEqual(IP.newFromRangeObject(range), null, JSON.stringify(range));
+		}
+	});
+
+});
+
+describe('IPUtil.commonRange', () => {
+
+	/**
+	 * @param {(string|IP)[]} ipArr
+	 * @returns {[string, bigint?, [number, number]?]?}
+	 */
+	const commonRange = (ipArr) => {
+		const ret = IPUtil.commonRange(ipArr);
+		return ret && [ret.ip.stringify({mode: 'short'}), ret.size, ret.halves];
+	};
+
+	it('gets the narrowest CIDR with its size and the distribution over its halves', () => {
+		assert.deepStrictEqual(commonRange(['192.0.2.10', '192.0.2.45', '192.0.2.100']), ['192.0.2.0/25', BigInt(128), [2, 1]]);
+		assert.deepStrictEqual(commonRange(['192.0.2.0/25', '192.0.2.128/25']), ['192.0.2.0/24', BigInt(256), [1, 1]]);
+		assert.deepStrictEqual(commonRange(['0.0.0.0', '255.255.255.255']), ['0.0.0.0/0', BigInt(4294967296), [1, 1]]);
+		assert.deepStrictEqual(commonRange(['2001:db8::1', '2001:db8::ffff']), ['2001:db8::/112', BigInt(65536), [1, 1]]);
+		assert.deepStrictEqual(commonRange([/** @type {IP} */ (IP.newFromText('10.0.0.1')), '10.0.0.2']), ['10.0.0.0/30', BigInt(4), [1, 1]]);
+	});
+
+	it('counts an element covering the whole range in neither half', () => {
+		assert.deepStrictEqual(commonRange(['192.0.2.0/24', '192.0.2.1']), ['192.0.2.0/24', BigInt(256), [1, 0]]);
+		assert.deepStrictEqual(commonRange(['192.0.2.0/24', '192.0.2.0/24']), ['192.0.2.0/24', BigInt(256), [0, 0]]);
+	});
+
+	it('returns a single address with no halves if all elements are the same address', () => {
+		assert.deepStrictEqual(commonRange(['192.0.2.1']), ['192.0.2.1', BigInt(1), null]);
+		assert.deepStrictEqual(commonRange(['192.0.2.1', '192.0.2.1/32']), ['192.0.2.1', BigInt(1), null]);
+		assert.strictEqual(IPUtil.commonRange(['2001:db8::1', '2001:db8::1'])?.ip.isCIDR(), false);
+	});
+
+	it('rejects mixed IP versions and invalid input', () => {
+		assert.strictEqual(IPUtil.commonRange(['192.0.2.1', '2001:db8::1']), null);
+		assert.strictEqual(IPUtil.commonRange(['::ffff:192.0.2.1', '192.0.2.1']), null);
+		assert.strictEqual(IPUtil.commonRange(['192.0.2.1', 'foo']), null);
+		assert.strictEqual(IPUtil.commonRange([]), null);
+		assert.strictEqual(IPUtil.commonRange(/** @type {any} */ ('192.0.2.1')), null);
+	});
+
+});
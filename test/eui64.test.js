@@ -0,0 +1,54 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+describe('Modified EUI-64 interface identifiers', () => {
+
+	it('generates an address from a prefix and a MAC address in any accepted format', () => {
+		for (const mac of ['00:1a:2b:3c:4d:5e', '00-1A-2B-3C-4D-5E', '001a.2b3c.4d5e', '001a2b3c4d5e']) {
+			const ip = IP.newFromPrefixAndMac('2001:db8::/64', mac);
+			assert.strictEqual(String(ip), '2001:db8:0:0:21a:2bff:fe3c:4d5e', mac);
+			assert.strictEqual(ip?.isCIDR(), false);
+		}
+		for (const mac of ['00:1a:2b:3c:4d', '00:1a-2b:3c:4d:5e', '001a:2b3c:4d5e', 'zz:1a:2b:3c:4d:5e']) {
+			assert.strictEqual(IP.newFromPrefixAndMac('2001:db8::/64', mac), null, mac);
+		}
+	});
+
+	it('flips the universal/local bit', () => {
+		assert.strictEqual(String(IP.newFromPrefixAndMac('2001:db8::/64', '02:00:00:00:00:01')), '2001:db8:0:0:0:ff:fe00:1');
+		assert.strictEqual(String(IP.newFromPrefixAndMac('2001:db8::/64', 'ff:ff:ff:ff:ff:ff')), '2001:db8:0:0:fdff:ffff:feff:ffff');
+	});
+
+	it('takes the first 64 bits of the prefix, which must not be longer than /64', () => {
+		for (const prefix of ['2001:db8::/48', '2001:db8::1', '2001:db8::1/64', IP.newFromText('2001:db8::/64')]) {
+			assert.strictEqual(String(IP.newFromPrefixAndMac(/** @type {string|IP} */ (prefix), '00:1a:2b:3c:4d:5e')), '2001:db8:0:0:21a:2bff:fe3c:4d5e');
+		}
+		for (const prefix of ['2001:db8::/65', '2001:db8::/128', '192.0.2.0/24', 'foo']) {
+			assert.strictEqual(IP.newFromPrefixAndMac(prefix, '00:1a:2b:3c:4d:5e'), null, prefix);
+		}
+	});
+
+	it('extracts the MAC address and the interface identifier', () => {
+		/** @type {[string, string?, string?][]} */
+		const examples = [
+			['2001:db8::21a:2bff:fe3c:4d5e', '00:1a:2b:3c:4d:5e', '21a:2bff:fe3c:4d5e'],
+			['fe80::ff:fe00:1', '02:00:00:00:00:01', '0:ff:fe00:1'],
+			// Privacy addresses (RFC 8981)
+			['2001:db8::8d3a:61c2:7f0e:9b14', null, '8d3a:61c2:7f0e:9b14'],
+			['2001:db8::21a:2bfe:fe3c:4d5e', null, '21a:2bfe:fe3c:4d5e'],
+			['2001:db8::21a:2bff:ff3c:4d5e', null, '21a:2bff:ff3c:4d5e'],
+			['2001:db8::21a:2bff:fe3c:4d5e/64', null, null],
+			['192.0.2.1', null, null]
+		];
+		for (const [input, mac, interfaceId] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			assert.strictEqual(ip.getEUI64MAC(), mac, input);
+			assert.strictEqual(ip.getInterfaceId(), interfaceId, input);
+			if (mac) {
+				assert.ok(ip.equals(/** @type {IP} */ (IP.newFromPrefixAndMac(ip, mac))), `${input} does not round-trip`);
+			}
+		}
+	});
+
+});
@@ -0,0 +1,41 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IPUtil} = require('../src/IP.js');
+
+/**
+ * @param {string} text
+ * @returns {[number, string][]}
+ */
+function extract(text) {
+	return IPUtil.extract(text).map(({index, match}) => /** @type {[number, string]} */ ([index, match]));
+}
+
+describe('IPUtil.extract', () => {
+
+	it('extracts addresses from wikitext', () => {
+		const text = '[[Special:Contributions/192.0.2.0/24]], {{IPvandal|2001:db8::1}} and [[User:10.0.0.1|IP]].';
+		assert.deepStrictEqual(extract(text), [[24, '192.0.2.0/24'], [51, '2001:db8::1'], [76, '10.0.0.1']]);
+	});
+
+	it('ignores the indentation of talk page comments', () => {
+		const text = ':I agree.\n:: Yes, see above.\n::: 10.0.0.1 again';
+		assert.deepStrictEqual(extract(text), [[33, '10.0.0.1']]);
+		assert.deepStrictEqual(extract('a :: b'), []);
+		assert.deepStrictEqual(extract('C++ :: operator'), []);
+	});
+
+	it('extracts addresses after namespaces ending in hex letters', () => {
+		assert.deepStrictEqual(extract('[[Utente:10.0.0.1]]'), [[9, '10.0.0.1']]);
+		assert.deepStrictEqual(extract('[[Usuaria:10.0.0.1]]'), [[10, '10.0.0.1']]);
+		assert.deepStrictEqual(extract('[[Discussioni utente:2001:db8::1]]'), [[21, '2001:db8::1']]);
+		assert.deepStrictEqual(extract('Code:192.168.0.1'), [[5, '192.168.0.1']]);
+		assert.deepStrictEqual(extract('Utente:::1'), [[7, '::1']]);
+		assert.deepStrictEqual(extract('abc10.0.0.1'), []);
+	});
+
+	it('extracts addresses followed by an invalid bit length', () => {
+		assert.deepStrictEqual(extract('See 10.0.0.0/33.'), [[4, '10.0.0.0']]);
+		assert.deepStrictEqual(extract('See 2001:db8::/129'), [[4, '2001:db8::']]);
+	});
+
+});
@@ -0,0 +1,77 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+describe('Hex strings in the format of IPUtils::toHex', () => {
+
+	it('converts addresses to hex strings and back', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			['192.168.0.1', 'C0A80001'],
+			['0.0.0.0', '00000000'],
+			['2001:db8::1', 'v6-20010DB8000000000000000000000001'],
+			['::', 'v6-00000000000000000000000000000000']
+		];
+		for (const [input, hex] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			assert.strictEqual(ip.toHex(), hex);
+			assert.ok(ip.equals(/** @type {IP} */ (IP.newFromHex(hex))), `${hex} does not round-trip`);
+		}
+		// The first address of a CIDR
+		assert.strictEqual(IP.newFromText('192.168.0.0/24')?.toHex(), 'C0A80000');
+	});
+
+	it('parses hex strings case-insensitively', () => {
+		assert.strictEqual(String(IP.newFromHex('c0a80001')), '192.168.0.1');
+		assert.strictEqual(String(IP.newFromHex('V6-20010db8000000000000000000000001')), '2001:db8:0:0:0:0:0:1');
+	});
+
+	it('parses the bounds of a range', () => {
+		assert.strictEqual(String(IP.newFromHex('C0A80000', 'C0A800FF')), '192.168.0.0/24');
+		assert.strictEqual(
+			String(IP.newFromHex('v6-20010DB8000000000000000000000000', 'v6-20010DB8FFFFFFFFFFFFFFFFFFFFFFFF')),
+			'2001:db8:0:0:0:0:0:0/32'
+		);
+		const ip = IP.newFromHex('C0A80001', 'C0A80001');
+		assert.strictEqual(String(ip), '192.168.0.1');
+		assert.strictEqual(ip?.isCIDR(), false);
+	});
+
+	it('rejects invalid hex strings and ranges', () => {
+		/** @type {[any, string?][]} */
+		const examples = [
+			['C0A8001'],
+			['C0A80001G'],
+			['20010DB8000000000000000000000001'],
+			[1],
+			['C0A80000', 'zz'],
+			// Not a single CIDR
+			['C0A80001', 'C0A80002'],
+			['C0A800FF', 'C0A80000'],
+			['C0A80000', 'v6-20010DB8000000000000000000000001']
+		];
+		for (const [hex, endHex] of examples) {
+			assert.strictEqual(IP.newFromHex(hex, endHex), null, `${hex} ${endHex}`);
+		}
+	});
+
+	it('outputs the hex strings of the first and last addresses in getRange', () => {
+		/** @type {[string, string, string][]} */
+		const examples = [
+			['192.168.0.1', 'C0A80001', 'C0A80001'],
+			['192.168.0.0/24', 'C0A80000', 'C0A800FF'],
+			['0.0.0.0/0', '00000000', 'FFFFFFFF'],
+			['2001:db8::/32', 'v6-20010DB8000000000000000000000000', 'v6-20010DB8FFFFFFFFFFFFFFFFFFFFFFFF'],
+			['::/0', 'v6-00000000000000000000000000000000', 'v6-FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF']
+		];
+		for (const [input, firstHex, lastHex] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			for (const range of [ip.getRange(), ip.getRange(true)]) {
+				assert.strictEqual(range.firstHex, firstHex, input);
+				assert.strictEqual(range.lastHex, lastHex, input);
+			}
+			assert.strictEqual(String(IP.newFromHex(firstHex, lastHex)), String(ip));
+		}
+	});
+
+});
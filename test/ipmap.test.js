@@ -0,0 +1,109 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IPMap} = require('../src/IP.js');
+
+/**
+ * @param {IPMap<any>} map
+ * @returns {number} The number of nodes in the tries of `map`.
+ */
+function countNodes(map) {
+	/**
+	 * @param {any} node
+	 * @returns {number}
+	 */
+	const count = (node) => node ? 1 + count(node.children[0]) + count(node.children[1]) : 0;
+	return count(map['roots'][4]) + count(map['roots'][6]);
+}
+
+describe('IPMap', () => {
+
+	it('sets and gets values by exact addresses', () => {
+		const map = new IPMap([['10.0.0.0/8', 'a'], ['foo', 'x'], ['2001:db8::/32', 'b']]);
+		assert.strictEqual(map.size, 2);
+		assert.strictEqual(map.get('10.0.0.0/8'), 'a');
+		assert.strictEqual(map.get('10.1.2.3/8'), 'a');
+		assert.strictEqual(map.get('10.0.0.0/16'), void 0);
+		assert.strictEqual(map.get('2001:DB8:0:0::/32'), 'b');
+		assert.strictEqual(map.get('foo'), void 0);
+		assert.strictEqual(map.set('10.0.0.0/8', 'c'), true);
+		assert.strictEqual(map.set('foo', 'c'), false);
+		assert.strictEqual(map.size, 2);
+		assert.strictEqual(map.get('10.0.0.0/8'), 'c');
+		assert.strictEqual(map.has('10.0.0.0/8'), true);
+		assert.strictEqual(map.has('10.0.0.0/9'), false);
+	});
+
+	it('keeps IPv4 and IPv6 keys apart', () => {
+		const map = new IPMap([['0.0.0.0/0', 4], ['::/0', 6]]);
+		assert.strictEqual(map.get('0.0.0.0/0'), 4);
+		assert.strictEqual(map.get('::/0'), 6);
+		assert.strictEqual(map.lookup('::ffff:10.0.0.1')?.value, 6);
+	});
+
+	it('looks up the entries that contain an address', () => {
+		const map = new IPMap([['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b'], ['10.1.2.3', 'c'], ['10.2.0.0/16', 'd']]);
+		const lookupAll = (/** @type {string} */ ip) => map.lookupAll(ip).map(({ip, value}) => [ip.toString(), value]);
+		assert.deepStrictEqual(lookupAll('10.1.2.3'), [['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b'], ['10.1.2.3', 'c']]);
+		assert.deepStrictEqual(lookupAll('10.1.2.4'), [['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b']]);
+		assert.deepStrictEqual(lookupAll('10.1.0.0/24'), [['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b']]);
+		assert.deepStrictEqual(lookupAll('11.0.0.0'), []);
+		assert.deepStrictEqual(lookupAll('foo'), []);
+		assert.strictEqual(map.lookup('10.1.2.3')?.value, 'c');
+		assert.strictEqual(map.lookup('10.2.255.255')?.value, 'd');
+		assert.strictEqual(map.lookup('10.0.0.0/7'), null);
+	});
+
+	it('deletes entries', () => {
+		const map = new IPMap([['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b']]);
+		assert.strictEqual(map.delete('10.1.0.0/16'), true);
+		assert.strictEqual(map.delete('10.1.0.0/16'), false);
+		assert.strictEqual(map.delete('10.0.0.0/16'), false);
+		assert.strictEqual(map.delete('foo'), false);
+		assert.strictEqual(map.size, 1);
+		assert.strictEqual(map.lookup('10.1.0.1')?.value, 'a');
+		assert.strictEqual(map.delete('10.0.0.0/8'), true);
+		assert.strictEqual(map.size, 0);
+		assert.strictEqual(map.lookup('10.1.0.1'), null);
+	});
+
+	it('prunes the nodes left empty by deletions', () => {
+		const map = new IPMap([['10.0.0.0/8', 'a']]);
+		const baseline = countNodes(map);
+		for (let i = 0; i < 256; i++) {
+			map.set(`2001:db8::${i.toString(16)}`, i);
+			map.set(`10.0.0.${i}`, i);
+		}
+		assert.strictEqual(map.size, 513);
+		for (let i = 0; i < 256; i++) {
+			assert.strictEqual(map.delete(`2001:db8::${i.toString(16)}`), true);
+			assert.strictEqual(map.delete(`10.0.0.${i}`), true);
+		}
+		assert.strictEqual(map.size, 1);
+		assert.strictEqual(countNodes(map), baseline);
+		assert.strictEqual(map.get('10.0.0.0/8'), 'a');
+
+		// Nodes with children are kept
+		map.set('10.0.0.0/16', 'b');
+		map.set('10.0.0.0/24', 'c');
+		map.delete('10.0.0.0/16');
+		assert.strictEqual(map.get('10.0.0.0/24'), 'c');
+		assert.strictEqual(map.lookupAll('10.0.0.1').length, 2);
+	});
+
+	it('serializes to and from JSON', () => {
+		const map = new IPMap([['2001:db8::/32', {n: 2}], ['10.0.0.1', {n: 1}], ['10.0.0.0/8', {n: 0}]]);
+		const json = JSON.stringify(map);
+		assert.deepStrictEqual(JSON.parse(json), [
+			['10.0.0.0/8', {n: 0}],
+			['10.0.0.1', {n: 1}],
+			['2001:db8:0:0:0:0:0:0/32', {n: 2}]
+		]);
+		const restored = IPMap.fromJSON(json);
+		assert.strictEqual(restored.size, 3);
+		assert.deepStrictEqual(restored.get('10.0.0.1'), {n: 1});
+		assert.deepStrictEqual(IPMap.fromJSON(JSON.parse(json)).toJSON(), map.toJSON());
+		assert.throws(() => IPMap.fromJSON('{}'), TypeError);
+		assert.throws(() => IPMap.fromJSON('['), SyntaxError);
+	});
+
+});
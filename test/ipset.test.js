@@ -0,0 +1,34 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IPSet} = require('../src/IP.js');
+
+describe('IPSet', () => {
+
+	it('merges overlapping and adjacent ranges on construction', () => {
+		const set = new IPSet(['10.0.1.0/24', '10.0.0.0/24', '10.0.0.128/25', 'foo', '2001:db8::/33', '2001:db8:8000::/33']);
+		assert.deepStrictEqual(set.toCidrs().map((ip) => ip.stringify({mode: 'short'})), ['10.0.0.0/23', '2001:db8::/32']);
+	});
+
+	it('merges an added range only with the ranges it overlaps or adjoins', () => {
+		const set = new IPSet(['10.0.0.0/24', '10.0.2.0/24', '10.0.4.0/24', '10.0.8.0/24']);
+		assert.strictEqual(set.add('10.0.1.0/24'), true);
+		assert.deepStrictEqual(set.toCidrs().map(String), ['10.0.0.0/23', '10.0.2.0/24', '10.0.4.0/24', '10.0.8.0/24']);
+		assert.strictEqual(set.add('10.0.3.0/24'), true);
+		assert.deepStrictEqual(set.toCidrs().map(String), ['10.0.0.0/22', '10.0.4.0/24', '10.0.8.0/24']);
+		assert.strictEqual(set.add('255.255.255.255'), true);
+		assert.strictEqual(set.add('0.0.0.0/0'), true);
+		assert.deepStrictEqual(set.toCidrs().map(String), ['0.0.0.0/0']);
+		assert.strictEqual(set.add('foo'), false);
+	});
+
+	it('builds from thousands of ranges', () => {
+		const list = [];
+		for (let i = 0; i < 4096; i++) {
+			list.push(`10.${i >> 8}.${i & 255}.0/24`);
+		}
+		const set = new IPSet(list);
+		list.reverse().forEach((ip) => set.add(ip));
+		assert.deepStrictEqual(set.toCidrs().map(String), ['10.0.0.0/12']);
+	});
+
+});
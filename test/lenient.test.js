@@ -0,0 +1,64 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('Lenient mode', () => {
+
+	it('accepts legacy IPv4 notations and reports the normalizations', () => {
+		/** @type {[string, string, string[]][]} */
+		const cases = [
+			['0xC0.0xA8.0.1', '192.168.0.1', ['hex']],
+			['0300.0250.0.01', '192.168.0.1', ['octal']],
+			['192.168.010.001', '192.168.8.1', ['octal']],
+			['3232235521', '192.168.0.1', ['integer']],
+			['0', '0.0.0.0', ['integer']],
+			['192.168.1', '192.168.0.1', ['short']],
+			['192.65536', '192.1.0.0', ['short']],
+			['0xC0.11010049', '192.168.0.1', ['hex', 'short']],
+			['１９２．１６８．０．１', '192.168.0.1', ['nfkc']],
+			['３２３２２３５５２１', '192.168.0.1', ['nfkc', 'integer']],
+			['２００１:db8::1', '2001:db8:0:0:0:0:0:1', ['nfkc']],
+			['3232235521/24', '192.168.0.0/24', ['integer']],
+			['192.168.0.1', '192.168.0.1', []],
+			['2001:db8::1', '2001:db8:0:0:0:0:0:1', []]
+		];
+		for (const [input, expected, normalizations] of cases) {
+			const ip = IP.newFromText(input, {lenient: true});
+			assert.ok(ip, input);
+			assert.strictEqual(ip.toString(), expected, input);
+			assert.deepStrictEqual(ip.getNormalizations(), normalizations, input);
+		}
+	});
+
+	it('rejects invalid legacy notations', () => {
+		for (const input of ['08', '192.168.08.1', '0x100.0.0.1', '4294967296', '192.168.65536', '1.2.3.4.5', '0x', '0x1g', '']) {
+			assert.strictEqual(IP.newFromText(input, {lenient: true}), null, input);
+		}
+	});
+
+	it('is off by default', () => {
+		for (const input of ['0xC0.0xA8.0.1', '3232235521', '192.168.1', '１９２．１６８．０．１']) {
+			assert.strictEqual(IP.newFromText(input), null, input);
+			assert.strictEqual(IPUtil.sanitize(input), null, input);
+		}
+		// A leading zero is decimal in strict mode
+		assert.strictEqual(String(IP.newFromText('192.168.010.001')), '192.168.10.1');
+		assert.deepStrictEqual((/** @type {IP} */ (IP.newFromText('192.168.0.1'))).getNormalizations(), []);
+	});
+
+	it('is supported by IPUtil.sanitize', () => {
+		assert.strictEqual(IPUtil.sanitize('0xC0.0xA8.0.1', false, void 0, {lenient: true}), '192.168.0.1');
+		assert.strictEqual(IPUtil.sanitize('3232235521/24', false, void 0, {lenient: true}), '192.168.0.0/24');
+		assert.strictEqual(IPUtil.sanitize('0xC0.0xA8.0.1', false, (version) => version === 6, {lenient: true}), null);
+		assert.strictEqual(IPUtil.sanitize('08', false, void 0, {lenient: true}), null);
+		assert.strictEqual(IPUtil.sanitize('２００１:DB8::1', true, void 0, {lenient: true}), '2001:DB8:0:0:0:0:0:1');
+	});
+
+	it('keeps zone IDs in IPUtil.sanitize only with allowZone', () => {
+		assert.strictEqual(IPUtil.sanitize('fe80::1%eth0'), null);
+		assert.strictEqual(IPUtil.sanitize('fe80::1%eth0', true, void 0, {allowZone: true}), 'FE80:0:0:0:0:0:0:1%eth0');
+		assert.strictEqual(IPUtil.sanitize('fe80::1%25eth0', false, void 0, {allowZone: 'url'}), 'fe80:0:0:0:0:0:0:1%eth0');
+		assert.strictEqual(IPUtil.sanitize('ｆｅ８０::1%eth0', false, void 0, {lenient: true, allowZone: true}), 'fe80:0:0:0:0:0:0:1%eth0');
+	});
+
+});
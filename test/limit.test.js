@@ -0,0 +1,44 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IPUtil} = require('../src/IP.js');
+
+describe('IPUtil.isBlockableCIDR', () => {
+
+	it('lists the maximum-size CIDRs of a range beyond the limit', () => {
+		const result = IPUtil.isBlockableCIDR('10.0.0.0/15');
+		assert.ok(result);
+		assert.strictEqual(result.allowed, false);
+		assert.strictEqual(result.count, 2);
+		assert.deepStrictEqual(Array.from(result.cidrs, String), ['10.0.0.0/16', '10.1.0.0/16']);
+	});
+
+	it('lists the input address only if it is within the limit', () => {
+		const result = IPUtil.isBlockableCIDR('10.0.0.0/24');
+		assert.ok(result);
+		assert.strictEqual(result.allowed, true);
+		assert.strictEqual(result.count, 1);
+		assert.deepStrictEqual(Array.from(result.cidrs, String), ['10.0.0.0/24']);
+	});
+
+	it('keeps the notation of an allowed single address', () => {
+		for (const str of ['10.0.0.1', '10.0.0.1/32', '2001:db8::1/128']) {
+			const result = IPUtil.isBlockableCIDR(str);
+			assert.ok(result);
+			assert.strictEqual(result.allowed, true);
+			assert.deepStrictEqual(Array.from(result.cidrs, (ip) => ip.stringify({mode: 'short'})), [str]);
+		}
+	});
+
+	it('returns null for invalid input', () => {
+		assert.strictEqual(IPUtil.isBlockableCIDR('10.0.0.0/33'), null);
+	});
+
+	it('generates the CIDRs lazily for a huge number of them', () => {
+		const result = IPUtil.isBlockableCIDR('::/0', {IPv6: 64});
+		assert.ok(result);
+		assert.strictEqual(result.count, Math.pow(2, 64));
+		const first = result.cidrs.next().value;
+		assert.strictEqual(first && first.stringify(), '0:0:0:0:0:0:0:0/64');
+	});
+
+});
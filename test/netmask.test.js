@@ -0,0 +1,87 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('Netmasks and wildcard masks', () => {
+
+	it('parses addresses with a netmask, a wildcard mask or a prefix length', () => {
+		/** @type {[string, boolean|undefined, string][]} */
+		const examples = [
+			['192.0.2.0 255.255.255.0', void 0, '192.0.2.0/24'],
+			['192.0.2.0/255.255.255.0', void 0, '192.0.2.0/24'],
+			['192.0.2.0 0.0.0.255', void 0, '192.0.2.0/24'],
+			['192.0.2.7 255.255.255.0', void 0, '192.0.2.0/24'],
+			['192.0.2.0/24', void 0, '192.0.2.0/24'],
+			['2001:db8:: ffff:ffff::', void 0, '2001:db8:0:0:0:0:0:0/32'],
+			['2001:db8:: ::ffff:ffff:ffff:ffff:ffff:ffff', void 0, '2001:db8:0:0:0:0:0:0/32'],
+			// Masks valid as both are interpreted as netmasks unless specified otherwise
+			['192.0.2.1 255.255.255.255', void 0, '192.0.2.1/32'],
+			['192.0.2.1 0.0.0.0', void 0, '0.0.0.0/0'],
+			['192.0.2.1 0.0.0.0', true, '192.0.2.1/32'],
+			['192.0.2.1 255.255.255.255', true, '0.0.0.0/0']
+		];
+		for (const [str, wildcard, expected] of examples) {
+			const {ip, error} = IPUtil.parseNetmask(str, wildcard);
+			assert.strictEqual(String(ip), expected, str);
+			assert.strictEqual(error, null);
+			assert.strictEqual(String(IP.newFromNetmask(str, wildcard)), expected, str);
+		}
+	});
+
+	it('rejects non-contiguous masks', () => {
+		/** @type {[string, boolean|undefined, string][]} */
+		const examples = [
+			['192.0.2.0 255.0.255.0', void 0, '"255.0.255.0" is not a valid mask because its bits are not contiguous.'],
+			['192.0.2.0 0.255.0.255', void 0, '"0.255.0.255" is not a valid mask because its bits are not contiguous.'],
+			['192.0.2.0 255.0.255.0', false, '"255.0.255.0" is not a valid netmask because its bits are not contiguous.'],
+			['192.0.2.0 0.255.0.255', true, '"0.255.0.255" is not a valid wildcard mask because its bits are not contiguous.'],
+			['2001:db8:: ffff:0:ffff::', void 0, '"ffff:0:ffff::" is not a valid mask because its bits are not contiguous.'],
+			// Valid, but not of the specified type
+			['192.0.2.0 0.0.0.255', false, '"0.0.0.255" is not a valid netmask because its bits are not contiguous.'],
+			['192.0.2.0 255.255.255.0', true, '"255.255.255.0" is not a valid wildcard mask because its bits are not contiguous.']
+		];
+		for (const [str, wildcard, error] of examples) {
+			assert.deepStrictEqual(IPUtil.parseNetmask(str, wildcard), {ip: null, error}, str);
+			assert.strictEqual(IP.newFromNetmask(str, wildcard), null, str);
+		}
+	});
+
+	it('reports why other input is rejected', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			['foo 255.255.255.0', '"foo" is not a valid IP address.'],
+			['192.0.2.0 255.255.256.0', '"255.255.256.0" is not a valid mask for an IPv4 address.'],
+			['192.0.2.0 ffff::', '"ffff::" is not a valid mask for an IPv4 address.'],
+			['192.0.2.0/33', '"33" is not a valid bit length.'],
+			['192.0.2.0', 'The input is not in the form of "address netmask" or "address/netmask".']
+		];
+		for (const [str, error] of examples) {
+			assert.deepStrictEqual(IPUtil.parseNetmask(str), {ip: null, error}, str);
+			assert.strictEqual(IP.newFromNetmask(str), null, str);
+		}
+	});
+
+	it('gets the netmask and the wildcard mask of an instance', () => {
+		/** @type {[string, string, string][]} */
+		const examples = [
+			['192.0.2.0/24', '255.255.255.0', '0.0.0.255'],
+			['192.0.2.1', '255.255.255.255', '0.0.0.0'],
+			['0.0.0.0/0', '0.0.0.0', '255.255.255.255'],
+			['2001:db8::/32', 'ffff:ffff::', '::ffff:ffff:ffff:ffff:ffff:ffff'],
+			['::/0', '::', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff']
+		];
+		for (const [input, netmask, wildcardMask] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			assert.strictEqual(ip.getNetmask({mode: 'short'}), netmask);
+			assert.strictEqual(ip.getWildcardMask({mode: 'short'}), wildcardMask);
+			assert.strictEqual(ip.getHostmask({mode: 'short'}), ip.getWildcardMask({mode: 'short'}));
+			// The masks are parsed back into the same range
+			const first = ip.getRange().first;
+			assert.ok(ip.equals(/** @type {IP} */ (IP.newFromNetmask(`${first} ${ip.getNetmask()}`, false))));
+			assert.ok(ip.equals(/** @type {IP} */ (IP.newFromNetmask(`${first} ${ip.getWildcardMask()}`, true))));
+		}
+		assert.strictEqual(IP.newFromText('192.0.2.0/24')?.getWildcardMask({mode: 'long'}), '000.000.000.255');
+		assert.strictEqual(IP.newFromText('2001:db8::/32')?.getNetmask(), 'ffff:ffff:0:0:0:0:0:0');
+	});
+
+});
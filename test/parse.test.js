@@ -0,0 +1,153 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('IPUtil.isIP', () => {
+
+	it('accepts valid IPv4 addresses and CIDRs', () => {
+		for (const str of ['0.0.0.0', '192.168.0.1', '255.255.255.255', ' 10.0.0.1 ', '\u200E10.0.0.1', '10.0.0.0/0', '10.0.0.0/32']) {
+			assert.strictEqual(IPUtil.isIP(str, true), true, str);
+		}
+		assert.strictEqual(IPUtil.isIPv4('10.0.0.0/8'), false);
+		assert.strictEqual(IPUtil.isIPv4('10.0.0.0/8', true), true);
+		assert.strictEqual(IPUtil.isIPv6('10.0.0.1'), false);
+	});
+
+	it('accepts valid IPv6 addresses and CIDRs', () => {
+		const valid = [
+			'::',
+			'::1',
+			'1::',
+			'2001:db8::1',
+			'2001:DB8:0:0:0:0:0:1',
+			'2001:0db8:0000:0000:0000:0000:0000:0001',
+			// "::" may stand for a single zero hextet
+			'1:2:3:4:5:6:7::',
+			'::2:3:4:5:6:7:8',
+			'::ffff:192.0.2.1',
+			'1:2:3:4:5:6:1.2.3.4',
+			'2001:db8::/32',
+			'::/0',
+			'::1/128'
+		];
+		for (const str of valid) {
+			assert.strictEqual(IPUtil.isIP(str, true), true, str);
+			assert.strictEqual(IPUtil.isIPv6(str, true), true, str);
+		}
+		assert.strictEqual(IPUtil.isIPv4('::1'), false);
+		assert.strictEqual(IPUtil.isIPv6('2001:db8::/32'), false);
+	});
+
+	it('rejects invalid addresses', () => {
+		const invalid = [
+			'192.168.0',
+			'192.168.0.1.1',
+			'192.168.0.256',
+			'192.168..1',
+			'0192.168.0.1',
+			'192.168.0.1/33',
+			'192.168.0.1/',
+			'-1.0.0.0',
+			// A single leading or trailing colon is not "::"
+			':1:2:3:4:5:6:7',
+			'1:2:3:4:5:6:7:',
+			'1:2:3:4:5:6:7',
+			'1:2:3:4:5:6:7:8:9',
+			'::1:2:3:4:5:6:7:8',
+			'1::2::3',
+			'2001:db8:::1',
+			'00001::1',
+			'2001:db8::g',
+			'1:2:3:4:5:6:7:1.2.3.4',
+			'1.2.3.4::',
+			'::ffff:192.0.2.256',
+			'::/129',
+			'fe80::1%eth0',
+			''
+		];
+		for (const str of invalid) {
+			assert.strictEqual(IPUtil.isIP(str, true), false, str);
+		}
+		assert.strictEqual(IPUtil.isIP(/** @type {any} */ (1)), false);
+	});
+
+	it('parses addresses into their parts', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('1:2:3:4:5:6:7::'));
+		assert.deepStrictEqual(ip.getProperties(), {first: [1, 2, 3, 4, 5, 6, 7, 0], last: [1, 2, 3, 4, 5, 6, 7, 0], bitLen: 128, isCidr: false});
+		const mapped = /** @type {IP} */ (IP.newFromText('::ffff:192.0.2.1'));
+		assert.deepStrictEqual(mapped.getProperties().first, [0, 0, 0, 0, 0, 0xffff, 0xc000, 0x201]);
+		const cidr = /** @type {IP} */ (IP.newFromText('192.168.0.1/24'));
+		assert.deepStrictEqual(cidr.getProperties(), {first: [192, 168, 0, 0], last: [192, 168, 0, 255], bitLen: 24, isCidr: true});
+	});
+
+});
+
+describe('IPUtil.diagnose', () => {
+
+	it('reports valid inputs', () => {
+		assert.deepStrictEqual(IPUtil.diagnose('2001:db8::/32'), {valid: true, code: null, message: null, position: null, suggestion: null});
+		assert.strictEqual(IPUtil.diagnose('fe80::1%eth0', {allowZone: true}).valid, true);
+	});
+
+	it('reports every kind of error with its position', () => {
+		/** @type {[any, import('../src/IP-types.ts').DiagnosisCode, number?][]} */
+		const cases = [
+			[1, 'NOT_STRING', null],
+			['', 'EMPTY', null],
+			['  ', 'EMPTY', null],
+			['192.168.0.x', 'INVALID_CHARACTER', 10],
+			['2001:db8::g', 'INVALID_CHARACTER', 10],
+			['fe80::1%eth0', 'INVALID_CHARACTER', 7],
+			['192.168.0', 'INVALID_PART_COUNT', null],
+			['1:2:3:4:5:6:7', 'INVALID_PART_COUNT', null],
+			['::1:2:3:4:5:6:7:8', 'INVALID_PART_COUNT', null],
+			['192.168..1', 'EMPTY_PART', 8],
+			[':1:2:3:4:5:6:7', 'EMPTY_PART', 0],
+			['1:2:3:4:5:6:7:', 'EMPTY_PART', 14],
+			['1920.168.0.1', 'PART_TOO_LONG', 0],
+			['00001::1', 'PART_TOO_LONG', 0],
+			['192.168.0.256', 'PART_OUT_OF_RANGE', 10],
+			['::ffff:192.0.2.256', 'PART_OUT_OF_RANGE', 15],
+			['2001:db8:::1', 'MULTIPLE_DOUBLE_COLONS', 8],
+			['1::2::3', 'MULTIPLE_DOUBLE_COLONS', 4],
+			['10.0.0.0/33', 'INVALID_BIT_LENGTH', 9],
+			['::/129', 'INVALID_BIT_LENGTH', 3],
+			['10.0.0.0/x', 'INVALID_BIT_LENGTH', 9]
+		];
+		for (const [input, code, position] of cases) {
+			const diagnosis = IPUtil.diagnose(input);
+			assert.strictEqual(diagnosis.valid, false, input);
+			assert.strictEqual(diagnosis.code, code, input);
+			assert.strictEqual(diagnosis.position, position, input);
+			assert.strictEqual(typeof diagnosis.message, 'string', input);
+		}
+		for (const input of ['fe80::1%', 'fe80::1%a b', 'fe80::1%<script>']) {
+			const diagnosis = IPUtil.diagnose(input, {allowZone: true});
+			assert.strictEqual(diagnosis.code, 'INVALID_ZONE', input);
+			assert.strictEqual(diagnosis.position, 8, input);
+		}
+	});
+
+	it('suggests corrections for common mistakes', () => {
+		/** @type {[string, string?][]} */
+		const cases = [
+			['fe80::1%eth0', 'fe80:0:0:0:0:0:0:1'],
+			['192.168. 0.1', '192.168.0.1'],
+			['2001:db8:::1', '2001:db8:0:0:0:0:0:1'],
+			['0192.168.0.1', '192.168.0.1'],
+			['00001::1', '1:0:0:0:0:0:0:1'],
+			['192.168.0.256', null],
+			['10.0.0.0/33', null]
+		];
+		for (const [input, suggestion] of cases) {
+			assert.strictEqual(IPUtil.diagnose(input).suggestion, suggestion, input);
+		}
+	});
+
+	it('agrees with the other methods', () => {
+		for (const str of ['1:2:3:4:5:6:7::', ':1:2:3:4:5:6:7', '10.0.0.0/8', '10.0.0.0/33', 'foo']) {
+			assert.strictEqual(IPUtil.diagnose(str).valid, IPUtil.isIP(str, true), str);
+		}
+	});
+
+});
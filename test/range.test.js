@@ -0,0 +1,56 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('IPUtil.rangeToCidrs', () => {
+
+	it('decomposes non-aligned ranges into the minimal set of CIDRs', () => {
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('10.0.0.5', '10.0.1.200')?.map(String), [
+			'10.0.0.5', '10.0.0.6/31', '10.0.0.8/29', '10.0.0.16/28', '10.0.0.32/27', '10.0.0.64/26',
+			'10.0.0.128/25', '10.0.1.0/25', '10.0.1.128/26', '10.0.1.192/29', '10.0.1.200'
+		]);
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('192.168.0.1', '192.168.0.10')?.map(String), [
+			'192.168.0.1', '192.168.0.2/31', '192.168.0.4/30', '192.168.0.8/31', '192.168.0.10'
+		]);
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('2001:db8::1', '2001:db8::4')?.map((ip) => ip.stringify({mode: 'short'})), [
+			'2001:db8::1', '2001:db8::2/127', '2001:db8::4'
+		]);
+	});
+
+	it('returns a single CIDR for aligned ranges', () => {
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('10.0.0.0', '10.0.0.255')?.map(String), ['10.0.0.0/24']);
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('255.255.255.254', '255.255.255.255')?.map(String), ['255.255.255.254/31']);
+		// The first address of the first CIDR and the last address of the last CIDR are used
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('10.0.0.0/24', '10.0.1.0/24')?.map(String), ['10.0.0.0/23']);
+	});
+
+	it('returns a single address for a range of one address', () => {
+		const cidrs = /** @type {IP[]} */ (IPUtil.rangeToCidrs('192.0.2.1', '192.0.2.1'));
+		assert.deepStrictEqual(cidrs.map(String), ['192.0.2.1']);
+		assert.strictEqual(cidrs[0].isCIDR(), false);
+	});
+
+	it('returns /0 for the full address space', () => {
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('0.0.0.0', '255.255.255.255')?.map(String), ['0.0.0.0/0']);
+		assert.deepStrictEqual(IPUtil.rangeToCidrs('::', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff')?.map((ip) => ip.stringify({mode: 'short'})), ['::/0']);
+	});
+
+	it('accepts IP instances', () => {
+		const first = /** @type {IP} */ (IP.newFromText('192.0.2.0/25'));
+		const last = /** @type {IP} */ (IP.newFromText('192.0.2.200'));
+		assert.deepStrictEqual(IPUtil.rangeToCidrs(first, last)?.map(String), ['192.0.2.0/25', '192.0.2.128/26', '192.0.2.192/29', '192.0.2.200']);
+	});
+
+	it('rejects reversed bounds, mixed versions and invalid addresses', () => {
+		assert.strictEqual(IPUtil.rangeToCidrs('192.168.0.10', '192.168.0.1'), null);
+		assert.strictEqual(IPUtil.rangeToCidrs('192.0.2.1', '2001:db8::1'), null);
+		assert.strictEqual(IPUtil.rangeToCidrs('foo', '192.0.2.1'), null);
+	});
+
+	it('is an alias of IP.newFromRangeBounds', () => {
+		for (const [first, last] of [['10.0.0.5', '10.0.1.200'], ['::', '::1'], ['10.0.0.1', '10.0.0.0']]) {
+			assert.deepStrictEqual(IPUtil.rangeToCidrs(first, last), IP.newFromRangeBounds(first, last));
+		}
+	});
+
+});
@@ -0,0 +1,43 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+describe('IP#relationTo and IP#intersection', () => {
+
+	const ip = /** @type {IP} */ (IP.newFromText('10.0.0.0/24'));
+
+	it('relates CIDRs', () => {
+		assert.strictEqual(ip.relationTo('10.0.0.0/24'), 'equal');
+		assert.strictEqual(ip.relationTo('10.0.0.0/16'), 'contained-by');
+		assert.strictEqual(ip.relationTo('10.0.0.128/25'), 'contains');
+		assert.strictEqual(ip.relationTo('10.0.1.0/24'), 'adjacent');
+		assert.strictEqual(ip.relationTo('10.0.2.0/24'), 'disjoint');
+		assert.strictEqual(ip.relationTo('::/0'), 'disjoint');
+		assert.strictEqual(ip.relationTo('foo'), null);
+		assert.deepStrictEqual((ip.intersection('10.0.0.0/16') || []).map(String), ['10.0.0.0/24']);
+		assert.deepStrictEqual((ip.intersection('10.0.0.128/25') || []).map(String), ['10.0.0.128/25']);
+		assert.strictEqual(ip.intersection('10.0.1.0/24'), null);
+		assert.strictEqual(ip.intersection('::/0'), null);
+	});
+
+	it('finds partial overlaps with arbitrary ranges', () => {
+		const bounds = {first: '10.0.0.200', last: '10.0.1.10'};
+		const expected = ['10.0.0.200/29', '10.0.0.208/28', '10.0.0.224/27'];
+		assert.strictEqual(ip.relationTo(bounds), 'overlapping');
+		assert.deepStrictEqual((ip.intersection(bounds) || []).map(String), expected);
+		const cidrs = /** @type {IP[]} */ (IP.newFromRangeBounds(bounds.first, bounds.last));
+		assert.strictEqual(ip.relationTo(cidrs), 'overlapping');
+		assert.deepStrictEqual((ip.intersection(cidrs) || []).map(String), expected);
+		assert.strictEqual(ip.relationTo({first: '9.255.255.255', last: '10.0.0.10'}), 'overlapping');
+		assert.strictEqual(ip.relationTo({first: '10.0.1.0', last: '10.0.2.0'}), 'adjacent');
+	});
+
+	it('rejects invalid ranges', () => {
+		assert.strictEqual(ip.relationTo({first: '10.0.1.0', last: '10.0.0.0'}), null);
+		assert.strictEqual(ip.relationTo({first: '10.0.0.0', last: '::1'}), null);
+		assert.strictEqual(ip.relationTo(['10.0.0.0/25', '10.0.2.0/24']), null);
+		assert.strictEqual(ip.relationTo([]), null);
+		assert.strictEqual(ip.intersection(['10.0.0.0/25', 'foo']), null);
+	});
+
+});
@@ -0,0 +1,66 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+describe('Reverse DNS names', () => {
+
+	it('round-trips addresses and CIDRs', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			['192.168.0.1', '1.0.168.192.in-addr.arpa'],
+			['192.168.0.0/24', '0.168.192.in-addr.arpa'],
+			['192.168.0.0/16', '168.192.in-addr.arpa'],
+			['0.0.0.0/0', 'in-addr.arpa'],
+			// RFC 2317 classless delegation
+			['192.0.2.64/26', '64/26.2.0.192.in-addr.arpa'],
+			['2.0.0.0/7', '2/7.in-addr.arpa'],
+			['2001:db8::1', '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa'],
+			['2001:db8::/32', '8.b.d.0.1.0.0.2.ip6.arpa'],
+			['2001:db8::/36', '0.8.b.d.0.1.0.0.2.ip6.arpa'],
+			['::/0', 'ip6.arpa']
+		];
+		for (const [input, name] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			assert.strictEqual(ip.toReverseName(), name);
+			const parsed = /** @type {IP} */ (IP.newFromReverseName(name));
+			assert.ok(parsed && parsed.equals(ip), `${name} does not round-trip`);
+			assert.strictEqual(parsed.isCIDR(), ip.isCIDR());
+		}
+	});
+
+	it('gives the same name to a single address and a /32 or /128 CIDR', () => {
+		assert.strictEqual(IP.newFromText('192.168.0.1/32')?.toReverseName(), '1.0.168.192.in-addr.arpa');
+		assert.strictEqual(IP.newFromText('2001:db8::1/128')?.toReverseName(), IP.newFromText('2001:db8::1')?.toReverseName());
+	});
+
+	it('returns null for IPv6 CIDRs that are not nibble-aligned', () => {
+		for (const input of ['2001:db8::/33', '2001:db8::/127', '::/1']) {
+			assert.strictEqual(IP.newFromText(input)?.toReverseName(), null, input);
+		}
+	});
+
+	it('parses names case-insensitively with or without the trailing dot', () => {
+		assert.strictEqual(String(IP.newFromReverseName('1.0.168.192.IN-ADDR.ARPA.')), '192.168.0.1');
+		assert.strictEqual(String(IP.newFromReverseName('8.B.D.0.1.0.0.2.ip6.arpa.')), '2001:db8:0:0:0:0:0:0/32');
+	});
+
+	it('rejects invalid names', () => {
+		const names = [
+			// The first address does not match the bit length
+			'65/26.2.0.192.in-addr.arpa',
+			// The bit length is not within the partial octet
+			'64/24.2.0.192.in-addr.arpa',
+			'64/33.2.0.192.in-addr.arpa',
+			'64/26.0.192.in-addr.arpa',
+			'256.0.0.1.in-addr.arpa',
+			'01.0.0.1.in-addr.arpa',
+			'1.2.3.4.5.in-addr.arpa',
+			'g.8.b.d.0.1.0.0.2.ip6.arpa',
+			'example.com'
+		];
+		for (const name of names) {
+			assert.strictEqual(IP.newFromReverseName(name), null, name);
+		}
+	});
+
+});
@@ -0,0 +1,55 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('IPUtil.classify and IP#getScope', () => {
+
+	it('classify addresses by the most specific block that contains them', () => {
+		/** @type {[string, import('../src/IP-types.ts').AddressScope, string?][]} */
+		const cases = [
+			['172.16.5.4', 'private', '172.16.0.0/12'],
+			['8.8.8.8', 'global', null],
+			['0.0.0.0', 'unspecified', '0.0.0.0/32'],
+			['0.1.2.3', 'this-network', '0.0.0.0/8'],
+			['255.255.255.255', 'broadcast', '255.255.255.255/32'],
+			['::', 'unspecified', '::/128'],
+			['::1', 'loopback', '::1/128'],
+			['::ffff:1.2.3.4', 'ipv4-mapped', '::ffff:0:0/96'],
+			['2001::1', 'teredo', '2001::/32'],
+			['2001:2::1', 'benchmarking', '2001:2::/48'],
+			['2001:db8::1', 'documentation', '2001:db8::/32'],
+			['64:ff9b::1', 'nat64', '64:ff9b::/96'],
+			['fd00::1', 'unique-local', 'fc00::/7'],
+			['fe80::1', 'link-local', 'fe80::/10'],
+			['ff02::1', 'multicast', 'ff00::/8'],
+			['2600::1', 'global', null]
+		];
+		for (const [str, scope, cidr] of cases) {
+			const info = IPUtil.classify(str);
+			assert.ok(info, str);
+			assert.strictEqual(info.scope, scope, str);
+			assert.strictEqual(info.cidr, cidr, str);
+			assert.deepStrictEqual(info.partial, [], str);
+			assert.deepStrictEqual((/** @type {IP} */ (IP.newFromText(str))).getScope(), info, str);
+		}
+	});
+
+	it('report the blocks that partly overlap a CIDR', () => {
+		assert.deepStrictEqual(IPUtil.classify('10.0.0.0/7'), {
+			scope: 'global',
+			cidr: null,
+			name: null,
+			partial: [{scope: 'private', cidr: '10.0.0.0/8', name: 'Private-Use'}]
+		});
+		assert.deepStrictEqual(IPUtil.classify('10.0.0.0/8'), {scope: 'private', cidr: '10.0.0.0/8', name: 'Private-Use', partial: []});
+		const info = /** @type {import('../src/IP-types.ts').ScopeInfo} */ (IPUtil.classify('::/0'));
+		assert.strictEqual(info.scope, 'global');
+		assert.ok(info.partial.some(({cidr}) => cidr === 'fe80::/10'));
+		assert.ok(info.partial.every(({cidr}) => cidr.indexOf(':') !== -1));
+	});
+
+	it('return null for invalid input', () => {
+		assert.strictEqual(IPUtil.classify('foo'), null);
+	});
+
+});
@@ -0,0 +1,47 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('Ordering of IP addresses', () => {
+
+	it('puts IPv4 before IPv6, and CIDRs before their first addresses', () => {
+		assert.deepStrictEqual(['10.0.0.10', 'fd12::1', '10.0.0.9', '10.0.0.0/24'].sort(IPUtil.compare), [
+			'10.0.0.0/24', '10.0.0.9', '10.0.0.10', 'fd12::1'
+		]);
+		assert.ok(IPUtil.compare('255.255.255.255', '::') < 0);
+		assert.ok(IPUtil.compare('10.0.0.10', '10.0.0.9') > 0);
+		assert.ok(IPUtil.compare('10.0.0.0/8', '10.0.0.0/24') < 0);
+		assert.ok(IPUtil.compare('10.0.0.0/24', '10.0.0.0') < 0);
+		assert.strictEqual(IPUtil.compare('10.0.0.0', '10.0.0.0/32'), 0);
+	});
+
+	it('puts invalid entries last', () => {
+		assert.ok(IPUtil.compare('::', 'foo') < 0);
+		assert.ok(IPUtil.compare('foo', '::') > 0);
+		assert.strictEqual(IPUtil.compare('foo', 'bar'), 0);
+	});
+
+	it('sorts an array without mutating it, retaining the order of invalid entries', () => {
+		const ipArr = ['fd12::1', 'foo', '10.0.0.1', '::1', '10.0.0.0/8', 'bar', '10.0.0.0/24', '10.0.0.0', '::ffff:0:0/96', '255.255.255.255'];
+		const copy = ipArr.slice();
+		assert.deepStrictEqual(IPUtil.sort(ipArr), [
+			'10.0.0.0/8', '10.0.0.0/24', '10.0.0.0', '10.0.0.1', '255.255.255.255',
+			'::1', '::ffff:0:0/96', 'fd12::1', 'foo', 'bar'
+		]);
+		assert.deepStrictEqual(ipArr, copy);
+		const ip = /** @type {IP} */ (IP.newFromText('9.0.0.0'));
+		assert.deepStrictEqual(IPUtil.sort(['10.0.0.0', ip]), [ip, '10.0.0.0']);
+	});
+
+	it('compares an instance with another address', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('10.0.0.0/24'));
+		assert.ok(/** @type {number} */ (ip.compare('10.0.0.0')) < 0);
+		assert.ok(/** @type {number} */ (ip.compare('10.0.0.0/8')) > 0);
+		assert.ok(/** @type {number} */ (ip.compare('9.255.255.255')) > 0);
+		assert.ok(/** @type {number} */ (ip.compare('::')) < 0);
+		assert.strictEqual(ip.compare('10.0.0.0/24'), 0);
+		assert.strictEqual(ip.compare('foo'), null);
+		assert.ok(/** @type {number} */ (IP.newFromText('::')?.compare('255.255.255.255')) > 0);
+	});
+
+});
@@ -0,0 +1,219 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+/**
+ * A straightforward implementation of the compression rules, independent of `IPBase.findZeroRun`.
+ * @param {number[]} hextets
+ * @param {boolean} last Whether to take the last of the longest runs of zeros.
+ * @param {number} minLength The minimum length of a run of zeros to compress.
+ * @returns {string}
+ */
+function compress(hextets, last, minLength) {
+	const runs = [];
+	for (let i = 0; i < 8; i++) {
+		if (hextets[i] === 0 && (i === 0 || hextets[i - 1] !== 0)) {
+			let j = i;
+			while (j < 8 && hextets[j] === 0) {
+				j++;
+			}
+			runs.push({index: i, length: j - i});
+		}
+	}
+	const longest = Math.max.apply(null, runs.map(({length}) => length).concat(0));
+	const candidates = runs.filter(({length}) => length === longest && length >= minLength);
+	const hex = hextets.map((el) => el.toString(16));
+	if (!candidates.length) {
+		return hex.join(':');
+	}
+	const {index, length} = candidates[last ? candidates.length - 1 : 0];
+	return hex.slice(0, index).join(':') + '::' + hex.slice(index + length).join(':');
+}
+
+/**
+ * All the 256 patterns of zero and non-zero hextets, where non-zero hextets have letters in them
+ * to check the casing of the output.
+ */
+const corpus = [];
+for (let pattern = 0; pattern < 256; pattern++) {
+	const hextets = [];
+	for (let i = 0; i < 8; i++) {
+		hextets.push(pattern >> (7 - i) & 1 ? 0xab00 + i : 0);
+	}
+	corpus.push(hextets);
+}
+
+describe('IP#stringify', () => {
+
+	it('compresses zeros as specified by tieBreak and compressLoneZero for all zero patterns', () => {
+		for (const hextets of corpus) {
+			const ip = IP.newFromText(hextets.map((el) => el.toString(16)).join(':'));
+			for (const mode of ['short', 'mixed']) {
+				for (const tieBreak of [void 0, 'first', 'last']) {
+					for (const compressLoneZero of [void 0, false, true]) {
+						const output = ip.stringify({mode, tieBreak, compressLoneZero});
+						assert.strictEqual(output, compress(hextets, tieBreak === 'last', compressLoneZero ? 1 : 2));
+						assert.ok(ip.equals(output), `${output} does not round-trip`);
+					}
+				}
+			}
+		}
+	});
+
+	it('outputs the same canonical form in rfc5952 mode regardless of the other options', () => {
+		for (const hextets of corpus) {
+			const ip = IP.newFromText(hextets.map((el) => el.toString(16)).join(':'));
+			const canonical = compress(hextets, false, 2);
+			for (const tieBreak of [void 0, 'first', 'last']) {
+				for (const compressLoneZero of [void 0, false, true]) {
+					for (const capitalize of [void 0, false, true]) {
+						const output = ip.stringify({mode: 'rfc5952', tieBreak, compressLoneZero, capitalize});
+						assert.strictEqual(output, canonical);
+						assert.ok(IP.newFromText(output).stringify({mode: 'rfc5952'}) === output, `${output} is not stable`);
+					}
+				}
+			}
+		}
+	});
+
+	it('outputs the examples of RFC 5952 section 4 in rfc5952 mode', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			// 4.1: Leading zeros MUST be suppressed
+			['2001:0db8::0001', '2001:db8::1'],
+			// 4.2.1: "::" MUST be used to its maximum capability
+			['2001:db8:0:0:0:0:2:1', '2001:db8::2:1'],
+			['2001:db8::0:1', '2001:db8::1'],
+			// 4.2.2: "::" MUST NOT be used to shorten just one 16-bit 0 field
+			['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+			['2001:db8::1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+			// 4.2.3: The longest run of zeros MUST be shortened, and the first one if equal in length
+			['2001:0:0:1:0:0:0:1', '2001:0:0:1::1'],
+			['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+			// 4.3: Characters MUST be in lowercase
+			['2001:DB8::AAAA', '2001:db8::aaaa'],
+			// Section 2: The variants of the same address
+			['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+			['2001:0db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+			['2001:db8::1:0:0:1', '2001:db8::1:0:0:1'],
+			['2001:db8::0:1:0:0:1', '2001:db8::1:0:0:1'],
+			['2001:0db8::1:0:0:1', '2001:db8::1:0:0:1'],
+			['2001:db8:0:0:1::1', '2001:db8::1:0:0:1'],
+			['2001:db8:0000:0:1::1', '2001:db8::1:0:0:1'],
+			['2001:DB8:0:0:1::1', '2001:db8::1:0:0:1']
+		];
+		for (const [input, expected] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			assert.strictEqual(ip.stringify({mode: 'rfc5952', capitalize: true}), expected);
+		}
+	});
+
+	it('writes IPv4-mapped addresses, and only them, in the mixed notation in rfc5952 mode', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			// Section 5: IPv4-mapped addresses
+			['::ffff:192.0.2.1', '::ffff:192.0.2.1'],
+			['0:0:0:0:0:FFFF:C000:0201', '::ffff:192.0.2.1'],
+			['::ffff:0:0', '::ffff:0.0.0.0'],
+			['::ffff:192.0.2.0/120', '::ffff:192.0.2.0/120'],
+			// Other addresses with an embedded IPv4 address
+			['64:ff9b::192.0.2.1', '64:ff9b::c000:201'],
+			['::192.0.2.1', '::c000:201'],
+			['::fffe:192.0.2.1', '::fffe:c000:201'],
+			['1::ffff:c000:201', '1::ffff:c000:201']
+		];
+		for (const [input, expected] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			const output = ip.stringify({mode: 'rfc5952'});
+			assert.strictEqual(output, expected);
+			assert.ok(ip.equals(output), `${output} does not round-trip`);
+		}
+	});
+
+	it('outputs the address itself in short mode when a hextet ending in 0 precedes the run of zeros', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			['10:0:0:1::1', '10:0:0:1::1'],
+			['2001:db8:10:0:0:1:0:1', '2001:db8:10::1:0:1'],
+			['fe80::', 'fe80::'],
+			['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+			['2001:db8:a0:0:0:0:0:0/48', '2001:db8:a0::/48']
+		];
+		for (const [input, expected] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			const output = ip.stringify({mode: 'short'});
+			assert.strictEqual(output, expected);
+			assert.ok(ip.equals(output), `${output} does not round-trip`);
+		}
+	});
+
+	it('writes embedded IPv4 addresses as a dotted quad in mixed mode', () => {
+		/** @type {[string, string][]} */
+		const examples = [
+			['0:0:0:0:0:ffff:c000:201', '::ffff:192.0.2.1'],
+			['64:ff9b::c633:6407', '64:ff9b::198.51.100.7'],
+			['::ffff:10.0.0.0/104', '::ffff:10.0.0.0/104'],
+			['64:ff9b::/96', '64:ff9b::0.0.0.0/96'],
+			// Other prefixes are left in hex
+			['::192.0.2.1', '::c000:201'],
+			['2001:db8::c000:201', '2001:db8::c000:201'],
+			['fe80::1', 'fe80::1']
+		];
+		for (const [input, expected] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			const output = ip.stringify({mode: 'mixed'});
+			assert.strictEqual(output, expected);
+			assert.ok(ip.equals(output), `${output} does not round-trip`);
+		}
+		const ip = /** @type {IP} */ (IP.newFromText('::ffff:192.0.2.1'));
+		assert.strictEqual(ip.stringify({mode: 'mixed', capitalize: true}), '::FFFF:192.0.2.1');
+	});
+
+});
+
+describe('IP#toIPv4 and IP#toIPv6', () => {
+
+	it('unwraps IPv4-mapped and NAT64 addresses', () => {
+		/** @type {[string, string?][]} */
+		const examples = [
+			['::ffff:192.0.2.1', '192.0.2.1'],
+			['64:ff9b::198.51.100.7', '198.51.100.7'],
+			['::ffff:10.0.0.0/104', '10.0.0.0/8'],
+			['::ffff:0:0/96', '0.0.0.0/0'],
+			['64:ff9b::/96', '0.0.0.0/0'],
+			// Not within either prefix
+			['::ffff:0:0/95', null],
+			['::192.0.2.1', null],
+			['2001:db8::c000:201', null],
+			['192.0.2.1', null]
+		];
+		for (const [input, expected] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			const ipv4 = ip.toIPv4();
+			assert.strictEqual(ipv4 && ipv4.toString(), expected, input);
+			if (ipv4) {
+				assert.strictEqual(ipv4.isCIDR(), ip.isCIDR());
+			}
+		}
+	});
+
+	it('wraps IPv4 addresses', () => {
+		/** @type {[string, string?, string?][]} */
+		const examples = [
+			['192.0.2.1', '::ffff:192.0.2.1', '64:ff9b::192.0.2.1'],
+			['10.0.0.0/8', '::ffff:10.0.0.0/104', '64:ff9b::10.0.0.0/104'],
+			['0.0.0.0/0', '::ffff:0.0.0.0/96', '64:ff9b::0.0.0.0/96'],
+			['2001:db8::1', null, null]
+		];
+		for (const [input, mapped, nat64] of examples) {
+			const ip = /** @type {IP} */ (IP.newFromText(input));
+			for (const [ipv6, expected] of [[ip.toIPv6(), mapped], [ip.toIPv6(true), nat64]]) {
+				assert.strictEqual(ipv6 && ipv6.stringify({mode: 'mixed'}), expected, input);
+				if (ipv6) {
+					assert.ok(ip.equals(/** @type {IP} */ (ipv6.toIPv4())), `${expected} does not round-trip`);
+				}
+			}
+		}
+	});
+
+});
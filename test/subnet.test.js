@@ -0,0 +1,87 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP} = require('../src/IP.js');
+
+/**
+ * @param {string} str
+ * @returns {IP}
+ */
+const ip = (str) => /** @type {IP} */ (IP.newFromText(str));
+
+describe('IP#subnets, IP#supernet and IP#sibling', () => {
+
+	it('split a range into subnets', () => {
+		assert.deepStrictEqual(Array.from(ip('10.0.0.0/16').subnets() || [], String), ['10.0.0.0/17', '10.0.128.0/17']);
+		const subnets = Array.from(ip('10.0.0.0/16').subnets(20) || [], String);
+		assert.strictEqual(subnets.length, 16);
+		assert.strictEqual(subnets[15], '10.0.240.0/20');
+		assert.deepStrictEqual(Array.from(ip('10.0.0.0/24').subnets(24) || [], String), ['10.0.0.0/24']);
+		assert.deepStrictEqual(Array.from(ip('2001:db8::/32').subnets(33) || [], (el) => el.stringify({mode: 'short'})), ['2001:db8::/33', '2001:db8:8000::/33']);
+		assert.strictEqual(ip('10.0.0.0/16').subnets(15), null);
+		assert.strictEqual(ip('10.0.0.0/16').subnets(33), null);
+	});
+
+	it('get the supernets of an address', () => {
+		assert.strictEqual(String(ip('10.1.2.3').supernet(16)), '10.1.0.0/16');
+		assert.strictEqual(String(ip('10.1.2.3/24').supernet()), '10.1.2.0/23');
+		assert.strictEqual(String(ip('10.0.0.0/8').supernet(0)), '0.0.0.0/0');
+		assert.strictEqual(String(ip('10.0.0.1').supernet()), '10.0.0.0/31');
+		assert.strictEqual(ip('10.0.0.0/8').supernet(9), null);
+		assert.strictEqual(ip('10.0.0.0/8').supernet(-1), null);
+		assert.strictEqual(ip('0.0.0.0/0').supernet(), null);
+	});
+
+	it('agree on the notation at the maximum bit length', () => {
+		assert.deepStrictEqual(Array.from(ip('10.0.0.0/31').subnets(32) || [], String), ['10.0.0.0/32', '10.0.0.1/32']);
+		assert.deepStrictEqual(Array.from(ip('10.0.0.1').subnets(32) || [], String), ['10.0.0.1/32']);
+		assert.strictEqual(String(ip('10.0.0.1').supernet(32)), '10.0.0.1/32');
+		assert.strictEqual(String(ip('::1').supernet(128)), '0:0:0:0:0:0:0:1/128');
+	});
+
+	it('get the other half of the parent range', () => {
+		assert.strictEqual(String(ip('10.0.0.0/24').sibling()), '10.0.1.0/24');
+		assert.strictEqual(String(ip('10.0.1.0/24').sibling()), '10.0.0.0/24');
+		assert.strictEqual(String(ip('10.0.0.1').sibling()), '10.0.0.0');
+		assert.strictEqual(String(ip('10.0.0.1/32').sibling()), '10.0.0.0/32');
+		assert.strictEqual(ip('::/1').sibling()?.stringify({mode: 'short'}), '8000::/1');
+		assert.strictEqual(ip('0.0.0.0/0').sibling(), null);
+		const range = ip('192.168.4.0/22');
+		assert.ok(range.supernet()?.contains(/** @type {IP} */ (range.sibling())));
+	});
+
+});
+
+describe('IP#hosts', () => {
+
+	it('enumerate the addresses in a range as IP instances', () => {
+		const hosts = Array.from(ip('10.0.0.0/30').hosts());
+		assert.deepStrictEqual(hosts.map(String), ['10.0.0.0', '10.0.0.1', '10.0.0.2', '10.0.0.3']);
+		assert.ok(hosts.every((host) => host instanceof IP && !host.isCIDR()));
+		assert.deepStrictEqual(Array.from(ip('192.168.0.1').hosts(), String), ['192.168.0.1']);
+	});
+
+	it('stop at the limit', () => {
+		assert.deepStrictEqual(Array.from(ip('2001:db8::/64').hosts({limit: 3}, {mode: 'short'})), ['2001:db8::', '2001:db8::1', '2001:db8::2']);
+		assert.deepStrictEqual(Array.from(ip('::/0').hosts({limit: 1}), String), ['0:0:0:0:0:0:0:0']);
+		assert.deepStrictEqual(Array.from(ip('10.0.0.0/8').hosts({limit: 0})), []);
+		assert.deepStrictEqual(Array.from(ip('10.0.0.0/24').hosts({limit: 2, skipNetworkAndBroadcast: true}), String), ['10.0.0.1', '10.0.0.2']);
+	});
+
+	it('skip the network and broadcast addresses of IPv4 CIDRs broader than /31', () => {
+		const options = {skipNetworkAndBroadcast: true};
+		assert.deepStrictEqual(Array.from(ip('192.168.0.0/30').hosts(options), String), ['192.168.0.1', '192.168.0.2']);
+		assert.deepStrictEqual(Array.from(ip('255.255.255.252/30').hosts(options), String), ['255.255.255.253', '255.255.255.254']);
+		// All addresses are usable as hosts in /31 and /32 (RFC 3021)
+		assert.deepStrictEqual(Array.from(ip('192.168.0.0/31').hosts(options), String), ['192.168.0.0', '192.168.0.1']);
+		assert.deepStrictEqual(Array.from(ip('192.168.0.1/32').hosts(options), String), ['192.168.0.1']);
+		// No effect on IPv6
+		assert.deepStrictEqual(Array.from(ip('2001:db8::/127').hosts(options), String), ['2001:db8:0:0:0:0:0:0', '2001:db8:0:0:0:0:0:1']);
+	});
+
+	it('format the addresses as strings', () => {
+		assert.deepStrictEqual(Array.from(ip('192.168.0.0/30').hosts({skipNetworkAndBroadcast: true}, {mode: 'long'})), ['192.168.000.001', '192.168.000.002']);
+		assert.deepStrictEqual(Array.from(ip('2001:db8::a/127').hosts({}, {mode: 'short', capitalize: true})), ['2001:DB8::A', '2001:DB8::B']);
+		assert.deepStrictEqual(Array.from(ip('2001:db8::/127').hosts({}, {})), ['2001:db8:0:0:0:0:0:0', '2001:db8:0:0:0:0:0:1']);
+	});
+
+});
@@ -0,0 +1,142 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+/**
+ * @param {string} str
+ * @param {import('../src/IP-types.ts').TitleParseOptions} [options]
+ * @returns {[string, string, string?, string?]?} The kind, the IP address, the special page name and the subpage name.
+ */
+const parse = (str, options) => {
+	const ret = IPUtil.parseTitle(str, options);
+	return ret && [ret.kind, ret.ip.stringify({mode: 'short'}), ret.special, ret.subpage];
+};
+
+describe('IPUtil.parseTitle', () => {
+
+	it('parses page titles', () => {
+		assert.deepStrictEqual(parse('User:192.0.2.1'), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('User talk:2001:DB8::1'), ['user_talk', '2001:db8::1', null, null]);
+		assert.deepStrictEqual(parse('user_talk:192.0.2.1'), ['user_talk', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('  User : 192.0.2.1  '), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('Special:Contributions/192.0.2.0/24'), ['special', '192.0.2.0/24', 'Contributions', null]);
+		assert.deepStrictEqual(parse('special:block/2001:db8::/32'), ['special', '2001:db8::/32', 'Block', null]);
+	});
+
+	it('parses subpages of user pages', () => {
+		assert.deepStrictEqual(parse('User:192.0.2.1/sandbox'), ['user', '192.0.2.1', null, 'sandbox']);
+		assert.deepStrictEqual(parse('User talk:192.0.2.1/Archive/1'), ['user_talk', '192.0.2.1', null, 'Archive/1']);
+		// User pages are not for ranges, so what follows the slash is a subpage
+		assert.deepStrictEqual(parse('User:192.0.2.0/24'), ['user', '192.0.2.0', null, '24']);
+	});
+
+	it('parses URLs with the title in their paths', () => {
+		assert.deepStrictEqual(
+			parse('https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.0/24'),
+			['special', '192.0.2.0/24', 'Contributions', null]
+		);
+		assert.deepStrictEqual(parse('https://en.wikipedia.org/wiki/User:192.0.2.1#top'), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('//en.wikipedia.org/wiki/User_talk:2001:db8::1'), ['user_talk', '2001:db8::1', null, null]);
+		assert.deepStrictEqual(parse('/wiki/User:192.0.2.1?action=edit'), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('https://en.wikipedia.org/wiki/User:192.0.2.1%2Fsandbox'), ['user', '192.0.2.1', null, 'sandbox']);
+		// The path takes precedence over the target parameter
+		assert.deepStrictEqual(
+			parse('/wiki/Special:Contributions/192.0.2.1?limit=500&target=10.0.0.1'),
+			['special', '192.0.2.1', 'Contributions', null]
+		);
+	});
+
+	it('parses URLs with the title and target parameters', () => {
+		assert.deepStrictEqual(parse('/w/index.php?title=Special:Block&target=192.0.2.1'), ['special', '192.0.2.1', 'Block', null]);
+		assert.deepStrictEqual(parse('/w/index.php?target=192.0.2.1&title=Special%3ABlock'), ['special', '192.0.2.1', 'Block', null]);
+		assert.deepStrictEqual(
+			parse('/w/index.php?title=Special:Contributions&target=2001%3Adb8%3A%3A1'),
+			['special', '2001:db8::1', 'Contributions', null]
+		);
+		assert.deepStrictEqual(parse('/w/index.php?title=User_talk:192.0.2.1&action=history'), ['user_talk', '192.0.2.1', null, null]);
+		assert.strictEqual(parse('/w/index.php?action=edit'), null);
+	});
+
+	it('recognizes a custom article path', () => {
+		assert.strictEqual(parse('/w/User:192.0.2.1'), null);
+		assert.deepStrictEqual(parse('/w/User:192.0.2.1', {articlePath: '/w/'}), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(
+			parse('https://example.org/index.php/User:192.0.2.1', {articlePath: '/index.php/'}),
+			['user', '192.0.2.1', null, null]
+		);
+	});
+
+	it('recognizes localized namespace names', () => {
+		assert.strictEqual(parse('利用者:192.0.2.1'), null);
+		assert.deepStrictEqual(parse('利用者:192.0.2.1', {user: ['利用者']}), ['user', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('利用者‐会話:192.0.2.1', {userTalk: ['利用者‐会話']}), ['user_talk', '192.0.2.1', null, null]);
+		assert.deepStrictEqual(parse('特別:投稿記録/192.0.2.1', {special: ['特別']}), ['special', '192.0.2.1', '投稿記録', null]);
+	});
+
+	it('returns null for titles that do not refer to IP users or ranges', () => {
+		for (const str of ['User:Example', 'Talk:192.0.2.1', 'Special:Contributions', 'Special:Block/Example', 'User:', '', 'https://en.wikipedia.org/wiki/User:%E0%A4']) {
+			assert.strictEqual(parse(str), null, str);
+		}
+		assert.strictEqual(IPUtil.parseTitle(/** @type {any} */ (null)), null);
+	});
+
+});
+
+describe('IP#toUsername, IP#toTitle and IP#toUrl', () => {
+
+	/**
+	 * @param {string} str
+	 * @returns {IP}
+	 */
+	const ip = (str) => /** @type {IP} */ (IP.newFromText(str, {allowZone: true}));
+
+	it('output usernames in the format of IPUtils::sanitizeIP', () => {
+		assert.strictEqual(ip('192.168.000.001').toUsername(), '192.168.0.1');
+		assert.strictEqual(ip('2001:db8::1').toUsername(), '2001:DB8:0:0:0:0:0:1');
+		assert.strictEqual(ip('2001:db8::/32').toUsername(), '2001:DB8:0:0:0:0:0:0/32');
+		assert.strictEqual(ip('fe80::1%eth0').toUsername(), 'FE80:0:0:0:0:0:0:1');
+	});
+
+	it('output titles and URLs of the pages for an address', () => {
+		const address = ip('2001:db8::1');
+		/** @type {[import('../src/IP-types.ts').TitleKind, string, string][]} */
+		const examples = [
+			['user', 'User:2001:DB8:0:0:0:0:0:1', '/wiki/User:2001:DB8:0:0:0:0:0:1'],
+			['user_talk', 'User talk:2001:DB8:0:0:0:0:0:1', '/wiki/User_talk:2001:DB8:0:0:0:0:0:1'],
+			['contributions', 'Special:Contributions/2001:DB8:0:0:0:0:0:1', '/wiki/Special:Contributions/2001:DB8:0:0:0:0:0:1'],
+			['block', 'Special:Block/2001:DB8:0:0:0:0:0:1', '/wiki/Special:Block/2001:DB8:0:0:0:0:0:1']
+		];
+		for (const [kind, title, url] of examples) {
+			assert.strictEqual(address.toTitle(kind), title);
+			assert.strictEqual(address.toUrl(kind), url);
+			assert.ok(IPUtil.parseTitle(url)?.ip.equals(address), `${url} does not round-trip`);
+		}
+	});
+
+	it('output titles and URLs of the pages for a range, which has no user pages', () => {
+		const range = ip('192.0.2.0/24');
+		assert.strictEqual(range.toTitle('user'), null);
+		assert.strictEqual(range.toUrl('user_talk'), null);
+		assert.strictEqual(range.toTitle('contributions'), 'Special:Contributions/192.0.2.0/24');
+		assert.strictEqual(range.toUrl('block'), '/wiki/Special:Block/192.0.2.0/24');
+	});
+
+	it('accept a custom prefix and article path', () => {
+		const address = ip('2001:db8::1');
+		const prefix = '特別:投稿記録/';
+		assert.strictEqual(address.toTitle('contributions', {prefix}), '特別:投稿記録/2001:DB8:0:0:0:0:0:1');
+		assert.strictEqual(
+			address.toUrl('contributions', {prefix}),
+			'/wiki/%E7%89%B9%E5%88%A5:%E6%8A%95%E7%A8%BF%E8%A8%98%E9%8C%B2/2001:DB8:0:0:0:0:0:1'
+		);
+		assert.strictEqual(address.toUrl('user', {articlePath: '/w/index.php?title='}), '/w/index.php?title=User:2001:DB8:0:0:0:0:0:1');
+		// Encoded in the same way as mw.util.wikiUrlencode
+		assert.strictEqual(address.toUrl('user', {prefix: "User's page, $;@"}), "/wiki/User%27s_page,_$;@2001:DB8:0:0:0:0:0:1");
+	});
+
+	it('throw on an invalid page kind', () => {
+		assert.throws(() => ip('192.0.2.1').toTitle(/** @type {any} */ ('talk')), TypeError);
+		assert.throws(() => ip('192.0.2.1').toUrl(/** @type {any} */ ('talk')), TypeError);
+	});
+
+});
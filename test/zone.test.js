@@ -0,0 +1,102 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const {IP, IPUtil} = require('../src/IP.js');
+
+describe('Zone IDs', () => {
+
+	it('are rejected by default', () => {
+		assert.strictEqual(IP.newFromText('fe80::1%eth0'), null);
+		assert.strictEqual(IPUtil.isIP('fe80::1%eth0'), false);
+		assert.strictEqual(IPUtil.sanitize('fe80::1%eth0'), null);
+	});
+
+	it('are parsed with allowZone', () => {
+		/** @type {[string, string?][]} */
+		const valid = [
+			['fe80::1%eth0', 'eth0'],
+			['fe80::1%251', '251'],
+			['fe80::1%en0.1_~-', 'en0.1_~-'],
+			['fe80::1', null]
+		];
+		for (const [str, zone] of valid) {
+			const ip = IP.newFromText(str, {allowZone: true});
+			assert.strictEqual(ip && ip.getZone(), zone, str);
+		}
+		for (const str of ['fe80::1%', 'fe80::1%a b', 'fe80::1%<script>', 'fe80::1%]]', '10.0.0.1%eth0']) {
+			assert.strictEqual(IP.newFromText(str, {allowZone: true}), null, str);
+		}
+		const ip = /** @type {IP} */ (IP.newFromText('fe80::1%251', {allowZone: true}));
+		assert.strictEqual(ip.toString(), 'fe80:0:0:0:0:0:0:1%251');
+	});
+
+	it('are decoded from the URL form only with allowZone set to "url"', () => {
+		const ip = IP.newFromText('fe80::1%25en0', {allowZone: 'url'});
+		assert.strictEqual(ip && ip.getZone(), 'en0');
+		const numeric = IP.newFromText('fe80::1%251', {allowZone: 'url'});
+		assert.strictEqual(numeric && numeric.getZone(), '1');
+		assert.strictEqual(IP.newFromText('fe80::1%eth0', {allowZone: 'url'}), null);
+		assert.strictEqual(IP.newFromText('fe80::1%25', {allowZone: 'url'}), null);
+		assert.strictEqual(IPUtil.diagnose('fe80::1%eth0', {allowZone: 'url'}).code, 'INVALID_ZONE');
+	});
+
+	it('can be stripped', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('fe80::1%eth0', {allowZone: true}));
+		const stripped = ip.stripZone();
+		assert.strictEqual(stripped.getZone(), null);
+		assert.strictEqual(stripped.toString(), 'fe80:0:0:0:0:0:0:1');
+		assert.strictEqual(ip.getZone(), 'eth0');
+	});
+
+	it('are compared with respectZone', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('fe80::1%eth0', {allowZone: true}));
+		const respect = {respectZone: true};
+		assert.strictEqual(ip.equals('fe80::1%eth1'), true);
+		assert.strictEqual(ip.equals('fe80::1%eth1', respect), false);
+		assert.strictEqual(ip.equals('fe80::1%eth0', respect), true);
+		assert.strictEqual(ip.equals('fe80::1', respect), false);
+		assert.strictEqual(ip.stripZone().equals('fe80::1', respect), true);
+		assert.strictEqual(ip.isInRange('fe80::%eth1/64', respect), false);
+		assert.strictEqual(ip.isInRange('fe80::%eth0/64', respect), true);
+		assert.strictEqual(ip.contains('fe80::1%eth0', respect), true);
+	});
+
+	it('are compared with respectZone by the methods for arrays', () => {
+		const ip = /** @type {IP} */ (IP.newFromText('fe80::1%eth0', {allowZone: true}));
+		const respect = {respectZone: true};
+		const addresses = ['fe80::1%eth1', 'fe80::1%eth0'];
+		const ranges = ['fe80::%eth1/64', 'fe80::%eth0/64'];
+		assert.strictEqual(ip.equalsAny(addresses), 0);
+		assert.strictEqual(ip.equalsAny(addresses, respect), 1);
+		assert.strictEqual(ip.equalsAll(addresses), true);
+		assert.strictEqual(ip.equalsAll(addresses, respect), false);
+		assert.strictEqual(ip.isInAnyRange(ranges), 0);
+		assert.strictEqual(ip.isInAnyRange(ranges, respect), 1);
+		assert.strictEqual(ip.isInAllRanges(ranges, respect), false);
+		assert.strictEqual(ip.containsAny(addresses, respect), 1);
+		assert.strictEqual(ip.containsAll(addresses, respect), false);
+	});
+
+	it('are compared with respectZone by IPUtil', () => {
+		const respect = {respectZone: true};
+		// Zone IDs in strings are only accepted with the option on
+		assert.strictEqual(IPUtil.equals('fe80::1%eth0', 'fe80::1%eth0'), null);
+		assert.strictEqual(IPUtil.equals('fe80::1%eth0', 'fe80::1%eth0', respect), true);
+		assert.strictEqual(IPUtil.equals('fe80::1%eth0', 'fe80::1%eth1', respect), false);
+		assert.strictEqual(IPUtil.equals('fe80::1', 'fe80::1', respect), true);
+		assert.strictEqual(IPUtil.isInRange('fe80::1%eth0', 'fe80::%eth0/64', respect), true);
+		assert.strictEqual(IPUtil.isInRange('fe80::1%eth0', 'fe80::/64', respect), false);
+		assert.strictEqual(IPUtil.contains('fe80::%eth0/64', 'fe80::1%eth0', respect), true);
+		const addresses = ['fe80::1%eth1', 'fe80::1%eth0'];
+		assert.strictEqual(IPUtil.equalsAny('fe80::1%eth0', addresses, respect), 1);
+		assert.strictEqual(IPUtil.equalsAll('fe80::1%eth0', addresses, respect), false);
+		assert.strictEqual(IPUtil.isInAnyRange('fe80::1%eth0', ['fe80::%eth1/64', 'fe80::%eth0/64'], respect), 1);
+		assert.strictEqual(IPUtil.isInAllRanges('fe80::1%eth0', ['fe80::%eth0/64', 'fe80::%eth0/10'], respect), true);
+		assert.strictEqual(IPUtil.containsAny('fe80::%eth0/64', addresses, respect), 1);
+		assert.strictEqual(IPUtil.containsAll('fe80::%eth0/64', addresses, respect), false);
+		// IP instances are compared by their zone IDs
+		const ip = /** @type {IP} */ (IP.newFromText('fe80::1%eth0', {allowZone: true}));
+		assert.strictEqual(IPUtil.equals(ip, 'fe80::1'), true);
+		assert.strictEqual(IPUtil.equals(ip, 'fe80::1', respect), false);
+	});
+
+});
@@ -1,3 +1,4 @@
+import type { IP } from './IP';
 /**
  * The return type of `IPBase.parse`.
  */
@@ -10,6 +11,10 @@ export interface Parsed {
      * The bit length if the parsed address is a CIDR.
      */
     bitLen: number | null;
+    /**
+     * The zone ID if the parsed address is an IPv6 address with one (e.g. `eth0` for `fe80::1%eth0`).
+     */
+    zone: string | null;
 }
 /**
  * The architecture of the internal private properties of an instance of the {@link IP} class
@@ -52,16 +57,51 @@ export interface StringifyOptions {
      * * `192.168.0.1` (for IPv4 addresses, same as `mode: undefined`)
      * * `fd12:3456:789a:1::`
      *
+     * Note that up to v1.0.0, this mode could output a wrong address when a hextet ending in `0`
+     * preceded the run of zeros (e.g. `10:0:0:1::1` was written as `1::1:0:0:0:1`), or a trailing `:`
+     * when there was no run of zeros to compress. The output is now always the address itself,
+     * with the longest run of zeros compressed as specified by `tieBreak` and `compressLoneZero`.
+     *
      * `'long'`: Return the IP address in its longest notation, with each bit chunk padded with `0`.
      * For example:
      * * `192.168.000.001`
      * * `fd12:3456:789a:0001:0000:0000:0000:0000`
+     *
+     * `'mixed'`: Same as `mode: 'short'`, except that the last 32 bits of an IPv4-mapped address
+     * (`::ffff:0:0/96`) or an IPv4-embedded address in the NAT64 well-known prefix (`64:ff9b::/96`)
+     * are written as a dotted quad. For example:
+     * * `::ffff:192.0.2.1`
+     * * `64:ff9b::198.51.100.7`
+     *
+     * `'rfc5952'`: Return the IP address in the canonical text representation of RFC 5952 (for IPv4
+     * addresses, same as `mode: 'short'`). This is the same as `mode: 'short'` with the default
+     * `tieBreak` and `compressLoneZero` options, except that the output is always in lowercase,
+     * and these options and `capitalize` are ignored. As recommended by section 5 of the RFC,
+     * IPv4-mapped addresses (`::ffff:0:0/96`), but no other addresses, are written in the mixed
+     * notation. For example:
+     * * `2001:db8::1:0:0:1` (the first of the longest runs of zeros is compressed)
+     * * `2001:db8:0:1:1:1:1:1` (a lone zero is not compressed)
+     * * `::ffff:192.0.2.1`
      */
-    mode?: "short" | "long";
+    mode?: "short" | "long" | "mixed" | "rfc5952";
     /**
      * Whether to capitalize the output IP address.
      */
     capitalize?: boolean;
+    /**
+     * Which run of zeros to compress into `::` if there are multiple longest runs, with `mode: 'short'`
+     * or `mode: 'mixed'`. Defaults to `'first'`. For `2001:db8:0:0:1:0:0:1`:
+     * * `'first'`: `2001:db8::1:0:0:1`
+     * * `'last'`: `2001:db8:0:0:1::1`
+     */
+    tieBreak?: "first" | "last";
+    /**
+     * Whether to compress a single zero hextet into `::` if there is no longer run of zeros, with
+     * `mode: 'short'` or `mode: 'mixed'`. Defaults to `false`. For `2001:db8:0:1:1:1:1:1`:
+     * * `false`: `2001:db8:0:1:1:1:1:1`
+     * * `true`: `2001:db8::1:1:1:1:1`
+     */
+    compressLoneZero?: boolean;
 }
 /**
  * The strict CIDR validation mode checks whether the input string is a genuinely valid CIDR,
@@ -95,3 +135,331 @@ export type StrictCIDR = "strict";
  * @returns
  */
 export type ConditionPredicate = (version: 4 | 6, isCidr: boolean) => boolean;
+/**
+ * The category names of special-purpose IP address blocks, derived from the IANA IPv4 and IPv6
+ * Special-Purpose Address Registries and the IANA multicast address space registries:
+ * * `'unspecified'`: `0.0.0.0/32`, `::/128`
+ * * `'this-network'`: `0.0.0.0/8`
+ * * `'private'`: `10.0.0.0/8`, `172.16.0.0/12`, `192.168.0.0/16` (RFC 1918)
+ * * `'cgnat'`: `100.64.0.0/10` (Shared Address Space, RFC 6598)
+ * * `'loopback'`: `127.0.0.0/8`, `::1/128`
+ * * `'link-local'`: `169.254.0.0/16`, `fe80::/10`
+ * * `'documentation'`: `192.0.2.0/24`, `198.51.100.0/24`, `203.0.113.0/24`, `233.252.0.0/24`,
+ * `2001:db8::/32`, `3fff::/20`
+ * * `'benchmarking'`: `198.18.0.0/15`, `2001:2::/48`
+ * * `'multicast'`: `224.0.0.0/4`, `ff00::/8`
+ * * `'broadcast'`: `255.255.255.255/32`
+ * * `'6to4'`: `192.88.99.0/24`, `2002::/16`
+ * * `'teredo'`: `2001::/32`
+ * * `'ipv4-mapped'`: `::ffff:0:0/96`
+ * * `'nat64'`: `64:ff9b::/96`, `64:ff9b:1::/48`
+ * * `'unique-local'`: `fc00::/7` (ULA)
+ * * `'reserved'`: Other IANA-reserved blocks, e.g. `240.0.0.0/4`, `2001::/23`
+ * * `'global'`: None of the above
+ */
+export type AddressScope = "unspecified" | "this-network" | "private" | "cgnat" | "loopback" | "link-local" | "documentation" | "benchmarking" | "multicast" | "broadcast" | "6to4" | "teredo" | "ipv4-mapped" | "nat64" | "unique-local" | "reserved" | "global";
+/**
+ * The return type of {@link IP#getScope} and {@link IPUtil.classify}.
+ */
+export interface ScopeInfo {
+    /**
+     * The category of the most specific special-purpose block that fully contains the address,
+     * or `'global'` if there is no such block.
+     */
+    scope: AddressScope;
+    /**
+     * The registry CIDR of the block, or `null` if `scope` is `'global'`.
+     */
+    cidr: string | null;
+    /**
+     * The registry name of the block (e.g. `Private-Use`), or `null` if `scope` is `'global'`.
+     */
+    name: string | null;
+    /**
+     * Special-purpose blocks that partly overlap the address without fully containing it. This can
+     * only be non-empty for CIDRs, e.g. `10.0.0.0/7` partly overlaps `10.0.0.0/8`.
+     */
+    partial: {
+        scope: Exclude<AddressScope, "global">;
+        cidr: string;
+        name: string;
+    }[];
+}
+/**
+ * A special-purpose address block, as used by {@link IP#getScope} and {@link IPUtil.classify}.
+ */
+export interface SpecialBlock {
+    /**
+     * The registry CIDR of the block.
+     */
+    cidr: string;
+    /**
+     * The category of the block.
+     */
+    scope: Exclude<AddressScope, "global">;
+    /**
+     * The registry name of the block (e.g. `Private-Use`).
+     */
+    name: string;
+    /**
+     * The parsed range of `cidr`.
+     */
+    range: RangeObject;
+}
+/**
+ * The maximum sizes of CIDR ranges, as bit lengths, in the same format as MediaWiki's
+ * `$wgBlockCIDRLimit`. A range is within the limit if its bit length is equal to or larger than
+ * the limit for its IP version. A limit of `32` for IPv4 or `128` for IPv6 disallows all ranges.
+ *
+ * Omitted properties default to the values of `$wgBlockCIDRLimit` in MediaWiki core:
+ * `{IPv4: 16, IPv6: 19}`.
+ */
+export interface CIDRLimit {
+    IPv4?: number;
+    IPv6?: number;
+}
+/**
+ * Options for {@link IP#hosts}.
+ */
+export interface HostsOptions {
+    /**
+     * The maximum number of addresses to yield. By default, all addresses in the range are yielded.
+     */
+    limit?: number;
+    /**
+     * Whether to skip the first (network) and last (broadcast) addresses of an IPv4 CIDR. This has
+     * no effect on IPv6 addresses, and on IPv4 `/31` and `/32` CIDRs where all addresses are usable
+     * as hosts (RFC 3021). Defaults to `false`.
+     */
+    skipNetworkAndBroadcast?: boolean;
+}
+/**
+ * Options for {@link IPUtil.extract}.
+ */
+export interface ExtractOptions {
+    /**
+     * Optional IP address conditions to filter out the matches.
+     */
+    conditionPredicate?: ConditionPredicate;
+    /**
+     * Whether to drop the matches that equal any of the preceding matches. Defaults to `false`.
+     */
+    unique?: boolean;
+}
+/**
+ * Options for {@link IPUtil.parseTitle}.
+ *
+ * On Wikipedia, the localized namespace names can be obtained from `wgNamespaceIds`:
+ * ```
+ * const nsIds = mw.config.get('wgNamespaceIds');
+ * const namesOf = (id) => Object.keys(nsIds).filter((name) => nsIds[name] === id);
+ * IPUtil.parseTitle(title, {user: namesOf(2), userTalk: namesOf(3), special: namesOf(-1)});
+ * ```
+ */
+export interface TitleParseOptions {
+    /**
+     * Localized names and aliases of the User namespace, recognized in addition to `User`.
+     */
+    user?: string[];
+    /**
+     * Localized names and aliases of the User talk namespace, recognized in addition to `User talk`.
+     */
+    userTalk?: string[];
+    /**
+     * Localized names and aliases of the Special namespace, recognized in addition to `Special`.
+     */
+    special?: string[];
+    /**
+     * The path to which page titles are appended in URLs (`$wgArticlePath` without `$1`).
+     * Defaults to `/wiki/`.
+     */
+    articlePath?: string;
+}
+/**
+ * The kinds of MediaWiki pages that can be built by {@link IP#toTitle} and {@link IP#toUrl}:
+ * * `'user'`: `User:<username>`
+ * * `'user_talk'`: `User talk:<username>`
+ * * `'contributions'`: `Special:Contributions/<username or range>`
+ * * `'block'`: `Special:Block/<username or range>`
+ */
+export type TitleKind = "user" | "user_talk" | "contributions" | "block";
+/**
+ * Options for {@link IP#toTitle} and {@link IP#toUrl}.
+ */
+export interface TitleOptions {
+    /**
+     * A prefix to use instead of the canonical one for the page kind, e.g. `利用者:` for `'user'` or
+     * `特別:投稿記録/` for `'contributions'` on the Japanese Wikipedia.
+     */
+    prefix?: string;
+    /**
+     * The path to which page titles are appended in URLs (`$wgArticlePath` without `$1`).
+     * Defaults to `/wiki/`. Only used by {@link IP#toUrl}.
+     */
+    articlePath?: string;
+}
+/**
+ * A span of IP addresses between two bounds, as accepted by {@link IP#relationTo} and {@link IP#intersection}.
+ * The span need not be a CIDR, e.g. `{first: '10.0.0.5', last: '10.0.1.200'}`.
+ */
+export interface RangeBounds {
+    /**
+     * The first address of the span. If this is a CIDR, its first address is used.
+     */
+    first: string | IP;
+    /**
+     * The last address of the span. If this is a CIDR, its last address is used.
+     */
+    last: string | IP;
+}
+/**
+ * The relationship of one range of IP addresses to another, as returned by {@link IP#relationTo}:
+ * * `'equal'`: Both ranges consist of the same addresses.
+ * * `'contains'`: The range contains the other and is broader than it.
+ * * `'contained-by'`: The range is contained in the other and is narrower than it.
+ * * `'overlapping'`: The ranges share some addresses but neither contains the other. This only
+ * occurs when the other range is not a CIDR (see {@link RangeBounds}), because two CIDRs are either
+ * nested or disjoint.
+ * * `'adjacent'`: The ranges share no addresses, and one immediately follows the other.
+ * * `'disjoint'`: The ranges share no addresses and are not adjacent, including when they are of
+ * different IP versions.
+ */
+export type RangeRelation = "equal" | "contains" | "contained-by" | "overlapping" | "adjacent" | "disjoint";
+/**
+ * The reason why a string does not represent an IP or CIDR address, as returned by {@link IPUtil.diagnose}:
+ * * `'NOT_STRING'`: The input is not a string.
+ * * `'EMPTY'`: The input is an empty string.
+ * * `'INVALID_CHARACTER'`: The input contains a character that cannot appear in an IP address.
+ * * `'INVALID_PART_COUNT'`: An IPv4 address does not have 4 octets, or an IPv6 address does not have 8 hextets.
+ * * `'EMPTY_PART'`: An octet or a hextet is missing (e.g. `192.168..1`, `:1:2:3:4:5:6:7`).
+ * * `'PART_TOO_LONG'`: An octet has more than 3 digits, or a hextet has more than 4 digits.
+ * * `'PART_OUT_OF_RANGE'`: An octet exceeds 255.
+ * * `'MULTIPLE_DOUBLE_COLONS'`: An IPv6 address contains `:::` or more than one `::`.
+ * * `'INVALID_BIT_LENGTH'`: The CIDR suffix is not a number in the range of the IP version.
+ * * `'INVALID_ZONE'`: The zone ID of an IPv6 address is empty or contains characters other than
+ * `A-Z`, `a-z`, `0-9`, `.`, `_`, `~` and `-`, or its `%` is not encoded as `%25` in the URL form
+ * (only with {@link ParseOptions.allowZone}).
+ */
+export type DiagnosisCode = "NOT_STRING" | "EMPTY" | "INVALID_CHARACTER" | "INVALID_PART_COUNT" | "EMPTY_PART" | "PART_TOO_LONG" | "PART_OUT_OF_RANGE" | "MULTIPLE_DOUBLE_COLONS" | "INVALID_BIT_LENGTH" | "INVALID_ZONE";
+/**
+ * Why a string failed to parse, as included in a {@link Diagnosis}.
+ */
+export interface ParseError {
+    /**
+     * The machine-readable reason why the input is invalid.
+     */
+    code: DiagnosisCode;
+    /**
+     * A human-readable description of the problem.
+     */
+    message: string;
+    /**
+     * The 0-based index of the offending character, or `null` if the problem is not tied to a position.
+     */
+    position: number | null;
+}
+/**
+ * The object returned by {@link IPUtil.diagnose}.
+ */
+export interface Diagnosis {
+    /**
+     * Whether the input represents an IP or CIDR address. If `true`, all the other properties are `null`.
+     */
+    valid: boolean;
+    /**
+     * The machine-readable reason why the input is invalid.
+     */
+    code: DiagnosisCode | null;
+    /**
+     * A human-readable description of the problem.
+     */
+    message: string | null;
+    /**
+     * The 0-based index of the offending character, or `null` if the problem is not tied to a position
+     * (e.g. the number of octets is wrong).
+     */
+    position: number | null;
+    /**
+     * A sanitized IP or CIDR address that the input was probably meant to be, if any.
+     */
+    suggestion: string | null;
+}
+/**
+ * Options for how strings should be parsed as IP addresses.
+ */
+export interface ParseOptions {
+    /**
+     * Whether to also accept the legacy IPv4 notations accepted by `inet_aton` and web browsers, and
+     * to normalize the input string by NFKC. Defaults to `false`.
+     *
+     * Note that in this mode, an IPv4 part with a leading `0` is octal: `192.168.010.001` means
+     * `192.168.8.1`.
+     */
+    lenient?: boolean;
+    /**
+     * Whether to accept a zone ID for an IPv6 address. Defaults to `false`.
+     * * `true`: Accept a zone ID after a `%` (e.g. `fe80::1%eth0`).
+     * * `'url'`: Accept a zone ID in the URL form of RFC 6874, in which the `%` is encoded as `%25`
+     * (e.g. `fe80::1%25eth0`). Use this only for strings taken from URLs: with `true`, `fe80::1%251`
+     * has the zone ID `251`.
+     *
+     * Zone IDs may only consist of the unreserved characters of RFC 3986 (`A-Z`, `a-z`, `0-9`, `.`,
+     * `_`, `~` and `-`).
+     */
+    allowZone?: boolean | "url";
+}
+/**
+ * A normalization applied to the input string in lenient mode (see {@link ParseOptions}):
+ * * `'nfkc'`: Compatibility characters were normalized by NFKC (e.g. `１９２．１６８．０．１`).
+ * * `'octal'`: An IPv4 part was octal (e.g. `0300.0250.0.01`).
+ * * `'hex'`: An IPv4 part was hexadecimal (e.g. `0xC0.0xA8.0.1`).
+ * * `'integer'`: An IPv4 address was a single 32-bit integer (e.g. `3232235521`).
+ * * `'short'`: An IPv4 address had 2 or 3 parts (e.g. `192.168.1`, which means `192.168.0.1`).
+ */
+export type LenientNormalization = "nfkc" | "octal" | "hex" | "integer" | "short";
+/**
+ * Options for how zone IDs of IPv6 addresses (e.g. `eth0` for `fe80::1%eth0`) should be compared by
+ * the `equals`, `contains` and `isInRange` families of methods of {@link IP} and {@link IPUtil}.
+ */
+export interface ZoneOptions {
+    /**
+     * Whether two addresses must also have the same zone ID (or both have none) to match.
+     * Defaults to `false`, i.e. zone IDs are ignored. Either way, a string compared with an
+     * {@link IP} instance may have a zone ID, whereas the methods of {@link IPUtil} accept zone IDs
+     * in strings only with this option on.
+     */
+    respectZone?: boolean;
+}
+/**
+ * Options for {@link IP#toBinary}.
+ */
+export interface BinaryOptions {
+    /**
+     * Whether to separate the bits of each octet (IPv4) or hextet (IPv6) with `.` or `:`.
+     * Defaults to `false`.
+     */
+    group?: boolean;
+    /**
+     * Whether to mark the boundary between the network bits and the host bits of a CIDR with `|`,
+     * which replaces the `group` separator if they fall on the same position. Defaults to `true`.
+     * Has no effect on non-CIDR instances and on CIDRs whose bit length is `0` or the maximum.
+     */
+    markPrefix?: boolean;
+}
+/**
+ * A node of the prefix trie of {@link IPMap}.
+ * @internal
+ */
+export interface IPMapNode<V> {
+    /**
+     * The child nodes for the next bit being `0` and `1`.
+     */
+    children: [IPMapNode<V> | null, IPMapNode<V> | null];
+    /**
+     * The entry for the network prefix that leads to this node.
+     */
+    entry: {
+        ip: IP;
+        value: V;
+    } | null;
+}
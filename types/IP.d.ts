@@ -3,7 +3,23 @@ import {
     RangeObject,
     StringifyOptions,
     StrictCIDR,
-    ConditionPredicate
+    ConditionPredicate,
+    ScopeInfo,
+    SpecialBlock,
+    CIDRLimit,
+    HostsOptions,
+    ExtractOptions,
+    TitleParseOptions,
+    TitleKind,
+    TitleOptions,
+    RangeRelation,
+    RangeBounds,
+    ParseError,
+    Diagnosis,
+    ParseOptions,
+    LenientNormalization,
+    ZoneOptions,
+    BinaryOptions
 } from './IP-types';
 /**
  * The IPUtil class. Unlike the {@link IP} class, this class provides several static methods
@@ -19,15 +35,24 @@ export class IPUtil extends IPBase {
      * Note that inaccurate CIDRs will be corrected:
      * * input: `fd12:3456:789a:1::1/64`
      * * output: `fd12:3456:789a:1:0:0:0:0/64`
+     *
+     * With `options.lenient` on, legacy IPv4 notations are also accepted and normalized:
+     * * input: `0xC0.0xA8.0.1`, `3232235521`, `192.168.1` or `１９２．１６８．０．１`
+     * * output: `192.168.0.1`
+     *
+     * Use {@link IP.newFromText} and {@link IP.getNormalizations} to see which normalizations have
+     * been applied. With `options.allowZone` on, the zone ID of an IPv6 address is kept as is
+     * (e.g. `fe80:0:0:0:0:0:0:1%eth0`).
      * @param {string} ipStr
      * @param {boolean} [capitalize] Whether to capitalize the output, which defaults to `false`.
      * @param {ConditionPredicate} [conditionPredicate]
      * Optional IP address conditions to perform stringification.
+     * @param {ParseOptions} [options]
      * @returns {string?} `null` if:
      * * The input string does not represent an IP address.
      * * The parsed IP address does not meet the conditions specified by `conditionPredicate`
      */
-    static sanitize(ipStr: string, capitalize?: boolean | undefined, conditionPredicate?: ConditionPredicate | undefined): string | null;
+    static sanitize(ipStr: string, capitalize?: boolean | undefined, conditionPredicate?: ConditionPredicate | undefined, options?: ParseOptions | undefined): string | null;
     /**
      * Abbreviate an IP-representing string. For example:
      * * `192.168.0.1` (for IPv4 addresses, same as {@link IPUtil.sanitize})
@@ -107,6 +132,29 @@ export class IPUtil extends IPBase {
      * @returns {boolean|string}
      */
     static isIP(ipStr: string, allowCidr: StrictCIDR, options?: StringifyOptions | undefined): boolean | string;
+    /**
+     * Explain why a string does not represent an IP or CIDR address.
+     *
+     * The string is run through the same parser as the other methods, so a result with `valid: true`
+     * means that the string is accepted by, for example, {@link isIP} with `allowCidr` set to `true`.
+     *
+     * Example:
+     * ```
+     * IPUtil.diagnose('192.168.0.256');
+     * // {valid: false, code: 'PART_OUT_OF_RANGE', message: 'Octet "256" exceeds 255.', position: 10, suggestion: null}
+     * IPUtil.diagnose('2001:db8:::1');
+     * // {valid: false, code: 'MULTIPLE_DOUBLE_COLONS', message: 'Unexpected ":::".', position: 8, suggestion: '2001:db8:0:0:0:0:0:1'}
+     * IPUtil.diagnose('10.0.0.0/33');
+     * // {valid: false, code: 'INVALID_BIT_LENGTH', message: '"33" is not a valid bit length for an IPv4 address (0-32).', position: 9, suggestion: null}
+     * ```
+     * @param {string} ipStr
+     * @param {ParseOptions} [options] Only `allowZone` is used, to explain why {@link IP.newFromText}
+     * rejects a string with the same option.
+     * @returns {Diagnosis} `position` is a 0-based index into `ipStr` after bidi characters and
+     * surrounding whitespace have been removed. `suggestion` is a sanitized form of a corrected input,
+     * if a common mistake could be fixed.
+     */
+    static diagnose(ipStr: string, options?: ParseOptions | undefined): Diagnosis;
     /**
      * Evaluate whether a string represents an IPv4 address.
      * @overload
@@ -198,80 +246,312 @@ export class IPUtil extends IPBase {
      * Evaluate whether the IP address associated with `ipStr` is within that associated with `cidrStr`.
      * @param {string|IP} ipStr
      * @param {string|IP} cidrStr
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
      */
-    static isInRange(ipStr: string | IP, cidrStr: string | IP): boolean | null;
+    static isInRange(ipStr: string | IP, cidrStr: string | IP, options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with `ipStr` is within any IP range
      * in the `cidrArr` array.
      * @param {string|IP} ipStr
      * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {number?} The index number of the first match in the `cidrArr` array, or `-1` if there is
      * no match. `null` will be returned if `ipStr` does not represent an IP address.
      */
-    static isInAnyRange(ipStr: string | IP, cidrArr: (string | IP)[]): number | null;
+    static isInAnyRange(ipStr: string | IP, cidrArr: (string | IP)[], options?: ZoneOptions | undefined): number | null;
     /**
      * Evaluate whether the IP address associated with `ipStr` is within all IP ranges
      * in the `cidrArr` array.
      * @param {string|IP} ipStr
      * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if:
      * * `ipStr` does not represent an IP address.
      * * `cidrArr` is not an array or an empty array.
      */
-    static isInAllRanges(ipStr: string | IP, cidrArr: (string | IP)[]): boolean | null;
+    static isInAllRanges(ipStr: string | IP, cidrArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with `cidrStr` contains that associated with `ipStr`.
      * @param {string|IP} cidrStr
      * @param {string|IP} ipStr
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
      */
-    static contains(cidrStr: string | IP, ipStr: string | IP): boolean | null;
+    static contains(cidrStr: string | IP, ipStr: string | IP, options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with `cidrStr` contains any IP address
      * in the `ipArr` array.
      * @param {string|IP} cidrStr
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {number?} The index number of the first match in the `ipArr` array, or `-1` if there is
      * no match. `null` will be returned if `cidrStr` does not represent an IP address.
      */
-    static containsAny(cidrStr: string | IP, ipArr: (string | IP)[]): number | null;
+    static containsAny(cidrStr: string | IP, ipArr: (string | IP)[], options?: ZoneOptions | undefined): number | null;
     /**
      * Evaluate whether the IP address associated with `cidrStr` contains all IP addresses
      * in the `ipArr` array.
      * @param {string|IP} cidrStr
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if:
      * * `cidrStr` does not represent an IP address.
      * * `ipArr` is not an array or an empty array.
      */
-    static containsAll(cidrStr: string | IP, ipArr: (string | IP)[]): boolean | null;
+    static containsAll(cidrStr: string | IP, ipArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with `ipStr1` equals that associated with `ipStr2`.
      * @param {string|IP} ipStr1
      * @param {string|IP} ipStr2
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if any of the two input strings does not represent an IP address.
      */
-    static equals(ipStr1: string | IP, ipStr2: string | IP): boolean | null;
+    static equals(ipStr1: string | IP, ipStr2: string | IP, options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with `ipStr` equals any IP address
      * in the `ipArr` array.
      * @param {string|IP} ipStr
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {number?} The index number of the first match in the `ipArr` array, or `-1` if there is
      * no match. `null` will be returned if `ipStr` does not represent an IP address.
      */
-    static equalsAny(ipStr: string | IP, ipArr: (string | IP)[]): number | null;
+    static equalsAny(ipStr: string | IP, ipArr: (string | IP)[], options?: ZoneOptions | undefined): number | null;
     /**
      * Evaluate whether the IP address associated with `ipStr` equals all IP addresses
      * in the `ipArr` array.
      * @param {string|IP} ipStr
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if:
      * * `ipStr` does not represent an IP address.
      * * `ipArr` is not an array or an empty array.
      */
-    static equalsAll(ipStr: string | IP, ipArr: (string | IP)[]): boolean | null;
+    static equalsAll(ipStr: string | IP, ipArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
+    /**
+     * Compare two IP addresses to determine their order. This can be used directly as the comparator
+     * of `Array.prototype.sort`:
+     * ```
+     * ['10.0.0.10', 'fd12::1', '10.0.0.9', '10.0.0.0/24'].sort(IPUtil.compare);
+     * // ['10.0.0.0/24', '10.0.0.9', '10.0.0.10', 'fd12::1']
+     * ```
+     * The order is defined as follows:
+     * * IPv4 addresses precede IPv6 addresses.
+     * * Addresses of the same version are ordered numerically by their first addresses.
+     * * If the first addresses are the same, broader CIDRs precede narrower ones, i.e. a CIDR
+     * precedes its first address as a single IP address.
+     * * Inputs that do not represent IP addresses follow all valid IP addresses.
+     * @param {string|IP} ipStr1
+     * @param {string|IP} ipStr2
+     * @returns {number} A negative number if `ipStr1` comes first, a positive number if `ipStr2` comes
+     * first, and `0` if they are equal (or if neither represents an IP address).
+     */
+    static compare(ipStr1: string | IP, ipStr2: string | IP): number;
+    /**
+     * Compare two nullable range objects, putting `null` after any range object.
+     * @param {RangeObject?} range1
+     * @param {RangeObject?} range2
+     * @returns {number}
+     * @private
+     */
+    private static compareNullable;
+    /**
+     * Sort an array of IP addresses in the order defined by {@link IPUtil.compare}. Unlike
+     * `Array.prototype.sort`, this method does not mutate the input array, and parses each element
+     * only once. Elements that do not represent IP addresses are moved to the end of the array,
+     * retaining their original order.
+     * @template {string|IP} T
+     * @param {T[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @returns {T[]} A new sorted array.
+     */
+    static sort<T extends string | IP>(ipArr: T[]): T[];
+    /**
+     * Evaluate whether a CIDR is within the maximum range size allowed for blocks, as configured by
+     * `$wgBlockCIDRLimit` on MediaWiki. For example:
+     * ```
+     * const {allowed, count, cidrs} = IPUtil.isBlockableCIDR('10.0.0.0/15');
+     * console.log(allowed); // false
+     * console.log(count); // 2
+     * console.log(Array.from(cidrs, String)); // ['10.0.0.0/16', '10.1.0.0/16']
+     * ```
+     * The number of CIDRs grows exponentially as the range broadens (e.g. `2^19` CIDRs for `::/0`
+     * with the default limits, and `2^64` with `{IPv6: 64}`), so they are generated lazily. Check `count` before collecting them.
+     * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance. Single IP addresses
+     * are always allowed.
+     * @param {CIDRLimit} [limits] The limits to apply. Defaults to `{IPv4: 16, IPv6: 19}`.
+     * @returns {{allowed: boolean; limit: number; count: number; cidrs: Generator<IP, void, undefined>;}?}
+     * An object with the following properties, or `null` if `ipStr` does not represent an IP address:
+     * * `allowed` - Whether the range is within the limit.
+     * * `limit` - The minimum bit length applied to the IP version of the address.
+     * * `count` - The number of CIDRs that `cidrs` yields. This is not exact beyond `2^53`, except for
+     * powers of 2.
+     * * `cidrs` - A generator of the CIDRs to block to cover the whole range: the maximum-size CIDRs in
+     * ascending order if the range is beyond the limit, or the input address only if it is within the limit.
+     */
+    static isBlockableCIDR(ipStr: string | IP, limits?: CIDRLimit | undefined): {
+        allowed: boolean;
+        limit: number;
+        count: number;
+        cidrs: Generator<IP, void, undefined>;
+    } | null;
+    /**
+     * Extract IP and CIDR addresses from a text, such as wikitext or a pasted WHOIS output. For example:
+     * ```
+     * const text = '[[Special:Contributions/192.0.2.0/24]], {{IPvandal|2001:db8::1}} and [[User:10.0.0.1|IP]].';
+     * IPUtil.extract(text).map(({index, match}) => [index, match]);
+     * // [[24, '192.0.2.0/24'], [51, '2001:db8::1'], [76, '10.0.0.1']]
+     * ```
+     * An address is recognized only if it is not part of a larger word, e.g. `x192.168.0.1` is ignored,
+     * but one that follows a colon is, e.g. in `Utente:10.0.0.1`.
+     * Strings without any digits, such as the `::` of an indented comment, are never recognized as
+     * IPv6 addresses.
+     * @param {string} text
+     * @param {ExtractOptions} [options]
+     * @returns {{index: number; match: string; ip: IP;}[]} An array of objects in order of appearance,
+     * each of which has the following properties:
+     * * `index` - The offset of the match in `text`.
+     * * `match` - The matched substring.
+     * * `ip` - An IP instance initialized from the match.
+     */
+    static extract(text: string, options?: ExtractOptions | undefined): {
+        index: number;
+        match: string;
+        ip: IP;
+    }[];
+    /**
+     * Parse a MediaWiki page title or URL that refers to an IP user or range. For example:
+     * ```
+     * IPUtil.parseTitle('User talk:2001:DB8::1');
+     * // {kind: 'user_talk', ip: IP, special: null, subpage: null}
+     * IPUtil.parseTitle('https://en.wikipedia.org/wiki/Special:Contributions/192.0.2.0/24');
+     * // {kind: 'special', ip: IP, special: 'Contributions', subpage: null}
+     * IPUtil.parseTitle('/w/index.php?title=Special:Block&target=192.0.2.1');
+     * // {kind: 'special', ip: IP, special: 'Block', subpage: null}
+     * IPUtil.parseTitle('User:192.0.2.1/sandbox');
+     * // {kind: 'user', ip: IP, special: null, subpage: 'sandbox'}
+     * ```
+     * Percent-encoded characters and underscores are decoded.
+     * @param {string} str A page title, or a URL with the title either in its path or in its `title`
+     * query parameter. For special pages, the `target` query parameter is also recognized.
+     * @param {TitleParseOptions} [options]
+     * @returns {{kind: 'user'|'user_talk'|'special'; ip: IP; special: string?; subpage: string?;}?}
+     * An object with the following properties, or `null` if `str` does not refer to an IP user or range:
+     * * `kind` - The kind of the page.
+     * * `ip` - An IP instance initialized from the title.
+     * * `special` - The name of the special page as in the title (with its first letter capitalized),
+     * if `kind` is `'special'`.
+     * * `subpage` - The subpage name following the IP address, if `kind` is `'user'` or `'user_talk'`.
+     */
+    static parseTitle(str: string, options?: TitleParseOptions | undefined): {
+        kind: "user" | "user_talk" | "special";
+        ip: IP;
+        special: string | null;
+        subpage: string | null;
+    } | null;
+    /**
+     * Get the narrowest CIDR that contains all the given IP addresses, e.g. to evaluate a rangeblock
+     * against an IP-hopping user. For example:
+     * ```
+     * const {ip, size, halves} = IPUtil.commonRange(['192.0.2.10', '192.0.2.45', '192.0.2.100']);
+     * console.log(ip.stringify()); // 192.0.2.0/25
+     * console.log(size); // 128n
+     * console.log(halves); // [2, 1] (192.0.2.0/26 and 192.0.2.64/26)
+     * ```
+     * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @returns {{ip: IP; size: bigint?; halves: [number, number]?;}?} An object with the following properties,
+     * or `null` if `ipArr` is an empty array, contains an element that does not represent an IP address,
+     * or contains both IPv4 and IPv6 addresses:
+     * * `ip` - The narrowest CIDR (or a single IP address if all elements represent the same address).
+     * * `size` - The number of IP addresses that `ip` covers (see {@link IP.size}).
+     * * `halves` - The numbers of the elements in `ipArr` that fall within the lower and the upper half
+     * of `ip`, respectively (`null` if `ip` is a single IP address). An element that covers the whole
+     * of `ip` is counted in neither.
+     */
+    static commonRange(ipArr: (string | IP)[]): {
+        ip: IP;
+        size: bigint | null;
+        halves: [number, number] | null;
+    } | null;
+    /**
+     * Parse a string that represents an IP address with a netmask or a (Cisco-style) wildcard mask.
+     * For example:
+     * ```
+     * IPUtil.parseNetmask('192.0.2.0 255.255.255.0'); // {ip: IP (192.0.2.0/24), error: null}
+     * IPUtil.parseNetmask('192.0.2.0/255.255.255.0'); // {ip: IP (192.0.2.0/24), error: null}
+     * IPUtil.parseNetmask('192.0.2.0 0.0.0.255'); // {ip: IP (192.0.2.0/24), error: null}
+     * IPUtil.parseNetmask('192.0.2.0 255.0.255.0');
+     * // {ip: null, error: '"255.0.255.0" is not a valid mask because its bits are not contiguous.'}
+     * ```
+     * A prefix length is also accepted in place of a mask (e.g. `192.0.2.0/24`).
+     * @param {string} str
+     * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+     * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+     * `0.0.0.0` and `255.255.255.255`) are interpreted as netmasks.
+     * @returns {{ip: IP; error: null;}|{ip: null; error: string;}} An object of the parsed IP instance,
+     * or of an error message describing why the input could not be parsed.
+     */
+    static parseNetmask(str: string, wildcard?: boolean | undefined): {
+        ip: IP;
+        error: null;
+    } | {
+        ip: null;
+        error: string;
+    };
+    /**
+     * Classify an IP address against the special-purpose address blocks in the IANA registries,
+     * e.g. whether it is a private, loopback or documentation address. For example:
+     * ```
+     * IPUtil.classify('172.16.5.4');
+     * // {scope: 'private', cidr: '172.16.0.0/12', name: 'Private-Use', partial: []}
+     * IPUtil.classify('10.0.0.0/7');
+     * // {scope: 'global', cidr: null, name: null, partial: [{scope: 'private', cidr: '10.0.0.0/8', name: 'Private-Use'}]}
+     * ```
+     * See {@link AddressScope} for the list of categories.
+     * @param {string|IP} ipStr
+     * @returns {ScopeInfo?} `null` if `ipStr` does not represent an IP address.
+     */
+    static classify(ipStr: string | IP): ScopeInfo | null;
+    /**
+     * Collapse an array of IP and CIDR addresses into the minimal set of IP instances that cover
+     * exactly the same addresses. Overlapping and adjacent elements are merged. For example:
+     * ```
+     * const {collapsed, dropped} = IPUtil.collapse([
+     * 	'192.168.0.0/25',
+     * 	'192.168.0.128/25',
+     * 	'10.0.0.1',
+     * 	'10.0.0.0/16',
+     * 	'foo',
+     * 	'fd12::/16'
+     * ]);
+     * console.log(collapsed.map(String)); // ['10.0.0.0/16', '192.168.0.0/24', 'fd12:0:0:0:0:0:0:0/16']
+     * console.log(dropped); // [4]
+     * ```
+     * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @returns {{collapsed: IP[]; dropped: number[];}} An object with the following properties:
+     * * `collapsed` - An array of IP instances in ascending order, IPv4 addresses preceding IPv6 ones.
+     * * `dropped` - The index numbers of the elements in `ipArr` that were ignored because they do
+     * not represent IP addresses.
+     */
+    static collapse(ipArr: (string | IP)[]): {
+        collapsed: IP[];
+        dropped: number[];
+    };
+    /**
+     * Get the minimal set of CIDRs that exactly cover the span between two IP addresses. For example:
+     * ```
+     * IPUtil.rangeToCidrs('10.0.0.5', '10.0.1.200').map(String);
+     * // ['10.0.0.5', '10.0.0.6/31', '10.0.0.8/29', ..., '10.0.1.192/29', '10.0.1.200']
+     * ```
+     * This is an alias of {@link IP.newFromRangeBounds}.
+     * @param {string|IP} first The first address of the span. If this is a CIDR, its first address is used.
+     * @param {string|IP} last The last address of the span. If this is a CIDR, its last address is used.
+     * @returns {IP[]?} An array of IP instances in ascending order, or `null` if:
+     * * Any of the two inputs does not represent an IP address.
+     * * The two inputs are of different IP versions.
+     * * `first` is larger than `last`.
+     */
+    static rangeToCidrs(first: string | IP, last: string | IP): IP[] | null;
     /**
      * @throws
      * @hidden
@@ -294,24 +574,135 @@ export class IPUtil extends IPBase {
 export class IP extends IPBase {
     /**
      * Initialize an IP instance from a string.
+     *
+     * By default, only the standard notations are accepted. With `options.lenient` on, the legacy
+     * IPv4 notations accepted by `inet_aton` and web browsers are also accepted, and strings are
+     * normalized by NFKC beforehand (see {@link LenientNormalization}). For example:
+     * ```
+     * const ip = IP.newFromText('192.168.010.001', {lenient: true});
+     * ip.stringify(); // 192.168.8.1 (not 192.168.10.1)
+     * ip.getNormalizations(); // ['octal']
+     * ```
+     * Zone IDs of IPv6 addresses (e.g. `fe80::1%eth0`) are only accepted with `options.allowZone` on.
      * @param {string} ipStr An IP- or CIDR-representing string.
+     * @param {ParseOptions} [options]
      * @returns {IP?} `null` if the input string does not represent an IP address.
      */
-    static newFromText(ipStr: string): IP | null;
+    static newFromText(ipStr: string, options?: ParseOptions | undefined): IP | null;
     /**
      * Initialize an IP instance from a string and a range (aka bit length).
      * @param {string} ipStr An IP- or CIDR-representing string. If a CIDR string is passed, the `/XX` part
      * will be overriden by `range`.
      * @param {number} range `0-32` for IPv4, `0-128` for IPv6.
+     * @param {ParseOptions} [options] Only `allowZone` is used.
      * @returns {IP?} `null` if:
      * * The input string does not represent an IP address.
      * * The bit length specified by `range` is invalid.
      * @throws If `range` is not a number.
      */
-    static newFromRange(ipStr: string, range: number): IP | null;
+    static newFromRange(ipStr: string, range: number, options?: ParseOptions | undefined): IP | null;
+    /**
+     * Initialize an array of IP instances that represent the minimal set of CIDRs exactly covering
+     * the span between two IP addresses. For example:
+     * ```
+     * IP.newFromRangeBounds('10.0.0.5', '10.0.1.200').map(String);
+     * // ['10.0.0.5', '10.0.0.6/31', '10.0.0.8/29', ..., '10.0.1.192/29', '10.0.1.200']
+     * ```
+     * @param {string|IP} first The first address of the span. If this is a CIDR, its first address is used.
+     * @param {string|IP} last The last address of the span. If this is a CIDR, its last address is used.
+     * @returns {IP[]?} An array of IP instances in ascending order, or `null` if:
+     * * Any of the two inputs does not represent an IP address.
+     * * The two inputs are of different IP versions.
+     * * `first` is larger than `last`.
+     */
+    static newFromRangeBounds(first: string | IP, last: string | IP): IP[] | null;
+    /**
+     * Initialize an IP instance from a string that represents an IP address with a netmask or a
+     * (Cisco-style) wildcard mask, e.g. `192.0.2.0 255.255.255.0`, `192.0.2.0/255.255.255.0` or
+     * `192.0.2.0 0.0.0.255`. Use {@link IPUtil.parseNetmask} to get the reason why a string is rejected.
+     * @param {string} str
+     * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+     * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+     * `0.0.0.0` and `255.255.255.255`) are interpreted as netmasks.
+     * @returns {IP?} `null` if `str` does not represent an IP address with a valid mask, including
+     * when the bits of the mask are not contiguous (e.g. `255.0.255.0`).
+     */
+    static newFromNetmask(str: string, wildcard?: boolean | undefined): IP | null;
+    /**
+     * Initialize an IP instance from a hex string in the format of MediaWiki's `IPUtils::toHex`
+     * (case-insensitive). For example:
+     * ```
+     * IP.newFromHex('C0A80001'); // 192.168.0.1
+     * IP.newFromHex('v6-20010DB8000000000000000000000001'); // 2001:db8:0:0:0:0:0:1
+     * IP.newFromHex('C0A80000', 'C0A800FF'); // 192.168.0.0/24
+     * ```
+     * @param {string} hex
+     * @param {string} [endHex] The hex of the last address of a range, e.g. the value of `ipb_range_end`
+     * where `hex` is that of `ipb_range_start`.
+     * @returns {IP?} `null` if:
+     * * Any of the input strings is not a valid hex string.
+     * * `hex` and `endHex` are of different IP versions, or do not represent a single CIDR.
+     */
+    static newFromHex(hex: string, endHex?: string | undefined): IP | null;
+    /**
+     * Initialize an IP instance from a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain
+     * (case-insensitive, with or without the trailing dot). For example:
+     * ```
+     * IP.newFromReverseName('1.0.168.192.in-addr.arpa'); // 192.168.0.1
+     * IP.newFromReverseName('0.168.192.in-addr.arpa'); // 192.168.0.0/24
+     * IP.newFromReverseName('64/26.2.0.192.in-addr.arpa'); // 192.0.2.64/26 (RFC 2317)
+     * IP.newFromReverseName('8.b.d.0.1.0.0.2.ip6.arpa.'); // 2001:db8:0:0:0:0:0:0/32
+     * ```
+     * @param {string} name
+     * @returns {IP?} `null` if the input is not a valid reverse DNS name, including when the first
+     * address of an RFC 2317 name does not match its bit length (e.g. `65/26.2.0.192.in-addr.arpa`).
+     */
+    static newFromReverseName(name: string): IP | null;
+    /**
+     * Initialize an IP instance from an integer. For example:
+     * ```
+     * IP.newFromBigInt(3232235521, 4); // 192.168.0.1
+     * IP.newFromBigInt(BigInt('0x20010db8000000000000000000000001'), 6); // 2001:db8:0:0:0:0:0:1
+     * ```
+     * @param {bigint|number} n A BigInt or a safe integer. The latter is available even where BigInt
+     * is not supported.
+     * @param {4|6} version The IP version of the address.
+     * @returns {IP?} `null` if:
+     * * `n` is negative or is not a safe integer.
+     * * `n` does not fit in the address space of `version`.
+     * @throws If `n` is neither a BigInt nor a number, or if `version` is neither `4` nor `6`.
+     */
+    static newFromBigInt(n: bigint | number, version: 4 | 6): IP | null;
+    /**
+     * Initialize an IP instance from an IPv6 prefix and a MAC address, by generating the modified EUI-64
+     * interface identifier as done by SLAAC (RFC 4291, Appendix A). For example:
+     * ```
+     * IP.newFromPrefixAndMac('2001:db8::/64', '00:1a:2b:3c:4d:5e'); // 2001:db8:0:0:21a:2bff:fe3c:4d5e
+     * ```
+     * @param {string|IP} prefix An IPv6 CIDR whose bit length is `64` or shorter, or an IPv6 address
+     * whose first 64 bits are used.
+     * @param {string} mac A MAC address in a format such as `00:1a:2b:3c:4d:5e`, `00-1a-2b-3c-4d-5e`,
+     * `001a.2b3c.4d5e` or `001a2b3c4d5e`.
+     * @returns {IP?} `null` if:
+     * * `prefix` does not represent an IPv6 address, or is a CIDR whose bit length is longer than 64.
+     * * `mac` does not represent a MAC address.
+     */
+    static newFromPrefixAndMac(prefix: string | IP, mac: string): IP | null;
+    /**
+     * Initialize an IP instance from a range object, as returned by {@link IP#getProperties}.
+     * @param {RangeObject} range
+     * @returns {IP?} `null` if `range` is not a valid range object, i.e. if:
+     * * `first` is not an array of 4 IPv4 or 8 IPv6 parts in decimals.
+     * * `bitLen` is not a valid bit length for the IP version.
+     * * `first` and `last` are not the first and last addresses of the CIDR of `bitLen`.
+     * * `isCidr` is not a boolean, or is `false` for a range broader than a single address.
+     */
+    static newFromRangeObject(range: RangeObject): IP | null;
     /**
      * Private constructor. Use {@link IP.newFromText} instead.
      * @param {RangeObject} range An object that stores CIDR information.
+     * @param {LenientNormalization[]} [normalizations] Normalizations applied to the input string.
+     * @param {string?} [zone] The zone ID of an IPv6 address.
      * @private
      */
     private constructor();
@@ -339,11 +730,49 @@ export class IP extends IPBase {
      * @private
      */
     private readonly isCidr;
+    /**
+     * @type {LenientNormalization[]}
+     * @readonly
+     * @private
+     */
+    private readonly normalizations;
+    /**
+     * @type {string?}
+     * @readonly
+     * @private
+     */
+    private readonly zone;
     /**
      * Get a copy of the private instance properties as an object.
      * @returns {RangeObject}
      */
     getProperties(): RangeObject;
+    /**
+     * Get the normalizations applied to the input string when this instance was initialized by
+     * {@link IP.newFromText} in lenient mode.
+     * @returns {LenientNormalization[]} An empty array if the input was in a standard notation, or if
+     * the instance was initialized otherwise.
+     */
+    getNormalizations(): LenientNormalization[];
+    /**
+     * Get the zone ID of the IPv6 address associated with the instance. For example:
+     * ```
+     * IP.newFromText('fe80::1%eth0', {allowZone: true}).getZone(); // eth0
+     * IP.newFromText('fe80::1%25en0', {allowZone: 'url'}).getZone(); // en0 (the URL form of RFC 6874)
+     * IP.newFromText('fe80::1%251', {allowZone: true}).getZone(); // 251
+     * ```
+     * Note that the zone ID is not inherited by instances derived by other methods, such as {@link IP.next}.
+     * @returns {string?} `null` if the address has no zone ID.
+     */
+    getZone(): string | null;
+    /**
+     * Get a copy of the instance without the zone ID.
+     * ```
+     * IP.newFromText('fe80::1%eth0', {allowZone: true}).stripZone().stringify(); // fe80:0:0:0:0:0:0:1
+     * ```
+     * @returns {IP}
+     */
+    stripZone(): IP;
     /**
      * Return the IP version as a number.
      */
@@ -365,6 +794,47 @@ export class IP extends IPBase {
      * ```
      */
     stringify(options?: StringifyOptions | undefined): string;
+    /**
+     * Get the MediaWiki username of the IP address associated with the instance, in the same format
+     * as MediaWiki's `IPUtils::sanitizeIP`. For example:
+     * * `192.168.0.1` (leading zeros stripped)
+     * * `2001:DB8:0:0:0:0:0:1` (capitalized and expanded, without `::` compression)
+     *
+     * For a CIDR, this returns the sanitized CIDR notation, e.g. `2001:DB8:0:0:0:0:0:0/32`.
+     * The zone ID, if any, is not included.
+     * @returns {string}
+     */
+    toUsername(): string;
+    /**
+     * Get the title of a MediaWiki page for the IP address associated with the instance. For example:
+     * ```
+     * const ip = IP.newFromText('2001:db8::1');
+     * ip.toTitle('user_talk'); // User talk:2001:DB8:0:0:0:0:0:1
+     * ip.toTitle('contributions', {prefix: '特別:投稿記録/'}); // 特別:投稿記録/2001:DB8:0:0:0:0:0:1
+     * ```
+     * @param {TitleKind} kind
+     * @param {TitleOptions} [options]
+     * @returns {string?} `null` if the instance is a CIDR and `kind` is `'user'` or `'user_talk'`
+     * (IP ranges have no user pages).
+     * @throws If `kind` is not a valid page kind.
+     */
+    toTitle(kind: TitleKind, options?: TitleOptions | undefined): string | null;
+    /**
+     * Get the (root-relative) URL of a MediaWiki page for the IP address associated with the instance,
+     * URL-encoded in the same way as `mw.util.getUrl`. For example:
+     * ```
+     * const ip = IP.newFromText('2001:db8::1');
+     * ip.toUrl('user_talk'); // /wiki/User_talk:2001:DB8:0:0:0:0:0:1
+     * ip.toUrl('contributions', {prefix: '特別:投稿記録/'});
+     * // /wiki/%E7%89%B9%E5%88%A5:%E6%8A%95%E7%A8%BF%E8%A8%98%E9%8C%B2/2001:DB8:0:0:0:0:0:1
+     * ```
+     * @param {TitleKind} kind
+     * @param {TitleOptions} [options]
+     * @returns {string?} `null` if the instance is a CIDR and `kind` is `'user'` or `'user_talk'`
+     * (IP ranges have no user pages).
+     * @throws If `kind` is not a valid page kind.
+     */
+    toUrl(kind: TitleKind, options?: TitleOptions | undefined): string | null;
     /**
      * Evaluate whether the IP address associated with the instance is an IPv4 address.
      * @param {boolean} [allowCidr] Whether to allow a CIDR address, which defaults to false.
@@ -406,16 +876,20 @@ export class IP extends IPBase {
      * * The bit length of the CIDR as a number.
      * * The starting IP address of the CIDR as a *string*.
      * * The ending IP address of the CIDR as a *string*.
+     * * The starting and ending IP addresses of the CIDR as hex strings, in the format of MediaWiki's
+     * `IPUtils::toHex` (see {@link IP.toHex}).
      * @overload
      * @param {false} [getObject]
      * @param {StringifyOptions} [options]
-     * @returns {{bitLen: number; cidr: string; first: string; last: string;}}
+     * @returns {{bitLen: number; cidr: string; first: string; last: string; firstHex: string; lastHex: string;}}
      */
     getRange(getObject?: false | undefined, options?: StringifyOptions | undefined): {
         bitLen: number;
         cidr: string;
         first: string;
         last: string;
+        firstHex: string;
+        lastHex: string;
     };
     /**
      * Get range information of the IP instance. The return value includes:
@@ -423,86 +897,602 @@ export class IP extends IPBase {
      * * The bit length of the CIDR as a number.
      * * The starting IP address of the CIDR as an *IP object*.
      * * The ending IP address of the CIDR as an *IP object*.
+     * * The starting and ending IP addresses of the CIDR as hex strings, in the format of MediaWiki's
+     * `IPUtils::toHex` (see {@link IP.toHex}).
      * @overload
      * @param {true} getObject
      * @param {StringifyOptions} [options]
-     * @returns {{bitLen: number; cidr: string; first: IP; last: IP;}}
+     * @returns {{bitLen: number; cidr: string; first: IP; last: IP; firstHex: string; lastHex: string;}}
      */
     getRange(getObject: true, options?: StringifyOptions | undefined): {
         bitLen: number;
         cidr: string;
         first: IP;
         last: IP;
+        firstHex: string;
+        lastHex: string;
+    };
+    /**
+     * Evaluate whether the IP address associated with the instance is within the maximum range size
+     * allowed for blocks, as configured by `$wgBlockCIDRLimit` on MediaWiki. See
+     * {@link IPUtil.isBlockableCIDR} for details.
+     * @param {CIDRLimit} [limits] The limits to apply. Defaults to `{IPv4: 16, IPv6: 19}`.
+     * @returns {{allowed: boolean; limit: number; count: number; cidrs: Generator<IP, void, undefined>;}}
+     */
+    fitsLimit(limits?: CIDRLimit | undefined): {
+        allowed: boolean;
+        limit: number;
+        count: number;
+        cidrs: Generator<IP, void, undefined>;
     };
+    /**
+     * Get the IP address associated with the instance as a BigInt. For a CIDR, this returns the value
+     * of its first address.
+     * @returns {bigint?} `null` if the runtime environment does not support BigInt.
+     */
+    toBigInt(): bigint | null;
+    /**
+     * Get the number of IP addresses in the range of the instance (`1` for a non-CIDR address).
+     * @returns {bigint?} `null` if the runtime environment does not support BigInt.
+     */
+    size(): bigint | null;
+    /**
+     * Get a new IP instance offset from this instance by `n` addresses. If the instance is a CIDR,
+     * the offset is made by `n` blocks of the same size, e.g. `IP.newFromText('10.0.0.0/24').add(2)`
+     * returns `10.0.2.0/24`.
+     * @param {number|bigint} n A (possibly negative) safe integer or BigInt.
+     * @returns {IP?} `null` if the result overflows or underflows the address space.
+     * @throws If `n` is neither a safe integer nor a BigInt.
+     */
+    add(n: number | bigint): IP | null;
+    /**
+     * Get the next IP address (or the next CIDR of the same size). Shorthand for `add(1)`.
+     * @returns {IP?} `null` if the result overflows the address space.
+     */
+    next(): IP | null;
+    /**
+     * Get the previous IP address (or the previous CIDR of the same size). Shorthand for `add(-1)`.
+     * @returns {IP?} `null` if the result underflows the address space.
+     */
+    prev(): IP | null;
+    /**
+     * Split the range of the instance into subnets of a narrower bit length. The subnets are
+     * generated lazily, in ascending order:
+     * ```
+     * const ip = IP.newFromText('10.0.0.0/16');
+     * for (const subnet of ip.subnets(20) || []) {
+     * 	console.log(subnet.stringify()); // 10.0.0.0/20, 10.0.16.0/20, ..., 10.0.240.0/20
+     * }
+     * ```
+     * Like {@link supernet}, this always returns CIDRs, even at the maximum bit length (e.g. `10.0.0.1/32`).
+     * @param {number} [newBitLen] The bit length of the subnets. Defaults to the bit length of the
+     * instance plus one, i.e. the two halves of the range.
+     * @returns {Generator<IP, void, undefined>?} `null` if `newBitLen` is smaller than the bit length
+     * of the instance or larger than `32` for IPv4 or `128` for IPv6.
+     */
+    subnets(newBitLen?: number | undefined): Generator<IP, void, undefined> | null;
+    /**
+     * Enumerate the IP addresses in the range of the instance as IP instances, in ascending order:
+     * ```
+     * const ip = IP.newFromText('192.168.0.0/30');
+     * for (const host of ip.hosts()) {
+     * 	console.log(host instanceof IP); // true
+     * }
+     * ```
+     * Note that the enumeration never ends by itself for a broad range, e.g. an IPv6 `/64`.
+     * Use `limit` or break out of the loop to stop it.
+     * @overload
+     * @param {HostsOptions} [options]
+     * @returns {Generator<IP, void, undefined>}
+     */
+    hosts(options?: HostsOptions | undefined): Generator<IP, void, undefined>;
+    /**
+     * Enumerate the IP addresses in the range of the instance as strings, in ascending order:
+     * ```
+     * const ip = IP.newFromText('192.168.0.0/30');
+     * const hosts = Array.from(ip.hosts({skipNetworkAndBroadcast: true}, {mode: 'long'}));
+     * console.log(hosts); // ['192.168.000.001', '192.168.000.002']
+     * ```
+     * Note that the enumeration never ends by itself for a broad range, e.g. an IPv6 `/64`.
+     * Use `limit` or break out of the loop to stop it.
+     * @overload
+     * @param {HostsOptions} options
+     * @param {StringifyOptions} format Specifications of how the output strings should be formatted.
+     * @returns {Generator<string, void, undefined>}
+     */
+    hosts(options: HostsOptions, format: StringifyOptions): Generator<string, void, undefined>;
+    /**
+     * Get the CIDR of a broader bit length that contains the IP address associated with the instance.
+     * For example, the `/16` supernet of `10.1.2.3` is `10.1.0.0/16`, and the `/32` one is `10.1.2.3/32`.
+     * @param {number} [newBitLen] The bit length of the supernet. Defaults to the bit length of the
+     * instance minus one, i.e. the parent of the range.
+     * @returns {IP?} `null` if `newBitLen` is negative or larger than the bit length of the instance.
+     */
+    supernet(newBitLen?: number | undefined): IP | null;
+    /**
+     * Get the other half of the parent range of the instance, e.g. `10.0.1.0/24` for `10.0.0.0/24`.
+     * For a non-CIDR address, this is the address that differs from it only in the last bit.
+     * @returns {IP?} `null` if the instance covers the whole address space (`/0`).
+     */
+    sibling(): IP | null;
+    /**
+     * Classify the IP address associated with the instance against the special-purpose address blocks
+     * in the IANA registries. See {@link IPUtil.classify} for details.
+     * @returns {ScopeInfo}
+     */
+    getScope(): ScopeInfo;
+    /**
+     * Unwrap the IPv4 address embedded in the IPv6 address associated with the instance. This applies to:
+     * * IPv4-mapped addresses in `::ffff:0:0/96` (e.g. `::ffff:192.0.2.1` -> `192.0.2.1`)
+     * * IPv4-embedded addresses in the NAT64 well-known prefix `64:ff9b::/96`
+     * (e.g. `64:ff9b::198.51.100.7` -> `198.51.100.7`)
+     *
+     * CIDRs are converted if they fall within either prefix (e.g. `::ffff:10.0.0.0/104` -> `10.0.0.0/8`).
+     * @returns {IP?} `null` if the instance does not represent an IPv6 address with an embedded IPv4 address.
+     */
+    toIPv4(): IP | null;
+    /**
+     * Wrap the IPv4 address associated with the instance into an IPv6 address. For example:
+     * * `192.0.2.1` -> `::ffff:192.0.2.1`
+     * * `192.0.2.1` -> `64:ff9b::192.0.2.1` (if `nat64` is `true`)
+     * * `10.0.0.0/8` -> `::ffff:10.0.0.0/104`
+     * @param {boolean} [nat64] Whether to use the NAT64 well-known prefix `64:ff9b::/96` instead of
+     * the IPv4-mapped prefix `::ffff:0:0/96`. Defaults to `false`.
+     * @returns {IP?} `null` if the instance does not represent an IPv4 address.
+     */
+    toIPv6(nat64?: boolean | undefined): IP | null;
+    /**
+     * Get the interface identifier (the last 64 bits) of the IPv6 address associated with the instance.
+     * For example:
+     * ```
+     * IP.newFromText('2001:db8::21a:2bff:fe3c:4d5e').getInterfaceId(); // 21a:2bff:fe3c:4d5e
+     * ```
+     * Use {@link IP.getEUI64MAC} to tell whether this identifier is derived from a MAC address.
+     * @returns {string?} `null` if the instance is an IPv4 address or a CIDR.
+     */
+    getInterfaceId(): string | null;
+    /**
+     * Get the MAC address embedded in the interface identifier of the IPv6 address associated with the
+     * instance, if the identifier is a modified EUI-64 one (with `ff:fe` in the middle) as generated
+     * by SLAAC. For example:
+     * ```
+     * IP.newFromText('2001:db8::21a:2bff:fe3c:4d5e').getEUI64MAC(); // 00:1a:2b:3c:4d:5e
+     * IP.newFromText('2001:db8::8d3a:61c2:7f0e:9b14').getEUI64MAC(); // null
+     * ```
+     * Addresses with such an identifier are tied to a device, while those generated with privacy
+     * extensions (RFC 8981) are temporary and yield `null`.
+     * @returns {string?} A lowercase, colon-separated MAC address, or `null` if the instance is an IPv4
+     * address or a CIDR, or does not have a modified EUI-64 interface identifier.
+     */
+    getEUI64MAC(): string | null;
+    /**
+     * Get the netmask of the instance, e.g. `255.255.255.0` for `192.0.2.0/24`.
+     * @param {StringifyOptions} [options] Options to specify the format of the output.
+     * @returns {string}
+     */
+    getNetmask(options?: StringifyOptions | undefined): string;
+    /**
+     * Get the (Cisco-style) wildcard mask of the instance, i.e. the inverted netmask, e.g. `0.0.0.255`
+     * for `192.0.2.0/24`.
+     * @param {StringifyOptions} [options] Options to specify the format of the output.
+     * @returns {string}
+     */
+    getWildcardMask(options?: StringifyOptions | undefined): string;
+    /**
+     * Get the hostmask of the instance, which masks the host part of an address, e.g. `0.0.0.255`
+     * for `192.0.2.0/24`.
+     *
+     * This is an alias of {@link IP.getWildcardMask}, as a hostmask and a wildcard mask are the same
+     * value under different names.
+     * @param {StringifyOptions} [options] Options to specify the format of the output.
+     * @returns {string}
+     */
+    getHostmask(options?: StringifyOptions | undefined): string;
+    /**
+     * Get the hex representation of the IP address associated with the instance, in the format of
+     * MediaWiki's `IPUtils::toHex`, as used in the `ipb_range_start` and `ipb_range_end` database columns
+     * (`bt_range_start` and `bt_range_end` since MediaWiki 1.42).
+     * For example:
+     * * `192.168.0.1` -> `C0A80001`
+     * * `2001:db8::1` -> `v6-20010DB8000000000000000000000001`
+     *
+     * For a CIDR, this returns the hex of its first address. Use {@link IP.getRange} to also get that
+     * of its last address.
+     * @returns {string}
+     */
+    toHex(): string;
+    /**
+     * Get the reverse DNS name of the IP address associated with the instance. For example:
+     * * `192.168.0.1` -> `1.0.168.192.in-addr.arpa`
+     * * `192.168.0.0/24` -> `0.168.192.in-addr.arpa`
+     * * `192.0.2.64/26` -> `64/26.2.0.192.in-addr.arpa` (the classless delegation name of RFC 2317)
+     * * `2001:db8::/32` -> `8.b.d.0.1.0.0.2.ip6.arpa`
+     *
+     * The output has no trailing dot, and is the same for a single address and a `/32` or `/128` CIDR.
+     * Use {@link IP.newFromReverseName} to parse it back.
+     * @returns {string?} `null` if the instance is an IPv6 CIDR whose bit length is not a multiple of 4
+     * (i.e. not nibble-aligned).
+     */
+    toReverseName(): string | null;
+    /**
+     * Get the binary representation of the IP address associated with the instance. For example:
+     * ```
+     * const ip = IP.newFromText('192.168.0.0/20');
+     * ip.toBinary(); // 11000000101010000000|000000000000
+     * ip.toBinary({group: true}); // 11000000.10101000.0000|0000.00000000
+     * ip.toBinary({group: true, markPrefix: false}); // 11000000.10101000.00000000.00000000
+     * IP.newFromText('192.168.0.0/24').toBinary({group: true}); // 11000000.10101000.00000000|00000000
+     * ```
+     * For a CIDR, this is the binary of its first address, i.e. all the host bits are `0`.
+     * @param {BinaryOptions} [options]
+     * @returns {string}
+     */
+    toBinary(options?: BinaryOptions | undefined): string;
+    /**
+     * Get the bit at a given position of the IP address associated with the instance (the first address
+     * for a CIDR). For example:
+     * ```
+     * const ip = IP.newFromText('192.168.0.1');
+     * ip.getBit(0); // 1
+     * ip.getBit(2); // 0
+     * ip.getBit(31); // 1
+     * ```
+     * @param {number} index The zero-based position of the bit, counted from the most significant bit.
+     * @returns {0|1|null} `null` if `index` is not an integer within `0-31` for IPv4 or `0-127` for IPv6.
+     * @throws If `index` is not a number.
+     */
+    getBit(index: number): 0 | 1 | null;
+    /**
+     * Get the number of leading bits that the IP address associated with the instance has in common
+     * with that associated with `ipStr`. For example:
+     * ```
+     * const ip = IP.newFromText('192.168.0.1');
+     * ip.commonPrefixLength('192.168.0.254'); // 24
+     * ip.commonPrefixLength('192.168.1.1'); // 23
+     * ip.commonPrefixLength('192.168.0.0/16'); // 16
+     * ```
+     * The bits outside the prefix of a CIDR are not counted, so this is the bit length of the smallest
+     * CIDR that contains both addresses.
+     * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+     * @returns {number?} `null` if `ipStr` does not represent an IP address or is of a different IP version.
+     */
+    commonPrefixLength(ipStr: string | IP): number | null;
     /**
      * Evaluate whether the IP address associated with this instance is within that associated with `cidrStr`.
      * @param {string|IP} cidrStr
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `cidrStr` does not represent an IP address.
      */
-    isInRange(cidrStr: string | IP): boolean | null;
+    isInRange(cidrStr: string | IP, options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with this instance is within any IP range
      * in the `cidrArr` array.
      * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {number} The index number of the first match in the `cidrArr` array, or `-1` otherwise.
      */
-    isInAnyRange(cidrArr: (string | IP)[]): number;
+    isInAnyRange(cidrArr: (string | IP)[], options?: ZoneOptions | undefined): number;
     /**
      * Evaluate whether the IP address associated with this instance is within all IP ranges
      * in the `cidrArr` array.
      * @param {(string|IP)[]} cidrArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `cidrArr` is not an array or an empty array.
      */
-    isInAllRanges(cidrArr: (string | IP)[]): boolean | null;
+    isInAllRanges(cidrArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with this instance contains that associated
      * with `ipStr`.
      * @param {string|IP} ipStr
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
      */
-    contains(ipStr: string | IP): boolean | null;
+    contains(ipStr: string | IP, options?: ZoneOptions | undefined): boolean | null;
     /**
      * Evaluate whether the IP address associated with this instance contains any IP address
      * in the `ipArr` array.
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {number} The index number of the first match in the `ipArr` array, or `-1` otherwise.
      */
-    containsAny(ipArr: (string | IP)[]): number;
+    containsAny(ipArr: (string | IP)[], options?: ZoneOptions | undefined): number;
     /**
      * Evaluate whether the IP address associated with this instance contains all IP addresses
      * in the `ipArr` array.
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `ipArr` is not an array or an empty array.
      */
-    containsAll(ipArr: (string | IP)[]): boolean | null;
+    containsAll(ipArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
+    /**
+     * Get the relationship of the range of this instance to another range. For example:
+     * ```
+     * const ip = IP.newFromText('10.0.0.0/24');
+     * ip.relationTo('10.0.0.0/16'); // contained-by
+     * ip.relationTo('10.0.0.128/25'); // contains
+     * ip.relationTo('10.0.1.0/24'); // adjacent
+     * ip.relationTo('10.0.2.0/24'); // disjoint
+     * ip.relationTo({first: '10.0.0.200', last: '10.0.1.10'}); // overlapping
+     * ip.relationTo(IP.newFromRangeBounds('10.0.0.200', '10.0.1.10')); // overlapping
+     * ```
+     * See {@link RangeRelation} for the list of relationships.
+     * @param {string|IP|RangeBounds|(string|IP)[]} other An IP- or CIDR-representing string, an IP
+     * instance, the bounds of an arbitrary range, or an array of IP- or CIDR-representing strings or
+     * IP instances that together cover a contiguous range (e.g. one returned by {@link IP.newFromRangeBounds}).
+     * @returns {RangeRelation?} `null` if `other` does not represent a range of IP addresses.
+     */
+    relationTo(other: string | IP | RangeBounds | (string | IP)[]): RangeRelation | null;
+    /**
+     * Get the range of IP addresses shared by this instance and another range, as the minimal set of
+     * CIDRs that cover it exactly. For example:
+     * ```
+     * const ip = IP.newFromText('10.0.0.0/24');
+     * ip.intersection('10.0.0.0/16').map(String); // ['10.0.0.0/24']
+     * ip.intersection({first: '10.0.0.200', last: '10.0.1.10'}).map(String);
+     * // ['10.0.0.200/29', '10.0.0.208/28', '10.0.0.224/27']
+     * ```
+     * @param {string|IP|RangeBounds|(string|IP)[]} other See {@link IP#relationTo}.
+     * @returns {IP[]?} An array of IP instances in ascending order, or `null` if the two share no
+     * IP addresses or `other` does not represent a range of IP addresses.
+     */
+    intersection(other: string | IP | RangeBounds | (string | IP)[]): IP[] | null;
     /**
      * Evaluate whether the IP address associated with this intance equals that associated
      * with `ipStr`.
      * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
      */
-    equals(ipStr: string | IP): boolean | null;
+    equals(ipStr: string | IP, options?: ZoneOptions | undefined): boolean | null;
+    /**
+     * Compare the IP address associated with this instance with that associated with `ipStr`
+     * to determine their order, as defined by {@link IPUtil.compare}.
+     * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+     * @returns {number?} A negative number if this instance comes first, a positive number if `ipStr`
+     * comes first, and `0` if they are equal. `null` if `ipStr` does not represent an IP address.
+     */
+    compare(ipStr: string | IP): number | null;
     /**
      * Evaluate whether the IP address associated with this intance equals any IP address
      * in the `ipArr` array.
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
-     * @returns {number} The index number of the first match in the `ranges` array, or `-1` otherwise.
+     * @param {ZoneOptions} [options]
+     * @returns {number} The index number of the first match in the `ipArr` array, or `-1` otherwise.
      */
-    equalsAny(ipArr: (string | IP)[]): number;
+    equalsAny(ipArr: (string | IP)[], options?: ZoneOptions | undefined): number;
     /**
      * Evaluate whether the IP address associated with this intance equals all IP addresses
      * in the `ipArr` array.
      * @param {(string|IP)[]} ipArr An array of IP- or CIDR-representing strings or IP instances.
+     * @param {ZoneOptions} [options]
      * @returns {boolean?} `null` if `ipArr` is not an array or an empty array.
      */
-    equalsAll(ipArr: (string | IP)[]): boolean | null;
+    equalsAll(ipArr: (string | IP)[], options?: ZoneOptions | undefined): boolean | null;
 }
 /**
- * ip-wiki — IP Address Utility Library
- * @version 1.0.0
- * @see https://dr4goniez.github.io/ip-wiki/index.html API documentation
- * @internal
+ * The IPSet class. This class represents a set of IP addresses as normalized (i.e. sorted,
+ * non-overlapping and non-adjacent) ranges, providing fast membership tests on a large number of
+ * IP and CIDR addresses:
+ * ```
+ * const proxies = new IPSet(['192.0.2.0/24', '198.51.100.0/25', '2001:db8::/32']);
+ * proxies.has('192.0.2.5'); // true
+ * proxies.has('192.0.2.0/23'); // false
+ * proxies.toCidrs().map(String); // ['192.0.2.0/24', '198.51.100.0/25', '2001:db8:0:0:0:0:0:0/32']
+ * ```
+ * Unlike {@link IPUtil.isInAnyRange}, which parses and scans all ranges on every call, lookups on an
+ * IPSet take logarithmic time in the number of stored ranges.
+ */
+export class IPSet extends IPBase {
+    /**
+     * Find the last span that starts at or before an IP address, by binary search.
+     * @param {{first: number[]; last: number[];}[]} spans Merged spans.
+     * @param {number[]} parts The IP parts of the address, of the same IP version as `spans`.
+     * @returns {number} The index of the span, or `-1` if all spans start after the address.
+     * @private
+     */
+    private static findSpan;
+    /**
+     * Create a new IPSet from arrays of spans, without any validation.
+     * @param {{first: number[]; last: number[];}[]} v4 Merged IPv4 spans.
+     * @param {{first: number[]; last: number[];}[]} v6 Merged IPv6 spans.
+     * @returns {IPSet}
+     * @private
+     */
+    private static fromSpans;
+    /**
+     * Get the other operand of a set operation as an IPSet.
+     * @param {IPSet|(string|IP)[]} other
+     * @returns {IPSet}
+     * @private
+     */
+    private static toIPSet;
+    /**
+     * Initialize a new IPSet.
+     * @param {(string|IP)[]} [ipArr] An optional array of IP- or CIDR-representing strings or IP instances
+     * to add to the set. Elements that do not represent IP addresses are ignored.
+     */
+    constructor(ipArr?: (string | IP)[] | undefined);
+    /**
+     * The IPv4 ranges in the set.
+     * @type {{first: number[]; last: number[];}[]}
+     * @private
+     */
+    private v4;
+    /**
+     * The IPv6 ranges in the set.
+     * @type {{first: number[]; last: number[];}[]}
+     * @private
+     */
+    private v6;
+    /**
+     * Add an IP or CIDR address to the set.
+     * @param {string|IP} ip
+     * @returns {boolean} `false` if `ip` does not represent an IP address.
+     */
+    add(ip: string | IP): boolean;
+    /**
+     * Remove an IP or CIDR address from the set. Ranges in the set that partly overlap the address
+     * are narrowed down.
+     * @param {string|IP} ip
+     * @returns {boolean} `false` if `ip` does not represent an IP address.
+     */
+    remove(ip: string | IP): boolean;
+    /**
+     * Evaluate whether the set contains all the IP addresses associated with `ip`.
+     * @param {string|IP} ip
+     * @returns {boolean?} `null` if `ip` does not represent an IP address.
+     */
+    has(ip: string | IP): boolean | null;
+    /**
+     * Get a new set that contains the IP addresses in either this set or `other`.
+     * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+     * or IP instances.
+     * @returns {IPSet}
+     */
+    union(other: IPSet | (string | IP)[]): IPSet;
+    /**
+     * Get a new set that contains the IP addresses in both this set and `other`.
+     * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+     * or IP instances.
+     * @returns {IPSet}
+     */
+    intersect(other: IPSet | (string | IP)[]): IPSet;
+    /**
+     * Get a new set that contains the IP addresses in this set but not in `other`.
+     * @param {IPSet|(string|IP)[]} other Another IPSet, or an array of IP- or CIDR-representing strings
+     * or IP instances.
+     * @returns {IPSet}
+     */
+    difference(other: IPSet | (string | IP)[]): IPSet;
+    /**
+     * Get the minimal array of IP instances that cover exactly the IP addresses in the set, in ascending
+     * order (IPv4 addresses preceding IPv6 ones).
+     * @returns {IP[]}
+     */
+    toCidrs(): IP[];
+    /**
+     * The number of IP addresses in the set, or `null` if the runtime environment does not support BigInt.
+     * @type {bigint?}
+     */
+    get size(): bigint | null;
+}
+/**
+ * The IPMap class. This class associates values with IP and CIDR addresses in a prefix trie,
+ * and finds the most specific entry that contains a given address (longest-prefix match):
+ * ```
+ * const map = new IPMap([
+ * 	['10.0.0.0/8', 'Corporate network'],
+ * 	['10.1.0.0/16', 'Branch office']
+ * ]);
+ * map.lookup('10.1.2.3').value; // 'Branch office'
+ * map.lookup('10.2.0.1').value; // 'Corporate network'
+ * map.lookupAll('10.1.2.3').map(({value}) => value); // ['Corporate network', 'Branch office']
+ * ```
+ * Keys are normalized as CIDRs, e.g. `10.0.0.1/8` is the same key as `10.0.0.0/8`, and `10.0.0.1` is
+ * the same key as `10.0.0.1/32`.
+ *
+ * An IPMap can be serialized with `JSON.stringify` (as an array of key-value pairs) and restored
+ * by {@link IPMap.fromJSON}, as long as its values are serializable.
+ * @template V
  */
+export class IPMap<V> extends IPBase {
+    /**
+     * Restore an IPMap from the output of `JSON.stringify`.
+     * @template T
+     * @param {string|[string, T][]} json A JSON string, or an array parsed from it.
+     * @returns {IPMap<T>}
+     * @throws If `json` is not a valid JSON string or does not represent an array.
+     */
+    static fromJSON<T>(json: string | [string, T][]): IPMap<T>;
+    /**
+     * Initialize a new IPMap.
+     * @param {[string|IP, V][]} [entries] An optional array of pairs of an IP- or CIDR-representing
+     * string (or an IP instance) and a value. Pairs with invalid keys are ignored.
+     */
+    constructor(entries?: [string | IP, V][] | undefined);
+    /**
+     * The root nodes of the tries for IPv4 and IPv6.
+     * @type {{4: IPMapNode<V>; 6: IPMapNode<V>;}}
+     * @private
+     */
+    private roots;
+    /**
+     * @type {number}
+     * @private
+     */
+    private count;
+    /**
+     * Walk down the trie along the network prefix of `key`.
+     * @param {string|IP} key
+     * @param {boolean} create Whether to create missing nodes.
+     * @param {(node: IPMapNode<V>) => void} [callback] A function called on each node on the way,
+     * including the root node and the last node.
+     * @returns {{range: RangeObject; node: IPMapNode<V>?;}?} The range object of `key` and the node
+     * for it (`null` if it doesn't exist), or `null` if `key` does not represent an IP address.
+     * @private
+     */
+    private walk;
+    /**
+     * Associate a value with an IP or CIDR address. If the address already has a value, it is replaced.
+     * @param {string|IP} key
+     * @param {V} value
+     * @returns {boolean} `false` if `key` does not represent an IP address.
+     */
+    set(key: string | IP, value: V): boolean;
+    /**
+     * Get the value associated with exactly the same IP or CIDR address as `key`.
+     * @param {string|IP} key
+     * @returns {V|undefined} `undefined` if there is no such value or `key` does not represent an IP address.
+     */
+    get(key: string | IP): V | undefined;
+    /**
+     * Evaluate whether a value is associated with exactly the same IP or CIDR address as `key`.
+     * @param {string|IP} key
+     * @returns {boolean}
+     */
+    has(key: string | IP): boolean;
+    /**
+     * Remove the value associated with exactly the same IP or CIDR address as `key`.
+     * @param {string|IP} key
+     * @returns {boolean} Whether a value was removed.
+     */
+    delete(key: string | IP): boolean;
+    /**
+     * Find the most specific entry whose address contains the IP address associated with `ip`.
+     * @param {string|IP} ip
+     * @returns {{ip: IP; value: V;}?} An object of the address of the entry and its value, or `null`
+     * if there is no matching entry or `ip` does not represent an IP address.
+     */
+    lookup(ip: string | IP): {
+        ip: IP;
+        value: V;
+    } | null;
+    /**
+     * Find all the entries whose addresses contain the IP address associated with `ip`.
+     * @param {string|IP} ip
+     * @returns {{ip: IP; value: V;}[]} An array of objects of the addresses of the entries and their
+     * values, from the broadest to the most specific.
+     */
+    lookupAll(ip: string | IP): {
+        ip: IP;
+        value: V;
+    }[];
+    /**
+     * Get all the entries, in the order defined by {@link IPUtil.compare}.
+     * @returns {[IP, V][]}
+     */
+    entries(): [IP, V][];
+    /**
+     * The number of entries in the map.
+     * @type {number}
+     */
+    get size(): number;
+    /**
+     * Get the entries as an array of pairs of a CIDR string and a value, for `JSON.stringify`.
+     * @returns {[string, V][]}
+     */
+    toJSON(): [string, V][];
+}
 /**
  * Abstract class with protected methods.
  * @abstract
@@ -525,13 +1515,65 @@ declare class IPBase {
      * Parse a string that potentially represents an IP or CIDR address.
      * @param {string} ipStr
      * @param {number} [bitLen] An optional bit length of the IP address.
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address (e.g. `fe80::1%eth0`),
+     * as in {@link ParseOptions.allowZone}. Defaults to `false`.
      * @returns {Parsed?} A parsed object, or `null` if:
      * * `ipStr` is not a string.
      * * `ipStr` does not represent an IP address.
      * * `ipStr` contains an invalid bit length for a CIDR.
      * @protected
      */
-    protected static parse(ipStr: string, bitLen?: number | undefined): Parsed | null;
+    protected static parse(ipStr: string, bitLen?: number | undefined, allowZone?: boolean | "url" | undefined): Parsed | null;
+    /**
+     * Parse a string that potentially represents an IP or CIDR address, and tell why if it fails.
+     *
+     * This is the parser behind {@link parse}; error positions are 0-based indexes into the
+     * {@link clean | cleaned} input string.
+     * @param {string} ipStr
+     * @param {number} [bitLen] An optional bit length of the IP address.
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address. Defaults to `false`.
+     * @returns {{parsed: Parsed; error: null;} | {parsed: null; error: ParseError;}}
+     * @protected
+     */
+    protected static parseDetailed(ipStr: string, bitLen?: number | undefined, allowZone?: boolean | "url" | undefined): {
+        parsed: Parsed;
+        error: null;
+    } | {
+        parsed: null;
+        error: ParseError;
+    };
+    /**
+     * Parse the dotted quad of an IPv4 address (without a bit length).
+     * @param {string} str
+     * @param {number} offset The index of `str` in the whole input string, used for error positions.
+     * @returns {number[]|ParseError} An array of 4 decimals, or an error object.
+     * @protected
+     */
+    protected static parseIPv4(str: string, offset: number): number[] | ParseError;
+    /**
+     * Parse the hextets of an IPv6 address (without a bit length), which may end with a dotted quad.
+     * @param {string} str
+     * @returns {number[]|ParseError} An array of 8 decimals, or an error object.
+     * @protected
+     */
+    protected static parseIPv6(str: string): number[] | ParseError;
+    /**
+     * Parse a string that potentially represents an IP or CIDR address, also accepting the legacy
+     * and non-standard notations that `inet_aton` and web browsers accept:
+     * * Compatibility characters such as fullwidth digits, which are normalized by NFKC (`'nfkc'`).
+     * * IPv4 parts with a leading `0`, which are octal (`'octal'`). Note that `010` means 8 in this mode.
+     * * IPv4 parts with a leading `0x`, which are hexadecimal (`'hex'`).
+     * * An IPv4 address written as a single 32-bit integer (`'integer'`).
+     * * An IPv4 address with 2 or 3 parts, in which the last part fills the remaining bits (`'short'`).
+     * @param {string} ipStr
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID for an IPv6 address. Defaults to `false`.
+     * @returns {{parsed: Parsed?; normalizations: LenientNormalization[];}}
+     * @protected
+     */
+    protected static parseLenient(ipStr: string, allowZone?: boolean | "url" | undefined): {
+        parsed: Parsed | null;
+        normalizations: LenientNormalization[];
+    };
     /**
      * Get the start and end IP addresses for the range of `bitLen` as an object of arrays of decimals.
      * @param {number[]} parts
@@ -540,6 +1582,38 @@ declare class IPBase {
      * @protected
      */
     protected static parseRange(parts: number[], bitLen: number | null): RangeObject;
+    /**
+     * Get the netmask for a bit length as an array of decimals.
+     * @param {number} bitLen
+     * @param {number} partCount `4` for IPv4, `8` for IPv6.
+     * @returns {number[]} e.g. `[255, 255, 255, 0]` for IPv4 and a bit length of `24`.
+     * @protected
+     */
+    protected static getNetmaskParts(bitLen: number, partCount: number): number[];
+    /**
+     * Convert an array of IP parts in decimals to a 32- or 128-bit binary-representing string.
+     * @param {number[]} parts
+     * @returns {string}
+     * @protected
+     */
+    protected static partsToBinary(parts: number[]): string;
+    /**
+     * Parse a string that represents an IP address with a netmask or a wildcard mask, e.g.
+     * `192.168.0.0 255.255.255.0`, `192.168.0.0/255.255.255.0` or `192.168.0.0 0.0.0.255`.
+     * @param {string} str
+     * @param {boolean} [wildcard] `true` if the mask is a wildcard mask, `false` if it is a netmask.
+     * If omitted, the type of the mask is detected automatically, where masks valid as both (i.e.
+     * all-zero and all-one masks) are interpreted as netmasks.
+     * @returns {{range: RangeObject; error: null;}|{range: null; error: string;}}
+     * @protected
+     */
+    protected static parseMaskedAddress(str: string, wildcard?: boolean | undefined): {
+        range: RangeObject;
+        error: null;
+    } | {
+        range: null;
+        error: string;
+    };
     /**
      * Stringify an array of IP parts in decimals.
      * @param {number[]} decimals
@@ -549,6 +1623,115 @@ declare class IPBase {
      * @protected
      */
     protected static stringify(decimals: number[], suffix: string, options?: StringifyOptions | undefined): string;
+    /**
+     * Same as {@link stringify}, except that a zone ID is inserted before the suffix as is, without
+     * being affected by `options.capitalize`.
+     * @param {number[]} decimals
+     * @param {string?} zone
+     * @param {string} suffix
+     * @param {StringifyOptions} [options]
+     * @returns {string}
+     * @protected
+     */
+    protected static stringifyWithZone(decimals: number[], zone: string | null, suffix: string, options?: StringifyOptions | undefined): string;
+    /**
+     * Find the longest run of consecutive zeros in an array of IPv6 hextets.
+     * @param {number[]} hextets
+     * @param {boolean} [last] Whether to take the last of the longest runs instead of the first one
+     * if there are multiple runs of the same length. Defaults to `false` (as required by RFC 5952).
+     * @param {number} [minLength] The minimum length of a run, which defaults to `2`.
+     * @returns {{index: number; length: number;}} `index` is `-1` if no such run is found.
+     * @protected
+     */
+    protected static findZeroRun(hextets: number[], last?: boolean | undefined, minLength?: number | undefined): {
+        index: number;
+        length: number;
+    };
+    /**
+     * Pad the start of a string with `0` up to the given length.
+     * @param {string} str
+     * @param {number} length
+     * @returns {string}
+     * @protected
+     */
+    protected static padStart(str: string, length: number): string;
+    /**
+     * The first six hextets of IPv4-mapped IPv6 addresses (`::ffff:0:0/96`).
+     * @type {number[]}
+     * @protected
+     */
+    protected static get IPV4_MAPPED_PREFIX(): number[];
+    /**
+     * The first six hextets of the NAT64 well-known prefix (`64:ff9b::/96`).
+     * @type {number[]}
+     * @protected
+     */
+    protected static get NAT64_PREFIX(): number[];
+    /**
+     * The table of special-purpose address blocks, as objects of the registry CIDR, the category
+     * name, the registry name and the parsed range of the CIDR. The table is built once and cached.
+     * @see https://www.iana.org/assignments/iana-ipv4-special-registry/
+     * @see https://www.iana.org/assignments/iana-ipv6-special-registry/
+     * @type {SpecialBlock[]}
+     * @protected
+     */
+    protected static get SPECIAL_BLOCKS(): SpecialBlock[];
+    /**
+     * Classify a range object against the table of special-purpose address blocks.
+     * @param {RangeObject} range
+     * @returns {ScopeInfo}
+     * @protected
+     */
+    protected static getScopeInfo(range: RangeObject): ScopeInfo;
+    /**
+     * Evaluate whether an array of IPv6 hextets starts with the IPv4-mapped prefix or the NAT64
+     * well-known prefix, i.e. whether its last 32 bits represent an embedded IPv4 address.
+     * @param {number[]} hextets
+     * @returns {boolean}
+     * @protected
+     */
+    protected static hasEmbeddedIPv4(hextets: number[]): boolean;
+    /**
+     * Convert an array of IP parts in decimals to a hex string in the format of MediaWiki's
+     * `IPUtils::toHex`, e.g. `C0A80001` for IPv4 and `v6-20010DB8000000000000000000000001` for IPv6.
+     * @param {number[]} parts
+     * @returns {string}
+     * @protected
+     */
+    protected static partsToHex(parts: number[]): string;
+    /**
+     * Convert a hex string in the format of MediaWiki's `IPUtils::toHex` to an array of IP parts in decimals.
+     * @param {string} hex
+     * @returns {number[]?} `null` if the input is not a valid hex string.
+     * @protected
+     */
+    protected static hexToParts(hex: string): number[] | null;
+    /**
+     * Convert a range object to a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain.
+     * @param {RangeObject} range
+     * @returns {string?} `null` if the range is an IPv6 CIDR whose bit length is not a multiple of 4.
+     * @protected
+     */
+    protected static rangeToReverseName(range: RangeObject): string | null;
+    /**
+     * Convert a reverse DNS name in the `in-addr.arpa` or `ip6.arpa` domain to a range object.
+     * @param {string} name
+     * @returns {RangeObject?} `null` if the input is not a valid reverse DNS name.
+     * @protected
+     */
+    protected static reverseNameToRange(name: string): RangeObject | null;
+    /**
+     * Parse a string that represents a 48-bit MAC address, in any of the following formats
+     * (case-insensitive):
+     * * `00:1a:2b:3c:4d:5e`
+     * * `00-1a-2b-3c-4d-5e`
+     * * `001a.2b3c.4d5e`
+     * * `001a2b3c4d5e`
+     * @param {string} str
+     * @returns {number[]?} An array of 6 bytes in decimals, or `null` if the input is not a valid MAC address.
+     * @protected
+     */
+    protected static parseMac(str: string): number[] | null;
     /**
      * Change the casing of a string.
      * @param {string} str
@@ -563,37 +1746,237 @@ declare class IPBase {
      * @param {StringifyOptions} options
      * @param {ConditionPredicate} [conditionPredicate]
      * Optional IP address conditions to perform stringification.
+     * @param {ParseOptions} [parseOptions] How to parse the input string.
      * @returns {string?} `null` if:
      * * The input string does not represent an IP address.
      * * The parsed IP address does not meet the conditions specified by `conditionPredicate`
      * @protected
      */
-    protected static parseAndStringify(ipStr: string, options: StringifyOptions, conditionPredicate?: ConditionPredicate | undefined): string | null;
+    protected static parseAndStringify(ipStr: string, options: StringifyOptions, conditionPredicate?: ConditionPredicate | undefined, parseOptions?: ParseOptions | undefined): string | null;
     /**
      * Compare two ranges to check their inclusion relationship.
      * @param {RangeObject} ip1 An object of arrays of the IP parts in decimals.
      * @param {string|IP} ip2
      * @param {"<"|">"} comparator Which of `ip1` and `ip2` is expected to be broader.
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in `ip2`. Defaults to `false`.
      * @returns {boolean?} `null` if `ip2` does not represent an IP address.
      * @protected
      */
-    protected static compareRanges(ip1: RangeObject, ip2: string | IP, comparator: "<" | ">"): boolean | null;
+    protected static compareRanges(ip1: RangeObject, ip2: string | IP, comparator: "<" | ">", allowZone?: boolean | "url" | undefined): boolean | null;
     /**
      * Given an IP string or instance, parse it into an object of arrays of decimals that
      * represent the parts of the first and last IPs.
      * @param {string|IP} ip
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in the input string. Defaults to `false`.
      * @returns {RangeObject?} `null` if the input string does not represent an IP address.
      * @protected
      */
-    protected static getRangeObject(ip: string | IP): RangeObject | null;
+    protected static getRangeObject(ip: string | IP, allowZone?: boolean | "url" | undefined): RangeObject | null;
+    /**
+     * Get the span of IP addresses represented by an IP-like input, the bounds of a span, or an array
+     * of IP-like inputs that together cover a contiguous span.
+     * @param {string|IP|RangeBounds|(string|IP)[]} other
+     * @returns {{first: number[]; last: number[];}?} `null` if:
+     * * Any of the inputs does not represent an IP address.
+     * * The inputs are of different IP versions.
+     * * The first address of `RangeBounds` is larger than the last.
+     * * The array is empty or does not cover a contiguous span.
+     * @protected
+     */
+    protected static getSpan(other: string | IP | RangeBounds | (string | IP)[]): {
+        first: number[];
+        last: number[];
+    } | null;
     /**
      * Check the equality of two IP addresses.
      * @param {RangeObject} ipObj An object of arrays of the IP parts in decimals.
      * @param {string|IP} ipStr An IP- or CIDR-representing string, or an IP instance.
+     * @param {boolean|'url'} [allowZone] Whether to accept a zone ID in `ipStr`. Defaults to `false`.
      * @returns {boolean?} `null` if `ipStr` does not represent an IP address.
      * @protected
      */
-    protected static checkEquality(ipObj: RangeObject, ipStr: string | IP): boolean | null;
+    protected static checkEquality(ipObj: RangeObject, ipStr: string | IP, allowZone?: boolean | "url" | undefined): boolean | null;
+    /**
+     * Check whether two IP-like inputs have the same zone ID (or both have none), if `options.respectZone` is on.
+     * @param {string|IP} ip1
+     * @param {string|IP} ip2
+     * @param {ZoneOptions} options
+     * @returns {boolean} Always `true` if `options.respectZone` is off.
+     * @protected
+     */
+    protected static checkZones(ip1: string | IP, ip2: string | IP, options: ZoneOptions): boolean;
+    /**
+     * Compare two arrays of IP parts in decimals numerically.
+     * @param {number[]} parts1
+     * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+     * @returns {number} A negative number if `parts1` is smaller, a positive number if `parts1` is
+     * larger, and `0` if they are equal.
+     * @protected
+     */
+    protected static compareParts(parts1: number[], parts2: number[]): number;
+    /**
+     * Compare two range objects to determine their order. The order is defined as follows:
+     * * IPv4 addresses precede IPv6 addresses.
+     * * Addresses of the same version are ordered by their first addresses.
+     * * If the first addresses are the same, broader CIDRs precede narrower ones, i.e. a CIDR
+     * precedes its first address as a single IP address.
+     * @param {RangeObject} range1
+     * @param {RangeObject} range2
+     * @returns {number} A negative number if `range1` comes first, a positive number if `range2` comes
+     * first, and `0` if they are equal.
+     * @protected
+     */
+    protected static compareRangeObjects(range1: RangeObject, range2: RangeObject): number;
+    /**
+     * Add an integer to an array of IP parts in decimals.
+     * @param {number[]} parts
+     * @param {number} n A (possibly negative) safe integer.
+     * @returns {number[]?} A new array, or `null` if the result overflows or underflows the address space.
+     * @protected
+     */
+    protected static addToParts(parts: number[], n: number): number[] | null;
+    /**
+     * Add two arrays of IP parts in decimals.
+     * @param {number[]} parts1
+     * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+     * @returns {number[]?} A new array, or `null` if the result overflows the address space.
+     * @protected
+     */
+    protected static addParts(parts1: number[], parts2: number[]): number[] | null;
+    /**
+     * Subtract an array of IP parts in decimals from another.
+     * @param {number[]} parts1
+     * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+     * @returns {number[]?} A new array, or `null` if the result underflows the address space.
+     * @protected
+     */
+    protected static subtractParts(parts1: number[], parts2: number[]): number[] | null;
+    /**
+     * Convert a non-negative integer to an array of IP parts in decimals.
+     * @param {number|bigint} n A safe integer or a BigInt.
+     * @param {4|6} version
+     * @param {number} [shift] The number of bits to shift `n` to the left. Defaults to `0`.
+     * @returns {number[]?} `null` if `n` is not a non-negative integer or does not fit in the address space.
+     * @protected
+     */
+    protected static integerToParts(n: number | bigint, version: 4 | 6, shift?: number | undefined): number[] | null;
+    /**
+     * Evaluate whether the runtime environment supports BigInt.
+     * @returns {boolean}
+     * @protected
+     */
+    protected static hasBigInt(): boolean;
+    /**
+     * Get the bit at a given position of an array of IP parts in decimals.
+     * @param {number[]} parts
+     * @param {number} index The zero-based position of the bit, counted from the most significant bit.
+     * @returns {0|1}
+     * @protected
+     */
+    protected static getBitOfParts(parts: number[], index: number): 0 | 1;
+    /**
+     * Get the number of leading bits that two arrays of IP parts in decimals have in common.
+     * @param {number[]} parts1
+     * @param {number[]} parts2 Must be of the same IP version as `parts1`.
+     * @returns {number}
+     * @protected
+     */
+    protected static getCommonPrefixLength(parts1: number[], parts2: number[]): number;
+    /**
+     * Decompose the span between two IP addresses into the minimal set of CIDRs that cover it exactly.
+     * @param {number[]} first The IP parts of the first address of the span.
+     * @param {number[]} last The IP parts of the last address of the span. Must be of the same IP version
+     * as `first` and must not be smaller than it.
+     * @returns {RangeObject[]} An array of range objects in ascending order. Single addresses have their
+     * `isCidr` properties set to `false`.
+     * @protected
+     */
+    protected static decomposeRange(first: number[], last: number[]): RangeObject[];
+    /**
+     * Generate the subnets of a given bit length in a span of IP addresses, in ascending order.
+     * @param {number[]} first The first address of the span, which must be aligned to `bitLen`.
+     * @param {number[]} last The last address of the span.
+     * @param {number} bitLen
+     * @returns {Generator<RangeObject, void, undefined>} Range objects with their `isCidr` properties
+     * set to `true`, even at the maximum bit length.
+     * @protected
+     */
+    protected static generateSubnets(first: number[], last: number[], bitLen: number): Generator<RangeObject, void, undefined>;
+    /**
+     * Check a range object against CIDR limits.
+     * @param {RangeObject} range
+     * @param {CIDRLimit} [limits]
+     * @returns {{allowed: boolean; limit: number; count: number;}} `count` is the number of CIDRs of the
+     * limit size that cover the range, or `1` if the range is within the limit.
+     * @protected
+     */
+    protected static checkLimit(range: RangeObject, limits?: CIDRLimit | undefined): {
+        allowed: boolean;
+        limit: number;
+        count: number;
+    };
+    /**
+     * Get the relationship of a span of IP addresses to another.
+     * @param {{first: number[]; last: number[];}} span1
+     * @param {{first: number[]; last: number[];}} span2
+     * @returns {RangeRelation}
+     * @protected
+     */
+    protected static getRelation(span1: {
+        first: number[];
+        last: number[];
+    }, span2: {
+        first: number[];
+        last: number[];
+    }): RangeRelation;
+    /**
+     * Merge overlapping and adjacent spans of IP addresses.
+     * @param {{first: number[]; last: number[];}[]} spans An array of spans of the same IP version.
+     * @returns {{first: number[]; last: number[];}[]} A new array of non-overlapping, non-adjacent spans
+     * in ascending order.
+     * @protected
+     */
+    protected static mergeSpans(spans: {
+        first: number[];
+        last: number[];
+    }[]): {
+        first: number[];
+        last: number[];
+    }[];
+    /**
+     * Get the intersection of two arrays of spans.
+     * @param {{first: number[]; last: number[];}[]} spans1 An array of merged spans, as returned by {@link IPBase.mergeSpans}.
+     * @param {{first: number[]; last: number[];}[]} spans2 An array of merged spans of the same IP version.
+     * @returns {{first: number[]; last: number[];}[]} A new array of merged spans.
+     * @protected
+     */
+    protected static intersectSpans(spans1: {
+        first: number[];
+        last: number[];
+    }[], spans2: {
+        first: number[];
+        last: number[];
+    }[]): {
+        first: number[];
+        last: number[];
+    }[];
+    /**
+     * Subtract an array of spans from another.
+     * @param {{first: number[]; last: number[];}[]} spans1 An array of merged spans, as returned by {@link IPBase.mergeSpans}.
+     * @param {{first: number[]; last: number[];}[]} spans2 An array of merged spans of the same IP version.
+     * @returns {{first: number[]; last: number[];}[]} A new array of merged spans.
+     * @protected
+     */
+    protected static subtractSpans(spans1: {
+        first: number[];
+        last: number[];
+    }[], spans2: {
+        first: number[];
+        last: number[];
+    }[]): {
+        first: number[];
+        last: number[];
+    }[];
     /**
      * @param {boolean} override
      * @throws